@@ -0,0 +1,49 @@
+// ✅ SESSION AUTHENTICATION MIDDLEWARE
+// Expects "Authorization: Bearer <accessToken>". Routes consumed by EventSource (which
+// cannot set headers) may opt in to an `access_token` query parameter instead.
+const { AuthError, verifyAccessToken, toPublicUser } = require('../services/authService');
+
+function extractToken(req, allowQueryToken) {
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+    if (allowQueryToken && typeof req.query.access_token === 'string') return req.query.access_token;
+    return null;
+}
+
+function requireAuth(options = {}) {
+    const { allowQueryToken = false } = options;
+
+    return (req, res, next) => {
+        const token = extractToken(req, allowQueryToken);
+
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                error: "Authentication required. Please sign in with Aadhaar and OTP.",
+                code: 'AUTH_REQUIRED'
+            });
+        }
+
+        try {
+            const { user, session } = verifyAccessToken(token);
+            req.user = user;
+            req.publicUser = toPublicUser(user);
+            req.authSession = session;
+            next();
+        } catch (error) {
+            if (error instanceof AuthError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code
+                });
+            }
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    requireAuth
+};
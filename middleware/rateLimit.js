@@ -0,0 +1,50 @@
+// ✅ RATE LIMIT GUARD FOR AI ENDPOINTS
+// Goes after the auth guards (it needs req.user and req.userRole), e.g.
+// defineRoute(app, 'POST', '/api/analyze', { ... }, limitAIRequests, handler)
+const { consume } = require('../services/rateLimiter');
+const { createLogger } = require('../services/logger');
+const metrics = require('../services/metrics');
+
+const log = createLogger('rateLimit');
+const limited = metrics.counter('http_rate_limited_total', 'Requests refused with 429 by the AI rate limits, by bucket scope and tier', ['scope', 'tier']);
+
+function limitAIRequests(req, res, next) {
+    const checks = [{ scope: 'ip', key: `ip:${req.ip}`, tier: 'ip' }];
+    if (req.user) {
+        checks.push({ scope: 'user', key: `user:${req.user.id}`, tier: req.userRole || 'citizen' });
+    }
+
+    const result = consume(checks);
+    if (!result.allowed) {
+        limited.inc({ scope: result.scope, tier: result.tier });
+        log.info('Rate limited', {
+            scope: result.scope,
+            tier: result.tier,
+            ...(result.scope === 'user' ? { userId: req.user.id } : { ip: req.ip }),
+            retryAfterSeconds: result.retryAfterSeconds
+        });
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        return res.status(429).json({
+            success: false,
+            error: `Too many requests. Please wait ${result.retryAfterSeconds} seconds before trying again.`,
+            code: 'RATE_LIMITED',
+            retryAfterSeconds: result.retryAfterSeconds,
+            limit: {
+                scope: result.scope,
+                tier: result.tier,
+                capacity: result.capacity,
+                refillPerMinute: result.refillPerMinute
+            }
+        });
+    }
+
+    res.set({
+        'X-RateLimit-Limit': String(result.limit),
+        'X-RateLimit-Remaining': String(result.remaining)
+    });
+    next();
+}
+
+module.exports = {
+    limitAIRequests
+};
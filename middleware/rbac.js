@@ -0,0 +1,77 @@
+// ✅ ROUTE REGISTRY WITH PERMISSION ENFORCEMENT
+// Every route is declared through defineRoute() with the permission it needs. The
+// registry drives both enforcement (auth + role check in front of the handler) and
+// the per-caller route list returned by the 404 handler.
+const { requireAuth } = require('./auth');
+const { verifyAccessToken } = require('../services/authService');
+const { getUserRole, can } = require('../services/accessControl');
+
+const routeCatalog = [];
+
+function authorize(permission) {
+    return (req, res, next) => {
+        const role = getUserRole(req.user);
+        req.userRole = role;
+
+        if (!can(role, permission)) {
+            return res.status(403).json({
+                success: false,
+                error: "You do not have permission to access this resource",
+                code: 'FORBIDDEN',
+                requiredPermission: permission,
+                role: role
+            });
+        }
+
+        next();
+    };
+}
+
+// Identifies the caller when a valid token is present, without requiring one
+function optionalAuth(req, res, next) {
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+    if (match) {
+        try {
+            const { user, session } = verifyAccessToken(match[1].trim());
+            req.user = user;
+            req.authSession = session;
+            req.userRole = getUserRole(user);
+        } catch (error) {
+            // Invalid or expired tokens are treated as signed-out here
+        }
+    }
+    next();
+}
+
+// defineRoute(app, 'POST', '/api/analyze', { permission, description, allowQueryToken }, ...handlers)
+function defineRoute(target, method, path, options, ...handlers) {
+    const { permission, description, allowQueryToken = false } = options;
+
+    if (!permission) {
+        throw new Error(`Route ${method} ${path} must declare a permission ('public' for open routes)`);
+    }
+
+    const guards = permission === 'public'
+        ? [optionalAuth]
+        : [requireAuth({ allowQueryToken }), authorize(permission)];
+
+    method.split('|').forEach(verb => {
+        target[verb.toLowerCase()](path, ...guards, ...handlers);
+    });
+
+    routeCatalog.push({ method, path, permission, description });
+}
+
+// Routes the given role may call, formatted like "GET /health - description"
+function getAvailableRoutes(role) {
+    return routeCatalog
+        .filter(route => can(role, route.permission))
+        .map(route => `${route.method} ${route.path} - ${route.description}`);
+}
+
+module.exports = {
+    authorize,
+    optionalAuth,
+    defineRoute,
+    getAvailableRoutes
+};
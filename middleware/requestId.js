@@ -0,0 +1,43 @@
+// ✅ REQUEST IDS, ACCESS LOG AND HTTP METRICS
+// Mounted before the routes (after the body parser, whose stream callbacks would lose
+// the async context). A well-formed X-Request-Id from a proxy is kept, otherwise a UUID
+// is generated; either way it is echoed back in the response header and logged with
+// every record written while the request is served.
+const crypto = require('crypto');
+const { createLogger, runWithRequestId } = require('../services/logger');
+const { recordHttpRequest } = require('../services/metrics');
+
+const log = createLogger('http');
+
+function assignRequestId(req, res, next) {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && /^[A-Za-z0-9._:-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    const startTime = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    runWithRequestId(requestId, () => {
+        res.on('finish', () => {
+            const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+            // Route patterns keep label sets small; unmatched URLs share one label
+            const route = req.route && req.route.path !== '*'
+                ? `${req.baseUrl}${req.route.path}`
+                : (res.statusCode === 404 ? 'unmatched' : 'static');
+
+            recordHttpRequest({ method: req.method, route: route, status: res.statusCode, durationMs: durationMs });
+            log[res.statusCode >= 500 ? 'warn' : 'info']('Request completed', {
+                method: req.method,
+                route: route,
+                status: res.statusCode,
+                durationMs: Math.round(durationMs),
+                ...(req.user && { userId: req.user.id })
+            });
+        });
+        next();
+    });
+}
+
+module.exports = {
+    assignRequestId
+};
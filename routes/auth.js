@@ -0,0 +1,102 @@
+// ✅ AUTHENTICATION API
+// POST /api/auth with an `action`:
+//   verify_aadhaar { aadhaar }                       -> OTP sent, returns challengeId
+//   verify_otp     { challengeId | aadhaar, otp }     -> access + refresh tokens
+//   refresh_token  { refreshToken }                   -> rotated tokens
+//   logout         { refreshToken } or Bearer token   -> session revoked
+const express = require('express');
+const { defineRoute } = require('../middleware/rbac');
+const { HttpError } = require('../services/httpError');
+const {
+    AuthError,
+    requestOtp,
+    verifyOtp,
+    verifyAccessToken,
+    refreshSession,
+    revokeSession,
+    revokeByRefreshToken
+} = require('../services/authService');
+const { createLogger } = require('../services/logger');
+
+const router = express.Router();
+const log = createLogger('auth');
+
+defineRoute(router, 'POST', '/api/auth', {
+    permission: 'public',
+    description: 'Aadhaar/OTP sign-in, token refresh and logout'
+}, async (req, res) => {
+    try {
+        const { aadhaar, otp, challengeId, refreshToken, action } = req.body;
+
+        if (action === 'verify_aadhaar') {
+            const challenge = await requestOtp(aadhaar);
+            log.info('OTP issued', { to: challenge.maskedAadhaar });
+
+            res.json({
+                success: true,
+                message: "OTP sent to your registered mobile number",
+                step: "otp_verification",
+                challengeId: challenge.challengeId,
+                maskedAadhaar: challenge.maskedAadhaar,
+                expiresIn: challenge.expiresIn
+            });
+        } else if (action === 'verify_otp') {
+            const tokens = await verifyOtp({ challengeId, aadhaar, otp });
+            log.info('Sign-in successful', { userId: tokens.user.id, to: tokens.user.maskedAadhaar });
+
+            res.json({
+                success: true,
+                message: "Authentication successful! Welcome to Vidhi Saarathi AI",
+                token: tokens.accessToken,
+                ...tokens
+            });
+        } else if (action === 'refresh_token') {
+            const tokens = refreshSession(refreshToken);
+
+            res.json({
+                success: true,
+                message: "Session refreshed",
+                token: tokens.accessToken,
+                ...tokens
+            });
+        } else if (action === 'logout') {
+            const header = req.get('authorization') || '';
+            const bearer = header.match(/^Bearer\s+(.+)$/i);
+
+            if (refreshToken) {
+                revokeByRefreshToken(refreshToken);
+            } else if (bearer) {
+                revokeSession(verifyAccessToken(bearer[1].trim()).session.id);
+            } else {
+                throw new AuthError('Provide a refresh token or bearer token to log out', 400, 'LOGOUT_TOKEN_REQUIRED');
+            }
+
+            res.json({
+                success: true,
+                message: "You have been logged out"
+            });
+        } else {
+            res.status(400).json({
+                success: false,
+                error: "Invalid action. Use 'verify_aadhaar', 'verify_otp', 'refresh_token' or 'logout'"
+            });
+        }
+    } catch (error) {
+        // AuthErrors, and a 503 when no OTP channel is configured
+        if (error instanceof HttpError) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        }
+
+        log.error('Authentication failed', { action: req.body?.action, error: error.message });
+        res.status(500).json({
+            success: false,
+            error: "Authentication service temporarily unavailable"
+        });
+    }
+});
+
+module.exports = router;
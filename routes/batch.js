@@ -0,0 +1,49 @@
+// ✅ BATCH ANALYSIS: PROGRESS, RESULTS AND CANCELLATION
+// Jobs are submitted with POST /api/batch (server.js, next to the other AI endpoints);
+// these routes read them back. Only the user who submitted a batch can see it.
+const express = require('express');
+const { defineRoute } = require('../middleware/rbac');
+const { sendHttpError } = require('../services/httpError');
+const { listBatchJobs, getBatchJob, cancelBatchJob } = require('../services/batchJobs');
+
+const router = express.Router();
+
+defineRoute(router, 'GET', '/api/batch', {
+    permission: 'batch:create',
+    description: 'Your batch analyses with progress counts'
+}, (req, res) => {
+    res.json({
+        success: true,
+        batches: listBatchJobs(req.user.id)
+    });
+});
+
+defineRoute(router, 'GET', '/api/batch/:id', {
+    permission: 'batch:create',
+    description: 'Batch progress and per-item results (?offset=&limit=)'
+}, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            batch: getBatchJob(req.user.id, req.params.id, { offset: req.query.offset, limit: req.query.limit })
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Batch status temporarily unavailable');
+    }
+});
+
+defineRoute(router, 'DELETE', '/api/batch/:id', {
+    permission: 'batch:create',
+    description: 'Cancel the items of a batch that have not started yet'
+}, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            batch: cancelBatchJob(req.user.id, req.params.id)
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Batch cancellation temporarily unavailable');
+    }
+});
+
+module.exports = router;
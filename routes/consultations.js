@@ -0,0 +1,78 @@
+// ✅ CONSULTATION HISTORY ROUTES
+// Users only ever see and delete their own consultations.
+const express = require('express');
+const { defineRoute } = require('../middleware/rbac');
+const { sendHttpError } = require('../services/httpError');
+const {
+    listConsultations,
+    getConsultation,
+    deleteConsultation,
+    deleteAllConsultations
+} = require('../services/consultations');
+const { createLogger } = require('../services/logger');
+
+const router = express.Router();
+const log = createLogger('consultations');
+
+defineRoute(router, 'GET', '/api/consultations', {
+    permission: 'consultations:read',
+    description: 'Your consultation history (page, limit, domain, priority, from, to, q)'
+}, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...listConsultations(req.user.id, req.query)
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Consultation history temporarily unavailable');
+    }
+});
+
+defineRoute(router, 'GET', '/api/consultations/:id', {
+    permission: 'consultations:read',
+    description: 'One consultation with its full analysis'
+}, (req, res) => {
+    try {
+        const { userId, ...consultation } = getConsultation(req.user.id, req.params.id);
+        res.json({
+            success: true,
+            consultation: consultation
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Consultation history temporarily unavailable');
+    }
+});
+
+defineRoute(router, 'DELETE', '/api/consultations/:id', {
+    permission: 'consultations:delete',
+    description: 'Delete one of your consultations'
+}, (req, res) => {
+    try {
+        const deletedId = deleteConsultation(req.user.id, req.params.id);
+        log.info('Consultation deleted', { userId: req.user.id, consultationId: deletedId });
+        res.json({
+            success: true,
+            deleted: deletedId
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Consultation history temporarily unavailable');
+    }
+});
+
+defineRoute(router, 'DELETE', '/api/consultations', {
+    permission: 'consultations:delete',
+    description: 'Delete your entire consultation history'
+}, (req, res) => {
+    try {
+        const deletedCount = deleteAllConsultations(req.user.id);
+        log.info('Consultation history cleared', { userId: req.user.id, deleted: deletedCount });
+        res.json({
+            success: true,
+            deletedCount: deletedCount
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Consultation history temporarily unavailable');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// ✅ DEADLINE CALCULATOR ROUTES
+// Deterministic: the same event and dates always give the same deadlines, no AI call.
+const express = require('express');
+const { defineRoute } = require('../middleware/rbac');
+const { sendHttpError, HttpError } = require('../services/httpError');
+const { listDeadlineRules, calculateDeadlines } = require('../services/deadlines');
+
+const router = express.Router();
+
+defineRoute(router, 'GET', '/api/deadlines', {
+    permission: 'deadlines:calculate',
+    description: 'Supported events with the dates and options each one takes'
+}, (req, res) => {
+    res.json({
+        success: true,
+        events: listDeadlineRules()
+    });
+});
+
+defineRoute(router, 'POST', '/api/deadlines', {
+    permission: 'deadlines:calculate',
+    description: 'Compute deadlines for an event (event, dates, options, asOf)'
+}, (req, res) => {
+    try {
+        const { event, dates, options, asOf } = req.body || {};
+        if (!event || typeof event !== 'string') {
+            throw new HttpError('Event is required (see GET /api/deadlines)', 400, 'MISSING_EVENT');
+        }
+        if (dates !== undefined && (typeof dates !== 'object' || dates === null || Array.isArray(dates))) {
+            throw new HttpError('Dates must be an object such as { "returnMemoDate": "2024-05-01" }', 400, 'INVALID_DATE');
+        }
+        if (options !== undefined && (typeof options !== 'object' || options === null || Array.isArray(options))) {
+            throw new HttpError('Options must be an object', 400, 'INVALID_OPTION');
+        }
+
+        res.json({
+            success: true,
+            ...calculateDeadlines(event, dates || {}, { options: options || {}, asOf: asOf })
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Deadline calculation temporarily unavailable');
+    }
+});
+
+module.exports = router;
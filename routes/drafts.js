@@ -0,0 +1,68 @@
+// ✅ LEGAL DRAFT ROUTES
+// Drafts are created by POST /api/drafts (server.js, since it calls the model);
+// these routes list templates and return or export the user's own drafts.
+const express = require('express');
+const { defineRoute } = require('../middleware/rbac');
+const { sendHttpError } = require('../services/httpError');
+const { listDraftTemplates, getDraft, listDrafts, toPublicDraft } = require('../services/drafts');
+const { toPlainText, exportDocument } = require('../services/documentExport');
+
+const router = express.Router();
+
+defineRoute(router, 'GET', '/api/drafts/templates', {
+    permission: 'drafts:create',
+    description: 'Drafting templates with their fields'
+}, (req, res) => {
+    res.json({
+        success: true,
+        templates: listDraftTemplates()
+    });
+});
+
+defineRoute(router, 'GET', '/api/drafts', {
+    permission: 'drafts:create',
+    description: 'Your drafts, newest first'
+}, (req, res) => {
+    res.json({
+        success: true,
+        drafts: listDrafts(req.user.id)
+    });
+});
+
+defineRoute(router, 'GET', '/api/drafts/:id', {
+    permission: 'drafts:create',
+    description: 'One of your drafts with its text'
+}, (req, res) => {
+    try {
+        const draft = getDraft(req.user.id, req.params.id);
+        res.json({
+            success: true,
+            draft: toPublicDraft(draft),
+            text: toPlainText(draft.paragraphs)
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Drafts temporarily unavailable');
+    }
+});
+
+defineRoute(router, 'GET', '/api/drafts/:id/export', {
+    permission: 'drafts:create',
+    description: 'Download a draft (?format=docx|pdf|text)',
+    allowQueryToken: true // plain download links cannot send an Authorization header
+}, (req, res) => {
+    try {
+        const draft = getDraft(req.user.id, req.params.id);
+        const file = exportDocument(draft.paragraphs, req.query.format || 'docx', { title: draft.title });
+
+        res.set({
+            'Content-Type': file.contentType,
+            'Content-Disposition': `attachment; filename="${draft.template}-${draft.createdAt.substring(0, 10)}.${file.extension}"`,
+            'Cache-Control': 'no-store'
+        });
+        res.send(file.buffer);
+    } catch (error) {
+        sendHttpError(res, error, 'Draft export temporarily unavailable');
+    }
+});
+
+module.exports = router;
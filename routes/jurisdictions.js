@@ -0,0 +1,21 @@
+// ✅ SUPPORTED STATES FOR JURISDICTION-AWARE ANALYSIS
+// Lists the states (and recognised districts) /api/analyze accepts as `state`/`district`;
+// see services/jurisdiction.js. Other places still work, with central law only.
+const express = require('express');
+const { defineRoute } = require('../middleware/rbac');
+const { JURISDICTION_VERSION, listStates } = require('../services/jurisdiction');
+
+const router = express.Router();
+
+defineRoute(router, 'GET', '/api/jurisdictions', {
+    permission: 'analysis:create',
+    description: 'States and districts with state-specific law in the jurisdiction dataset'
+}, (req, res) => {
+    res.json({
+        success: true,
+        version: JURISDICTION_VERSION,
+        states: listStates()
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+// ✅ PROMPT TEMPLATE VERSIONS
+// Lists the versions each AI task can run with, so clients know what to pass as
+// `promptVersion` and which traffic split is live; see services/promptTemplates.js.
+const express = require('express');
+const { defineRoute } = require('../middleware/rbac');
+const { listPromptTemplates } = require('../services/promptTemplates');
+
+const router = express.Router();
+
+defineRoute(router, 'GET', '/api/prompts', {
+    permission: 'analysis:create',
+    description: 'Prompt template versions per task, with the default and the A/B split'
+}, (req, res) => {
+    res.json({
+        success: true,
+        tasks: listPromptTemplates()
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+// ✅ REFERRALS: EMERGENCY RESOURCES AND THE VERIFIED LAWYER DIRECTORY
+// With a consultationId the stored analysis is triaged again (see services/triage.js) so a
+// user can look up referrals for an older case or another district; without one it is a
+// plain directory search by domain. Verified lawyers manage their own listing here.
+const express = require('express');
+const { defineRoute } = require('../middleware/rbac');
+const { sendHttpError, HttpError } = require('../services/httpError');
+const { getConsultation } = require('../services/consultations');
+const { detectDeadlineEvent } = require('../services/deadlines');
+const { triageCase, buildReferrals } = require('../services/triage');
+const { getDirectoryProfile, saveDirectoryProfile } = require('../services/lawyerDirectory');
+const { LEGAL_DOMAINS } = require('../services/analysisSchema');
+const { LANGUAGES } = require('../services/language');
+
+const router = express.Router();
+
+defineRoute(router, 'GET', '/api/referrals', {
+    permission: 'referrals:read',
+    description: 'Triage and referrals for a consultation (?consultationId=&district=&state=) or a directory search (?domain=&language=&district=&state=)'
+}, (req, res) => {
+    try {
+        const { consultationId, domain, limit } = req.query;
+        let { district, state } = req.query;
+        // Own keys only: ?language=constructor must not pass as a language
+        if (req.query.language && (typeof req.query.language !== 'string' || !Object.hasOwn(LANGUAGES, req.query.language))) {
+            throw new HttpError(`Unsupported language. Use one of: ${Object.keys(LANGUAGES).join(', ')}`, 400, 'INVALID_LANGUAGE');
+        }
+
+        let triage;
+        let language = req.query.language;
+        if (consultationId) {
+            const consultation = getConsultation(req.user.id, consultationId);
+            triage = triageCase({
+                query: consultation.query,
+                result: consultation.result,
+                analysis: consultation.analysis,
+                deadlines: detectDeadlineEvent(consultation.query)
+            });
+            language = language || consultation.language;
+            // The place the analysis was for, unless the caller asks about another one
+            if (!district && !state && consultation.location) {
+                ({ district, state } = consultation.location);
+            }
+        } else {
+            if (!LEGAL_DOMAINS.includes(domain)) {
+                throw new HttpError(`Pass a consultationId, or a domain (${LEGAL_DOMAINS.join(', ')})`, 400, 'INVALID_DOMAIN');
+            }
+            triage = { domain: domain, signals: [], route: 'lawyer' };
+        }
+
+        res.json({
+            success: true,
+            ...(consultationId && { consultationId: consultationId, triage: triage }),
+            referrals: buildReferrals(triage, { language, district, state, limit })
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Referrals temporarily unavailable');
+    }
+});
+
+defineRoute(router, 'GET', '/api/referrals/profile', {
+    permission: 'referrals:profile',
+    description: 'Your listing in the lawyer directory'
+}, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            profile: getDirectoryProfile(req.user.id)
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Directory listing temporarily unavailable');
+    }
+});
+
+defineRoute(router, 'PUT', '/api/referrals/profile', {
+    permission: 'referrals:profile',
+    description: 'Create or replace your listing (practiceAreas, languages, district, state, contact, acceptsLegalAid, listed)'
+}, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            profile: saveDirectoryProfile(req.user.id, req.body || {})
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Directory listing temporarily unavailable');
+    }
+});
+
+module.exports = router;
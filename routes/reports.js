@@ -0,0 +1,126 @@
+// ✅ CONSULTATION REPORTS AND SHARE LINKS
+// Owners download a consultation as PDF/DOCX and create, list and revoke share links;
+// GET /share/:token is public so an advocate can open the report without an account.
+const express = require('express');
+const { defineRoute } = require('../middleware/rbac');
+const { sendHttpError } = require('../services/httpError');
+const { getConsultation } = require('../services/consultations');
+const { exportConsultationReport, renderReportPage } = require('../services/reports');
+const {
+    createShareLink,
+    listShareLinks,
+    revokeShareLink,
+    resolveShareLink
+} = require('../services/shareLinks');
+const { createLogger } = require('../services/logger');
+
+const router = express.Router();
+const log = createLogger('reports');
+
+function sendReport(res, consultation, format) {
+    const file = exportConsultationReport(consultation, format);
+    res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.filename}"`,
+        'Cache-Control': 'no-store'
+    });
+    res.send(file.buffer);
+}
+
+function shareUrl(req, token) {
+    const base = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base.replace(/\/$/, '')}/share/${token}`;
+}
+
+function withUrl(req, link) {
+    return link.token ? { ...link, url: shareUrl(req, link.token) } : link;
+}
+
+defineRoute(router, 'GET', '/api/consultations/:id/report', {
+    permission: 'consultations:read',
+    description: 'Download a consultation report (?format=pdf|docx|text)',
+    allowQueryToken: true // plain download links cannot send an Authorization header
+}, (req, res) => {
+    try {
+        sendReport(res, getConsultation(req.user.id, req.params.id), req.query.format || 'pdf');
+    } catch (error) {
+        sendHttpError(res, error, 'Report export temporarily unavailable');
+    }
+});
+
+defineRoute(router, 'POST', '/api/consultations/:id/shares', {
+    permission: 'consultations:share',
+    description: 'Create a time-limited share link for a consultation report (expiresInHours)'
+}, (req, res) => {
+    try {
+        const link = createShareLink(req.user.id, req.params.id, { expiresInHours: (req.body || {}).expiresInHours });
+        log.info('Consultation shared', { userId: req.user.id, consultationId: req.params.id, linkId: link.id, expiresAt: link.expiresAt });
+        res.status(201).json({
+            success: true,
+            shareLink: withUrl(req, link)
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Share links temporarily unavailable');
+    }
+});
+
+defineRoute(router, 'GET', '/api/consultations/:id/shares', {
+    permission: 'consultations:share',
+    description: 'Share links for one of your consultations'
+}, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            shareLinks: listShareLinks(req.user.id, req.params.id).map(link => withUrl(req, link))
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Share links temporarily unavailable');
+    }
+});
+
+defineRoute(router, 'DELETE', '/api/consultations/:id/shares/:linkId', {
+    permission: 'consultations:share',
+    description: 'Revoke a share link'
+}, (req, res) => {
+    try {
+        const link = revokeShareLink(req.user.id, req.params.id, req.params.linkId);
+        log.info('Share link revoked', { userId: req.user.id, linkId: link.id });
+        res.json({
+            success: true,
+            shareLink: link
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Share links temporarily unavailable');
+    }
+});
+
+// The token is the credential, so the page must not leak it through referrers or caches
+defineRoute(router, 'GET', '/share/:token', {
+    permission: 'public',
+    description: 'Shared consultation report (?format=pdf|docx|text to download)'
+}, (req, res) => {
+    res.set({
+        'Cache-Control': 'no-store',
+        'Referrer-Policy': 'no-referrer',
+        'X-Robots-Tag': 'noindex, nofollow'
+    });
+
+    try {
+        const { link, consultation } = resolveShareLink(req.params.token);
+        log.info('Share link opened', { linkId: link.id, accessCount: link.accessCount });
+
+        if (req.query.format) {
+            return sendReport(res, consultation, req.query.format);
+        }
+
+        res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src 'self' data:");
+        res.type('html').send(renderReportPage(consultation, {
+            expiresAt: link.expiresAt,
+            downloadPath: `/share/${encodeURIComponent(req.params.token)}`
+        }));
+    } catch (error) {
+        sendHttpError(res, error, 'Shared report temporarily unavailable');
+    }
+});
+
+module.exports = router;
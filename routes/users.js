@@ -0,0 +1,125 @@
+// ✅ PROFILE, LAWYER VERIFICATION AND ADMIN USER MANAGEMENT ROUTES
+const express = require('express');
+const { defineRoute } = require('../middleware/rbac');
+const { sendHttpError, HttpError } = require('../services/httpError');
+const { getPermissions } = require('../services/accessControl');
+const { getUser, updateUser, toPublicUser } = require('../services/authService');
+const { submitVerification, reviewVerification, listVerifications } = require('../services/lawyerVerification');
+const { createLogger } = require('../services/logger');
+
+const router = express.Router();
+const log = createLogger('users');
+
+defineRoute(router, 'GET', '/api/me', {
+    permission: 'profile:read',
+    description: 'Your profile, role and permissions'
+}, (req, res) => {
+    res.json({
+        success: true,
+        user: req.publicUser,
+        permissions: getPermissions(req.userRole)
+    });
+});
+
+// similarAnswerCache: reuse answers to near-identical questions from other users who
+// opted in too (and let them reuse yours); identical questions are cached regardless
+defineRoute(router, 'PATCH', '/api/me', {
+    permission: 'profile:update',
+    description: 'Update your preferences (similarAnswerCache)'
+}, (req, res) => {
+    try {
+        const { preferences } = req.body || {};
+        if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+            throw new HttpError('Send { "preferences": { "similarAnswerCache": true|false } }', 400, 'INVALID_PREFERENCES');
+        }
+
+        const changes = { ...(req.user.preferences || {}) };
+        for (const [name, value] of Object.entries(preferences)) {
+            if (name !== 'similarAnswerCache' || typeof value !== 'boolean') {
+                throw new HttpError(`Unknown or invalid preference '${name}'. Supported: similarAnswerCache (true or false)`, 400, 'INVALID_PREFERENCES');
+            }
+            changes[name] = value;
+        }
+
+        const user = updateUser(req.user.id, { preferences: changes });
+        res.json({
+            success: true,
+            user: toPublicUser(user)
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Profile service temporarily unavailable');
+    }
+});
+
+defineRoute(router, 'POST', '/api/lawyer-verification', {
+    permission: 'lawyer:apply',
+    description: 'Submit Bar Council enrolment for lawyer verification'
+}, (req, res) => {
+    try {
+        const user = submitVerification(req.user.id, req.body || {});
+        res.status(202).json({
+            success: true,
+            message: "Enrolment submitted. An administrator will review it shortly.",
+            user: user
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Verification service temporarily unavailable');
+    }
+});
+
+defineRoute(router, 'GET', '/api/admin/lawyer-verifications', {
+    permission: 'lawyer:review',
+    description: 'List lawyer verifications by status (admin)'
+}, (req, res) => {
+    const status = req.query.status || 'pending';
+    res.json({
+        success: true,
+        status: status,
+        verifications: listVerifications(status)
+    });
+});
+
+defineRoute(router, 'POST', '/api/admin/lawyer-verifications/:userId', {
+    permission: 'lawyer:review',
+    description: 'Approve or reject a lawyer verification (admin)'
+}, (req, res) => {
+    try {
+        const user = reviewVerification(req.user.id, req.params.userId, req.body || {});
+        res.json({
+            success: true,
+            user: user
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'Verification service temporarily unavailable');
+    }
+});
+
+defineRoute(router, 'POST', '/api/admin/users/:userId/role', {
+    permission: 'users:manage',
+    description: 'Grant or revoke the admin role (admin)'
+}, (req, res) => {
+    try {
+        const { role } = req.body || {};
+        if (!['admin', 'citizen'].includes(role)) {
+            throw new HttpError("Invalid role. Use 'admin' or 'citizen' (lawyers are granted through verification)", 400, 'INVALID_ROLE');
+        }
+        if (req.params.userId === req.user.id && role !== 'admin') {
+            throw new HttpError('You cannot remove your own admin role', 409, 'SELF_DEMOTION');
+        }
+        if (!getUser(req.params.userId)) {
+            throw new HttpError('User not found', 404, 'USER_NOT_FOUND');
+        }
+
+        const user = updateUser(req.params.userId, { role: role });
+        log.info('Role changed', { adminId: req.user.id, userId: user.id, role: role });
+
+        res.json({
+            success: true,
+            user: toPublicUser(user)
+        });
+    } catch (error) {
+        sendHttpError(res, error, 'User management temporarily unavailable');
+    }
+});
+
+module.exports = router;
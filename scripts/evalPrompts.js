@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+// ✅ OFFLINE PROMPT EVALUATION
+// Runs the golden queries (data/eval/golden.json) through two versions of an analysis
+// prompt and compares the answers before a version gets traffic:
+//   npm run eval:prompts -- --a 2024.10.1 --b 2024.11.1 [--task analysis-json]
+// Options:
+//   --task        analysis-html (default) or analysis-json
+//   --a / --b     versions to compare (default: the task's default version / the newest one)
+//   --golden      golden set file
+//   --provider    mock (default; every model goes through the offline mock provider, which
+//                 fills in the answer format each prompt asks for and cites its grounded
+//                 provisions, so structure, length and citations differ between versions
+//                 but domain match says nothing), live (the configured models and keys) or
+//                 recorded (answers from --recordings)
+//   --recordings  JSON file { "<task>/<version>": { "<case id>": "<model text>" } }
+//   --record      write this run's answers in the same format, e.g. to replay a live run
+//   --out         write the full report as JSON
+// Each answer is scored on structure (all sections, or a valid structured result), citation
+// validity (share of cited sections found in the statute corpus), plain-text length and
+// whether it names the expected domain. Nothing is written to the server's storage.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_GOLDEN = path.join(ROOT, 'data', 'eval', 'golden.json');
+const TASKS = ['analysis-html', 'analysis-json'];
+const PROVIDERS = ['mock', 'live', 'recorded'];
+const LENGTH_BAND = { min: 600, max: 6000 }; // Plain-text characters of a useful answer
+const HTML_SECTIONS = ['domain', 'priority', 'explanation', 'actions', 'laws', 'disclaimer'];
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([\w-]+)$/);
+        if (!match) throw new Error(`Unexpected argument: ${argv[i]}`);
+        args[match[1]] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+    return args;
+}
+
+let args;
+try {
+    args = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+}
+
+const task = args.task || 'analysis-html';
+const provider = args.provider || 'mock';
+if (!TASKS.includes(task) || !PROVIDERS.includes(provider)) {
+    console.error(`❌ --task must be one of ${TASKS.join(', ')} and --provider one of ${PROVIDERS.join(', ')}`);
+    process.exit(2);
+}
+
+// Settings the services read when they load: keep logs quiet, state out of ./storage
+// and, unless asked for a live run, every model on the mock provider
+require('dotenv').config();
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+process.env.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'vidhi-eval-'));
+if (provider !== 'live') process.env.AI_PROVIDER_OVERRIDE = 'mock';
+
+const { selectTemplate, listPromptTemplates } = require('../services/promptTemplates');
+const { buildLegalPrompt, buildLegalJsonPrompt } = require('../services/analysisPrompts');
+const { callAIWithAdvancedFallback } = require('../services/aiService');
+const { ANALYSIS_SCHEMA, parseStructuredAnalysis, renderAnalysisHtml } = require('../services/analysisSchema');
+const { verifyCitations } = require('../services/citationVerifier');
+const { toPlainText } = require('../services/conversation');
+const { summarizeAnalysis } = require('../services/consultations');
+const { searchStatutes } = require('../services/statuteCorpus');
+const { assessJurisdiction } = require('../services/jurisdiction');
+const { resolveLanguage } = require('../services/language');
+const { DEFAULT_DEADLINE_MS } = require('../services/requestContext');
+
+function readJson(file, name) {
+    try {
+        return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${name} ${file}: ${error.message}`);
+    }
+}
+
+// ✅ ANSWERS
+async function answer(template, testCase, recordings) {
+    const language = resolveLanguage(testCase.language || 'en', testCase.query);
+    const jurisdiction = assessJurisdiction({ query: testCase.query, state: testCase.state, district: testCase.district });
+    const statutes = searchStatutes(testCase.query);
+
+    if (provider === 'recorded') {
+        const text = recordings[`${template.task}/${template.version}`]?.[testCase.id];
+        if (typeof text !== 'string') throw new Error('No recorded answer for this case');
+        return { text, model: 'recorded' };
+    }
+
+    const json = template.task === 'analysis-json';
+    const prompt = json
+        ? buildLegalJsonPrompt(testCase.query, language, statutes, jurisdiction, template)
+        : buildLegalPrompt(testCase.query, language, statutes, jurisdiction, template);
+    const result = await callAIWithAdvancedFallback(prompt, {
+        deadline: Date.now() + DEFAULT_DEADLINE_MS,
+        ...(json && {
+            generationConfig: { responseMimeType: 'application/json', responseSchema: ANALYSIS_SCHEMA }
+        })
+    });
+    return { text: result.analysis, model: result.model };
+}
+
+// ✅ SCORING
+// Structure, citation validity and length are each 0-1; domain is a pass/fail
+function score(task, text, testCase) {
+    let html = text;
+    let structure;
+    let summary;
+
+    if (task === 'analysis-json') {
+        const parsed = parseStructuredAnalysis(text);
+        structure = { score: parsed.errors.length ? 0 : 1, problems: parsed.errors.slice(0, 3) };
+        html = parsed.errors.length ? '' : renderAnalysisHtml(parsed.value);
+        summary = summarizeAnalysis({ result: parsed.errors.length ? null : parsed.value, analysis: html });
+    } else {
+        summary = summarizeAnalysis({ analysis: text });
+        const missing = HTML_SECTIONS.filter(section => !text.includes(`class="${section}-section"`));
+        if (!summary.priority) missing.push('priority level');
+        if (!summary.priorityScore) missing.push('priority score');
+        structure = { score: 1 - missing.length / (HTML_SECTIONS.length + 2), problems: missing.map(name => `missing ${name}`) };
+    }
+
+    const citations = verifyCitations(html).summary;
+    const length = toPlainText(html).length;
+
+    return {
+        structure: structure,
+        citations: {
+            score: citations.total ? citations.verified / citations.total : null,
+            verified: citations.verified,
+            total: citations.total
+        },
+        length: {
+            score: length >= LENGTH_BAND.min && length <= LENGTH_BAND.max ? 1 : 0,
+            characters: length
+        },
+        domain: {
+            pass: summary.domain === testCase.expectedDomain,
+            expected: testCase.expectedDomain,
+            actual: summary.domain
+        }
+    };
+}
+
+function aggregate(results) {
+    const scored = results.filter(result => result.scores);
+    const mean = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    const citationScores = scored.map(result => result.scores.citations.score).filter(value => value !== null);
+
+    return {
+        cases: results.length,
+        failed: results.length - scored.length,
+        structure: mean(scored.map(result => result.scores.structure.score)),
+        citations: mean(citationScores),
+        length: mean(scored.map(result => result.scores.length.score)),
+        domain: mean(scored.map(result => Number(result.scores.domain.pass))),
+        averageCharacters: Math.round(mean(scored.map(result => result.scores.length.characters)) || 0)
+    };
+}
+
+async function evaluate(version, cases, recordings) {
+    const template = selectTemplate(task, { version });
+    const results = [];
+    for (const testCase of cases) {
+        try {
+            const { text, model } = await answer(template, testCase, recordings);
+            results.push({ id: testCase.id, model: model, text: text, scores: score(task, text, testCase) });
+        } catch (error) {
+            results.push({ id: testCase.id, error: error.message });
+        }
+    }
+    return { version: template.version, summary: aggregate(results), results: results };
+}
+
+// ✅ REPORT
+const percent = (value) => value === null || value === undefined ? '  n/a' : `${(value * 100).toFixed(0).padStart(4)}%`;
+
+function printComparison(a, b) {
+    const rows = [
+        ['Structure', 'structure'],
+        ['Citation validity', 'citations'],
+        ['Length in band', 'length'],
+        ['Domain match', 'domain']
+    ];
+
+    console.log(`\n📊 ${task}: ${a.version} (A) vs ${b.version} (B), ${a.summary.cases} cases, provider ${provider}`);
+    console.log(`${'Metric'.padEnd(20)}${'A'.padStart(8)}${'B'.padStart(8)}`);
+    for (const [label, key] of rows) {
+        console.log(`${label.padEnd(20)}${percent(a.summary[key]).padStart(8)}${percent(b.summary[key]).padStart(8)}`);
+    }
+    console.log(`${'Avg. characters'.padEnd(20)}${String(a.summary.averageCharacters).padStart(8)}${String(b.summary.averageCharacters).padStart(8)}`);
+    console.log(`${'Failed calls'.padEnd(20)}${String(a.summary.failed).padStart(8)}${String(b.summary.failed).padStart(8)}`);
+
+    console.log('\n🔍 Per case (A → B):');
+    a.results.forEach((left, index) => {
+        const right = b.results[index];
+        const describe = (result) => result.error
+            ? `error: ${result.error}`
+            : `structure ${percent(result.scores.structure.score).trim()}, citations ${result.scores.citations.verified}/${result.scores.citations.total}, ` +
+              `${result.scores.length.characters} chars, domain ${result.scores.domain.actual}${result.scores.domain.pass ? ' ✓' : ` ✗ (expected ${result.scores.domain.expected})`}`;
+        const changed = JSON.stringify(left.scores || left.error) !== JSON.stringify(right.scores || right.error);
+        console.log(`${changed ? '≠' : '='} ${left.id}`);
+        console.log(`    A: ${describe(left)}`);
+        if (changed) console.log(`    B: ${describe(right)}`);
+    });
+}
+
+async function main() {
+    const golden = readJson(args.golden || DEFAULT_GOLDEN, 'golden set');
+    const recordings = provider === 'recorded'
+        ? readJson(args.recordings || '', 'recordings')
+        : {};
+    if (!Array.isArray(golden.cases) || !golden.cases.length) {
+        throw new Error('The golden set has no cases');
+    }
+
+    const versions = listPromptTemplates().find(entry => entry.task === task).versions.map(entry => entry.version);
+    const versionA = args.a || selectTemplate(task).version;
+    const versionB = args.b || versions[versions.length - 1];
+
+    const a = await evaluate(versionA, golden.cases, recordings);
+    const b = await evaluate(versionB, golden.cases, recordings);
+    printComparison(a, b);
+
+    if (args.record) {
+        const recorded = Object.fromEntries([a, b].map(run => [
+            `${task}/${run.version}`,
+            Object.fromEntries(run.results.filter(result => !result.error).map(result => [result.id, result.text]))
+        ]));
+        fs.writeFileSync(path.resolve(args.record), JSON.stringify(recorded, null, 2) + '\n');
+        console.log(`\n💾 Answers recorded to ${args.record} (replay with --provider recorded --recordings ${args.record})`);
+    }
+    if (args.out) {
+        const strip = (run) => ({ ...run, results: run.results.map(({ text, ...rest }) => rest) });
+        fs.writeFileSync(path.resolve(args.out), JSON.stringify({
+            task: task,
+            provider: provider,
+            goldenVersion: golden.version || null,
+            createdAt: new Date().toISOString(),
+            a: strip(a),
+            b: strip(b)
+        }, null, 2) + '\n');
+        console.log(`📝 Report written to ${args.out}`);
+    }
+
+    return a.summary.failed + b.summary.failed ? 1 : 0;
+}
+
+function finish(code) {
+    fs.rmSync(process.env.STORAGE_DIR, { recursive: true, force: true });
+    process.exit(code);
+}
+
+main()
+    .then(finish)
+    .catch(error => {
+        console.error(`❌ ${error.message}`);
+        finish(2);
+    });
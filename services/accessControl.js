@@ -0,0 +1,66 @@
+// ✅ ROLES AND PERMISSION MATRIX
+// Roles are derived from the stored user: admins are flagged explicitly (or listed in
+// ADMIN_USER_IDS), lawyers are citizens whose Bar Council enrolment an admin approved.
+
+const ROLES = {
+    CITIZEN: 'citizen',
+    LAWYER: 'lawyer',
+    ADMIN: 'admin'
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+// permission -> roles allowed to use it
+const PERMISSION_MATRIX = {
+    'analysis:create': ALL_ROLES,
+    'dashboard:read': ALL_ROLES,
+    'profile:read': ALL_ROLES,
+    'profile:update': ALL_ROLES,
+    'consultations:read': ALL_ROLES,
+    'consultations:delete': ALL_ROLES,
+    'consultations:share': ALL_ROLES,
+    'deadlines:calculate': ALL_ROLES,
+    'documents:analyze': ALL_ROLES,
+    'drafts:create': ALL_ROLES,
+    'batch:create': [ROLES.LAWYER, ROLES.ADMIN],
+    'referrals:read': ALL_ROLES,
+    'referrals:profile': [ROLES.LAWYER],
+    'lawyer:apply': [ROLES.CITIZEN],
+    'lawyer:review': [ROLES.ADMIN],
+    'users:manage': [ROLES.ADMIN],
+    'system:health': [ROLES.ADMIN],
+    'system:metrics': [ROLES.ADMIN],
+    'system:quota': [ROLES.ADMIN],
+    'system:debug': [ROLES.ADMIN]
+};
+
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+function getUserRole(user) {
+    if (!user) return null;
+    if (user.role === ROLES.ADMIN || ADMIN_USER_IDS.includes(user.id)) return ROLES.ADMIN;
+    if (user.lawyerVerification?.status === 'approved') return ROLES.LAWYER;
+    return ROLES.CITIZEN;
+}
+
+// 'public' is open to everyone, including signed-out callers (role null)
+function can(role, permission) {
+    if (permission === 'public') return true;
+    if (!role) return false;
+    return (PERMISSION_MATRIX[permission] || []).includes(role);
+}
+
+function getPermissions(role) {
+    return Object.keys(PERMISSION_MATRIX).filter(permission => can(role, permission));
+}
+
+module.exports = {
+    ROLES,
+    PERMISSION_MATRIX,
+    getUserRole,
+    can,
+    getPermissions
+};
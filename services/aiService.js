@@ -0,0 +1,682 @@
+// ✅ AI MODEL POOL: CONFIGURATION, KEY ROTATION AND MULTI-MODEL FALLBACK
+// Provider-specific request/response handling lives in ./providers; this module
+// owns the retry, backoff and fallback policy shared by every provider.
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { StringDecoder } = require('string_decoder');
+const { getProvider } = require('./providers');
+const { ERROR_TYPES } = require('./providers/base');
+const healthStore = require('./healthStore');
+const { acquireUpstreamSlot } = require('./upstreamQueue');
+const { createLogger } = require('./logger');
+const metrics = require('./metrics');
+const { wrapFetch } = require('./upstreamFixtures');
+
+const logger = createLogger('aiService');
+
+// ✅ MULTI-MODEL CONFIGURATION WITH PRIORITY
+const DEFAULT_AI_MODELS = [
+    {
+        name: 'gemini-2.5-pro',
+        provider: 'gemini',
+        endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent',
+        streamEndpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:streamGenerateContent',
+        priority: 1,
+        timeout: 180000, // 3 minutes for complex analysis
+        description: 'Highest quality for complex legal analysis'
+    },
+    {
+        name: 'gemini-1.5-pro',
+        provider: 'gemini',
+        endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:generateContent',
+        streamEndpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:streamGenerateContent',
+        priority: 2,
+        timeout: 120000, // 2 minutes
+        description: 'High quality with good reliability'
+    },
+    {
+        name: 'gemini-1.5-flash',
+        provider: 'gemini',
+        endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent',
+        streamEndpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:streamGenerateContent',
+        priority: 3,
+        timeout: 90000, // 1.5 minutes
+        description: 'Fast and cost-effective'
+    }
+];
+
+// AI_MODELS_CONFIG replaces the default list (inline JSON array or a path to a JSON file);
+// AI_PROVIDER_OVERRIDE=mock routes every configured model through the mock provider.
+function loadModelConfig() {
+    let models = DEFAULT_AI_MODELS;
+    const source = process.env.AI_MODELS_CONFIG;
+
+    if (source) {
+        const raw = /^\s*\[/.test(source) ? source : fs.readFileSync(path.resolve(source), 'utf8');
+        models = JSON.parse(raw);
+    }
+
+    const override = process.env.AI_PROVIDER_OVERRIDE;
+
+    return models
+        .map(model => ({
+            provider: 'gemini',
+            timeout: 120000,
+            ...model,
+            ...(override && { provider: override })
+        }))
+        .map(model => {
+            getProvider(model.provider); // Fail fast on unknown providers
+            return model;
+        })
+        .sort((a, b) => a.priority - b.priority);
+}
+
+const AI_MODELS = loadModelConfig();
+
+// ✅ MULTI-API KEY CONFIGURATION WITH ENHANCED TRACKING
+function createKeyConfig(key, name, provider, priority) {
+    return {
+        key: key,
+        name: name,
+        provider: provider,
+        priority: priority,
+        usageCount: 0,
+        successCount: 0,
+        errorCount: 0,
+        lastUsed: 0,
+        lastSuccess: 0
+    };
+}
+
+const API_KEYS = [
+    createKeyConfig(process.env.GEMINI_API_KEY_1, 'Primary Key', 'gemini', 1),
+    createKeyConfig(process.env.GEMINI_API_KEY_2, 'Secondary Key', 'gemini', 2),
+    createKeyConfig(process.env.GEMINI_API_KEY_3, 'Backup Key', 'gemini', 3),
+    createKeyConfig(process.env.OPENAI_API_KEY, 'OpenAI Key', 'openai', 4)
+].filter(keyConfig => keyConfig.key); // Remove undefined keys
+
+// Keyless providers (local servers, mock) get virtual key slots so usage stats
+// and the per-key fallback loop behave exactly as they do for hosted providers
+for (const providerName of new Set(AI_MODELS.map(model => model.provider))) {
+    const provider = getProvider(providerName);
+    if (provider.requiresKey) continue;
+
+    const slots = provider.virtualKeys || 1;
+    for (let slot = 1; slot <= slots; slot++) {
+        const name = slots > 1 ? `${providerName} slot ${slot}` : `${providerName} (no key)`;
+        API_KEYS.push(createKeyConfig(null, name, providerName, API_KEYS.length + 1));
+    }
+}
+
+// Backoff base is configurable so offline test runs (mock provider) need not sleep for seconds
+const RETRY_BASE_DELAY = process.env.AI_RETRY_BASE_DELAY_MS !== undefined
+    ? Number(process.env.AI_RETRY_BASE_DELAY_MS)
+    : 2000;
+
+// Usage counters survive restarts
+healthStore.attachKeyStats(API_KEYS);
+
+function getKeysForModel(model) {
+    return API_KEYS.filter(keyConfig => keyConfig.provider === model.provider);
+}
+
+// ✅ REQUEST BUDGETING: DEADLINES AND CLIENT CANCELLATION
+const MIN_ATTEMPT_MS = 5000; // Not worth starting an upstream call with less time than this
+const FALLBACK_RESERVE_MS = Number(process.env.FALLBACK_RESERVE_MS) || 30000; // Kept back for later models
+
+function createAbortError() {
+    const error = new Error('Request cancelled by client');
+    error.code = 'REQUEST_ABORTED';
+    return error;
+}
+
+// setTimeout that rejects as soon as the request is cancelled
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(createAbortError());
+
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            reject(createAbortError());
+        };
+        const timeoutId = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// ✅ ENHANCED FETCH WITH CUSTOM TIMEOUT AND ABORT CONTROLLER
+// An optional `signal` cancels the call early (client went away); that surfaces as REQUEST_ABORTED.
+// UPSTREAM_FIXTURES records these calls to, or replays them from, fixture files (./upstreamFixtures).
+const upstreamFetch = wrapFetch(fetch);
+
+async function fetchWithEnhancedTimeout(url, options = {}) {
+    const { timeout = 120000, signal, ...fetchOptions } = options;
+    
+    // Create AbortController for timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => {
+        controller.abort();
+    }, timeout);
+
+    const onAbort = () => controller.abort();
+    if (signal) {
+        if (signal.aborted) controller.abort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    try {
+        const response = await upstreamFetch(url, {
+            ...fetchOptions,
+            signal: controller.signal
+        });
+        
+        clearTimeout(timeoutId);
+        return response;
+    } catch (error) {
+        clearTimeout(timeoutId);
+        
+        // Handle cancellation and timeout errors
+        if (error.name === 'AbortError') {
+            if (signal?.aborted) throw createAbortError();
+            throw new Error(`Request timeout after ${timeout/1000} seconds`);
+        }
+        
+        // Handle network errors
+        if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+            throw new Error(`Network error: ${error.message}`);
+        }
+        
+        throw error;
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+// ✅ STREAMED RESPONSE READER (SSE OR NEWLINE-DELIMITED JSON, PER PROVIDER)
+// Resolves with { analysis, usage }; usage is the last token count the provider reported
+async function readStreamedAnalysis(response, timeout, onText, provider, signal) {
+    const decoder = new StringDecoder('utf8');
+    const delimiter = provider.streamFormat === 'ndjson' ? '\n' : '\n\n';
+    let buffer = '';
+    let analysis = '';
+    let usage = null;
+
+    // The fetch timeout only covers the response headers, so guard the body separately
+    const timeoutId = setTimeout(() => {
+        response.body.destroy(new Error(`Request timeout after ${timeout/1000} seconds while streaming`));
+    }, timeout);
+
+    const onAbort = () => response.body.destroy(createAbortError());
+    if (signal?.aborted) onAbort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const handleEvent = (rawEvent) => {
+        const payload = provider.streamFormat === 'ndjson'
+            ? rawEvent.trim()
+            : rawEvent
+                .split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('');
+
+        if (!payload || payload === '[DONE]') return;
+
+        const data = JSON.parse(payload);
+        const text = provider.parseStreamEvent(data);
+        if (provider.parseUsage) usage = provider.parseUsage(data) || usage;
+
+        if (text) {
+            analysis += text;
+            onText(text);
+        }
+    };
+
+    try {
+        for await (const chunk of response.body) {
+            buffer += decoder.write(chunk).replace(/\r\n/g, '\n');
+
+            let boundary;
+            while ((boundary = buffer.indexOf(delimiter)) !== -1) {
+                handleEvent(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + delimiter.length);
+            }
+        }
+
+        buffer += decoder.end();
+        if (buffer.trim()) {
+            handleEvent(buffer);
+        }
+    } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
+    }
+
+    return { analysis, usage };
+}
+
+// ✅ ENHANCED AI CALL WITH INTELLIGENT RETRY AND TIMEOUT HANDLING
+// Options:
+//   stream           - use the provider's streaming endpoint
+//   onEvent          - (type, data) callback for progress: attempt, retry, fallback, chunk, discard
+//   generationConfig - passed through to the model (e.g. JSON response mime type and schema)
+//   validate         - (text) => { value, errors }; a non-empty errors list counts as a failed attempt
+//   deadline         - epoch ms by which the whole fallback chain must finish; per-attempt
+//                      timeouts shrink to fit and backoffs that would overrun it are skipped
+//   signal           - AbortSignal; once aborted no further upstream calls or sleeps happen
+//   client           - { key, priority } of the caller; the chain first waits for a slot in
+//                      ./upstreamQueue and reports its place through 'queued' events
+//   requestId        - tags the chain's log records; defaults to the request in scope
+//                      (middleware/requestId.js), so only background work needs to pass it
+// A result that had to wait for a slot carries queue: { position, waitedMs }.
+async function callAIWithAdvancedFallback(prompt, options = {}) {
+    const queuedAt = Date.now();
+    let position = null;
+    const release = await acquireUpstreamSlot(options.client, {
+        signal: options.signal,
+        deadline: options.deadline,
+        onQueued: (data) => {
+            if (position === null) position = data.position;
+            if (options.onEvent) options.onEvent('queued', data);
+        }
+    });
+    const waitedMs = Date.now() - queuedAt;
+
+    try {
+        const result = await runFallbackChain(prompt, options);
+        return position === null ? result : { ...result, queue: { position: position, waitedMs: waitedMs } };
+    } finally {
+        release();
+    }
+}
+
+async function runFallbackChain(prompt, options) {
+    const { stream = false, onEvent, generationConfig, validate, deadline, signal, requestId } = options;
+    const log = logger.child(requestId ? { requestId } : {});
+    const emit = (type, data) => {
+        if (onEvent) onEvent(type, data);
+    };
+
+    let lastError = null;
+    let totalAttempts = 0;
+    let skippedPairs = 0;
+    let deadlineExceeded = false;
+    const maxRetries = 2; // Retry each key/model combo up to 2 times
+    const baseDelay = RETRY_BASE_DELAY; // 2 seconds base delay by default
+    const maxSchemaRetries = 1; // Re-ask the same model once before falling back on schema violations
+
+    // Emits a retry event and waits out the exponential backoff.
+    // Returns false when the deadline leaves no room for the retry.
+    const backoff = async (model, keyConfig, retryCount, reason) => {
+        const delay = baseDelay * Math.pow(2, retryCount); // 2s, 4s, 8s
+        if (deadline && Date.now() + delay + MIN_ATTEMPT_MS > deadline) {
+            log.info('Skipping retry: backoff would overrun the request deadline', { model: model.name, key: keyConfig.name, delayMs: delay });
+            return false;
+        }
+        log.info('Backing off before retry', { model: model.name, key: keyConfig.name, retry: retryCount + 1, reason: reason, delayMs: delay });
+        metrics.recordRetry({ model: model.name, reason: reason });
+        emit('retry', {
+            model: model.name,
+            keyUsed: keyConfig.name,
+            retry: retryCount + 1,
+            maxRetries: maxRetries,
+            reason: reason,
+            delay: delay,
+            message: `retry ${retryCount + 1}/${maxRetries} after ${reason}`
+        });
+        await sleep(delay, signal);
+        return true;
+    };
+    
+    log.info('Starting fallback chain', {
+        models: AI_MODELS.length,
+        keys: API_KEYS.length,
+        promptLength: prompt.length,
+        stream: stream
+    });
+    
+    // Try each model in priority order
+    modelLoop:
+    for (let modelIndex = 0; modelIndex < AI_MODELS.length; modelIndex++) {
+        const model = AI_MODELS[modelIndex];
+        const provider = getProvider(model.provider);
+        const modelKeys = getKeysForModel(model);
+        log.debug('Trying model', { model: model.name, provider: provider.name, priority: model.priority, timeoutMs: model.timeout });
+
+        if (modelIndex > 0) {
+            metrics.recordFallback({ scope: 'model', model: model.name });
+            log.info('Falling back to next model', { from: AI_MODELS[modelIndex - 1].name, to: model.name });
+            emit('fallback', {
+                scope: 'model',
+                from: AI_MODELS[modelIndex - 1].name,
+                to: model.name,
+                message: `switching to ${model.name}`
+            });
+        }
+
+        if (modelKeys.length === 0) {
+            log.warn('No API keys configured for provider, skipping model', { model: model.name, provider: provider.name });
+            continue;
+        }
+        
+        // Try ALL keys with current model before moving to next model
+        for (let keyIndex = 0; keyIndex < modelKeys.length; keyIndex++) {
+            const keyConfig = modelKeys[keyIndex];
+
+            if (keyIndex > 0) {
+                metrics.recordFallback({ scope: 'key', model: model.name });
+                log.info('Falling back to next key', { model: model.name, from: modelKeys[keyIndex - 1].name, to: keyConfig.name });
+                emit('fallback', {
+                    scope: 'key',
+                    model: model.name,
+                    from: modelKeys[keyIndex - 1].name,
+                    to: keyConfig.name,
+                    message: `switching to ${keyConfig.name} for ${model.name}`
+                });
+            }
+            
+            // Retry logic for each key/model combination
+            for (let retryCount = 0; retryCount <= maxRetries; retryCount++) {
+                if (signal?.aborted) throw createAbortError();
+
+                // Budget this attempt against the request deadline, keeping time back for later models
+                const remaining = deadline ? deadline - Date.now() : Infinity;
+                if (remaining < MIN_ATTEMPT_MS) {
+                    deadlineExceeded = true;
+                    log.warn('Request deadline reached, abandoning fallback chain', { model: model.name, key: keyConfig.name });
+                    break modelLoop;
+                }
+
+                let attemptTimeout = Math.min(model.timeout, remaining);
+                if (modelIndex < AI_MODELS.length - 1 && remaining - FALLBACK_RESERVE_MS >= MIN_ATTEMPT_MS) {
+                    attemptTimeout = Math.min(attemptTimeout, remaining - FALLBACK_RESERVE_MS);
+                }
+                const budgetLimited = attemptTimeout < model.timeout;
+
+                // Skip pairs whose circuit breaker is open (checked again before every retry)
+                const breaker = healthStore.canAttempt(model.name, keyConfig.name);
+                if (!breaker.allowed) {
+                    if (retryCount === 0) {
+                        skippedPairs++;
+                        log.info('Skipping pair with open circuit', {
+                            model: model.name,
+                            key: keyConfig.name,
+                            state: breaker.state,
+                            retryAt: breaker.retryAt
+                        });
+                        emit('skip', {
+                            model: model.name,
+                            keyUsed: keyConfig.name,
+                            state: breaker.state,
+                            retryAt: breaker.retryAt,
+                            lastErrorType: breaker.lastErrorType,
+                            message: `skipping ${model.name} with ${keyConfig.name} (circuit ${breaker.state})`
+                        });
+                    }
+                    break;
+                }
+
+                totalAttempts++;
+                let partialLength = 0; // Characters already streamed to the client for this attempt
+                const requestStart = Date.now();
+                const recordOutcome = (outcome) => metrics.recordUpstreamAttempt({
+                    model: model.name,
+                    provider: provider.name,
+                    key: keyConfig.name,
+                    outcome: outcome,
+                    durationMs: Date.now() - requestStart
+                });
+                
+                try {
+                    keyConfig.usageCount++;
+                    keyConfig.lastUsed = Date.now();
+                    healthStore.recordAttempt(model.name, keyConfig.name);
+                    
+                    log.info('Upstream attempt', {
+                        model: model.name,
+                        key: keyConfig.name,
+                        attempt: totalAttempts,
+                        retryCount: retryCount,
+                        timeoutMs: attemptTimeout,
+                        ...(breaker.trial && { halfOpenTrial: true }),
+                        ...(budgetLimited && { budgetLimited: true })
+                    });
+                    emit('attempt', {
+                        model: model.name,
+                        keyUsed: keyConfig.name,
+                        attempt: totalAttempts,
+                        retryCount: retryCount
+                    });
+                    
+                    const request = provider.buildRequest({
+                        model: model,
+                        apiKey: keyConfig.key,
+                        keyConfig: keyConfig,
+                        prompt: prompt,
+                        stream: stream,
+                        generationConfig: generationConfig
+                    });
+                    
+                    // Enhanced API call with model-specific timeout
+                    const response = provider.send
+                        ? await provider.send(request, { timeout: attemptTimeout, signal: signal })
+                        : await fetchWithEnhancedTimeout(request.url, {
+                            ...request.options,
+                            timeout: attemptTimeout,
+                            signal: signal
+                        });
+                    
+                    if (response.ok) {
+                        let analysis;
+                        let usage = null;
+
+                        if (stream) {
+                            const streamTimeout = Math.max(attemptTimeout - (Date.now() - requestStart), 1000);
+                            ({ analysis, usage } = await readStreamedAnalysis(response, streamTimeout, (text) => {
+                                partialLength += text.length;
+                                emit('chunk', { model: model.name, text: text });
+                            }, provider, signal));
+                        } else {
+                            const data = await response.json();
+                            analysis = provider.parseResponse(data);
+                            usage = provider.parseUsage ? provider.parseUsage(data) : null;
+                        }
+
+                        const requestTime = Date.now() - requestStart;
+                        
+                        if (analysis && analysis.length > 50) { // Ensure we got a substantial response
+                            let structured;
+
+                            if (validate) {
+                                const { value, errors } = validate(analysis);
+                                if (errors.length > 0) {
+                                    const schemaError = new Error(`Schema violation: ${errors.slice(0, 3).join('; ')}`);
+                                    schemaError.code = 'SCHEMA_VIOLATION';
+                                    throw schemaError;
+                                }
+                                structured = value;
+                            }
+
+                            keyConfig.successCount++;
+                            keyConfig.lastSuccess = Date.now();
+                            healthStore.recordSuccess(model.name, keyConfig.name);
+                            healthStore.saveKeyStats(keyConfig);
+                            
+                            recordOutcome('success');
+                            metrics.recordTokenUsage(model.name, usage);
+                            log.info('Upstream attempt succeeded', {
+                                model: model.name,
+                                key: keyConfig.name,
+                                attempt: totalAttempts,
+                                durationMs: requestTime,
+                                responseLength: analysis.length,
+                                ...(usage && { usage })
+                            });
+                            
+                            return {
+                                success: true,
+                                analysis: analysis,
+                                ...(structured && { structured }),
+                                model: model.name,
+                                provider: provider.name,
+                                keyUsed: keyConfig.name,
+                                totalAttempts: totalAttempts,
+                                requestTime: requestTime,
+                                retryCount: retryCount,
+                                ...(usage && { usage }),
+                                timestamp: new Date().toISOString()
+                            };
+                        } else {
+                            throw new Error('Empty or invalid response from AI model');
+                        }
+                    } else {
+                        const errorData = await response.json().catch(() => ({}));
+                        const errorMessage = provider.getErrorMessage(errorData) || `HTTP ${response.status}`;
+                        const classification = provider.classifyError({
+                            status: response.status,
+                            data: errorData,
+                            message: errorMessage
+                        });
+                        
+                        keyConfig.errorCount++;
+                        healthStore.recordFailure(model.name, keyConfig.name, classification.type);
+                        healthStore.saveKeyStats(keyConfig);
+                        recordOutcome(classification.type);
+                        log.warn('Upstream attempt failed', {
+                            model: model.name,
+                            key: keyConfig.name,
+                            attempt: totalAttempts,
+                            status: response.status,
+                            errorType: classification.type,
+                            retryable: classification.retryable,
+                            error: errorMessage
+                        });
+                        
+                        // Rate limiting and service unavailability back off and retry the same key/model
+                        if (classification.retryable && retryCount < maxRetries &&
+                            await backoff(model, keyConfig, retryCount, classification.reason)) {
+                            continue; // Retry with same key/model
+                        }
+                        
+                        lastError = new Error(`${model.name} (${keyConfig.name}): ${errorMessage}`);
+                        lastError.type = classification.type;
+                        break; // Move to next key for this model
+                    }
+                    
+                } catch (error) {
+                    // The client is gone: stop immediately without blaming the key/model
+                    if (error.code === 'REQUEST_ABORTED') {
+                        healthStore.releaseTrial(model.name, keyConfig.name);
+                        log.info('Upstream attempt cancelled: client disconnected', { model: model.name, key: keyConfig.name });
+                        throw error;
+                    }
+
+                    let classification = error.code === 'SCHEMA_VIOLATION'
+                        ? { type: 'SCHEMA_VIOLATION', retryable: false }
+                        : provider.classifyError({ error: error });
+
+                    // A timeout we shortened to fit the deadline says nothing about the pair's health
+                    if (budgetLimited && classification.type === ERROR_TYPES.TIMEOUT) {
+                        classification = { ...classification, type: 'BUDGET_TIMEOUT', retryable: false };
+                    }
+
+                    keyConfig.errorCount++;
+                    healthStore.recordFailure(model.name, keyConfig.name, classification.type);
+                    healthStore.saveKeyStats(keyConfig);
+                    recordOutcome(classification.type);
+                    log.warn('Upstream attempt failed', {
+                        model: model.name,
+                        key: keyConfig.name,
+                        attempt: totalAttempts,
+                        errorType: classification.type,
+                        retryable: classification.retryable,
+                        error: error.message
+                    });
+
+                    // Anything already streamed from this attempt is now stale
+                    if (partialLength > 0) {
+                        emit('discard', {
+                            model: model.name,
+                            keyUsed: keyConfig.name,
+                            discardedLength: partialLength,
+                            reason: error.message,
+                            message: `Discard partial output from ${model.name}`
+                        });
+                    }
+
+                    // Re-ask once on schema violations, no backoff needed
+                    if (error.code === 'SCHEMA_VIOLATION' && retryCount < maxSchemaRetries) {
+                        log.info('Response failed schema validation, asking again', { model: model.name, key: keyConfig.name });
+                        metrics.recordRetry({ model: model.name, reason: 'schema violation' });
+                        emit('retry', {
+                            model: model.name,
+                            keyUsed: keyConfig.name,
+                            retry: retryCount + 1,
+                            maxRetries: maxSchemaRetries,
+                            reason: 'schema violation',
+                            delay: 0,
+                            message: `retry ${retryCount + 1}/${maxSchemaRetries} after schema violation`
+                        });
+                        continue; // Retry with same key/model
+                    }
+                    
+                    // Retry on network/timeout errors
+                    if (classification.retryable && retryCount < maxRetries &&
+                        await backoff(model, keyConfig, retryCount, classification.reason)) {
+                        continue; // Retry with same key/model
+                    }
+                    
+                    error.type = error.type || classification.type;
+                    lastError = error;
+                    break; // Move to next key for this model
+                }
+            }
+        }
+        
+        log.info('All keys exhausted for model', { model: model.name, keys: modelKeys.length });
+    }
+    
+    if (totalAttempts === 0 && skippedPairs > 0) {
+        lastError = new Error(`circuit breakers open for all ${skippedPairs} key/model pairs`);
+    }
+
+    if (deadlineExceeded) {
+        lastError = new Error(`Request deadline exceeded (timeout) - last upstream error: ${lastError?.message || 'none'}`);
+    }
+
+    // All models and keys failed
+    const failureReason = deadlineExceeded ? 'deadline' : (totalAttempts === 0 && skippedPairs > 0 ? 'circuits_open' : 'exhausted');
+    metrics.recordChainFailure(failureReason);
+    log.error('Fallback chain failed', {
+        models: AI_MODELS.length,
+        keys: API_KEYS.length,
+        attempts: totalAttempts,
+        reason: failureReason,
+        lastErrorType: lastError?.type,
+        error: lastError?.message
+    });
+    
+    // Generate detailed error report
+    const keyStats = API_KEYS.map(key => 
+        `${key.name}: ${key.successCount}/${key.usageCount} success rate`
+    ).join(', ');
+    
+    const finalError = new Error(`All AI models and keys failed after ${totalAttempts} attempts. Key stats: ${keyStats}. Last error: ${lastError?.message || 'Unknown error'}`);
+    if (deadlineExceeded) finalError.code = 'DEADLINE_EXCEEDED';
+    throw finalError;
+}
+
+module.exports = {
+    AI_MODELS,
+    API_KEYS,
+    getKeysForModel,
+    fetchWithEnhancedTimeout,
+    callAIWithAdvancedFallback,
+    createAbortError,
+    sleep
+};
@@ -0,0 +1,45 @@
+// ✅ ANALYSIS AND FOLLOW-UP PROMPTS
+// Fills the versioned templates (./promptTemplates) with the delimited user text and the
+// grounding blocks. Shared by the request handlers, the batch worker and the offline
+// prompt evaluation (scripts/evalPrompts.js). Each builder takes the template chosen with
+// selectTemplate(); without one it uses the task's default version.
+const { selectTemplate, renderTemplate } = require('./promptTemplates');
+const { delimitUserQuery } = require('./promptGuard');
+const { buildStatuteGrounding } = require('./statuteCorpus');
+const { buildJurisdictionGrounding } = require('./jurisdiction');
+const { buildLanguageInstruction } = require('./language');
+const { LEGAL_DOMAINS } = require('./analysisSchema');
+
+function analysisVariables(query, language, statutes, jurisdiction, format) {
+    return {
+        query: delimitUserQuery(query),
+        statuteGrounding: buildStatuteGrounding(statutes),
+        jurisdictionGrounding: buildJurisdictionGrounding(jurisdiction),
+        languageInstruction: buildLanguageInstruction(language, format),
+        domains: LEGAL_DOMAINS.join('/')
+    };
+}
+
+function buildLegalPrompt(query, language, statutes = [], jurisdiction = null, template = selectTemplate('analysis-html')) {
+    return renderTemplate(template, analysisVariables(query, language, statutes, jurisdiction, 'html'));
+}
+
+function buildLegalJsonPrompt(query, language, statutes = [], jurisdiction = null, template = selectTemplate('analysis-json')) {
+    return renderTemplate(template, analysisVariables(query, language, statutes, jurisdiction, 'json'));
+}
+
+// Prior conversation as context, new question delimited
+function buildFollowUpPrompt(transcript, question, language, statutes = [], template = selectTemplate('follow-up')) {
+    return renderTemplate(template, {
+        transcript: transcript,
+        question: delimitUserQuery(question),
+        statuteGrounding: buildStatuteGrounding(statutes),
+        languageInstruction: buildLanguageInstruction(language, 'html')
+    });
+}
+
+module.exports = {
+    buildLegalPrompt,
+    buildLegalJsonPrompt,
+    buildFollowUpPrompt
+};
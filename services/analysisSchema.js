@@ -0,0 +1,224 @@
+// ✅ STRUCTURED LEGAL ANALYSIS SCHEMA, VALIDATION AND HTML RENDERING
+// The schema is written in the OpenAPI subset Gemini accepts as `responseSchema`,
+// so the same object drives both the model request and our own validation.
+
+const LEGAL_DOMAINS = ['Criminal', 'Civil', 'Family', 'Constitutional', 'Corporate', 'Consumer', 'Property', 'Labour', 'Other'];
+const PRIORITY_LEVELS = ['High', 'Medium', 'Low'];
+const ACTION_TYPES = ['immediate', 'documentation', 'legal_process', 'timeline'];
+
+const ANALYSIS_SCHEMA = {
+    type: 'object',
+    properties: {
+        domain: {
+            type: 'object',
+            properties: {
+                primary: { type: 'string', enum: LEGAL_DOMAINS },
+                explanation: { type: 'string' }
+            },
+            required: ['primary', 'explanation']
+        },
+        priority: {
+            type: 'object',
+            properties: {
+                level: { type: 'string', enum: PRIORITY_LEVELS },
+                score: { type: 'integer', minimum: 1, maximum: 10 },
+                reasoning: { type: 'string' }
+            },
+            required: ['level', 'score', 'reasoning']
+        },
+        analysis: { type: 'string' },
+        statutes: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    act: { type: 'string' },
+                    section: { type: 'string' },
+                    description: { type: 'string' }
+                },
+                required: ['act', 'section', 'description']
+            }
+        },
+        actions: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string', enum: ACTION_TYPES },
+                    step: { type: 'string' },
+                    deadline: { type: 'string', nullable: true }
+                },
+                required: ['type', 'step']
+            }
+        },
+        disclaimer: { type: 'string' }
+    },
+    required: ['domain', 'priority', 'analysis', 'statutes', 'actions', 'disclaimer']
+};
+
+// ✅ MINIMAL VALIDATOR FOR THE SCHEMA SUBSET ABOVE
+function validateAgainstSchema(value, schema, path = '$') {
+    const errors = [];
+
+    if (value === null || value === undefined) {
+        if (!schema.nullable) errors.push(`${path}: value is required`);
+        return errors;
+    }
+
+    switch (schema.type) {
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path}: expected object`);
+                break;
+            }
+            for (const field of schema.required || []) {
+                if (value[field] === undefined) errors.push(`${path}.${field}: missing required field`);
+            }
+            for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+                if (value[field] !== undefined) {
+                    errors.push(...validateAgainstSchema(value[field], fieldSchema, `${path}.${field}`));
+                }
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push(`${path}: expected array`);
+                break;
+            }
+            if (schema.minItems && value.length < schema.minItems) {
+                errors.push(`${path}: expected at least ${schema.minItems} item(s)`);
+            }
+            value.forEach((item, index) => {
+                errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+            });
+            break;
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push(`${path}: expected string`);
+            } else if (!value.trim()) {
+                errors.push(`${path}: must not be empty`);
+            }
+            break;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                errors.push(`${path}: expected ${schema.type}`);
+                break;
+            }
+            if (schema.type === 'integer' && !Number.isInteger(value)) errors.push(`${path}: expected integer`);
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+            break;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    return errors;
+}
+
+// ✅ PARSE MODEL OUTPUT (TOLERATES ```json FENCES) AND VALIDATE
+function parseModelJson(text, schema) {
+    const cleaned = String(text || '')
+        .trim()
+        .replace(/^```(?:json)?\s*/i, '')
+        .replace(/\s*```$/, '');
+
+    let value;
+    try {
+        value = JSON.parse(cleaned);
+    } catch (error) {
+        return { value: null, errors: [`$: invalid JSON (${error.message})`] };
+    }
+
+    // Models occasionally send numeric fields as strings ("7")
+    if (value?.priority && typeof value.priority.score === 'string' && /^\d+$/.test(value.priority.score.trim())) {
+        value.priority.score = parseInt(value.priority.score, 10);
+    }
+
+    return { value: value, errors: validateAgainstSchema(value, schema) };
+}
+
+function parseStructuredAnalysis(text) {
+    return parseModelJson(text, ANALYSIS_SCHEMA);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const ACTION_LABELS = {
+    immediate: 'Immediate',
+    documentation: 'Documentation',
+    legal_process: 'Legal Process',
+    timeline: 'Timeline'
+};
+
+function renderActionItem(action) {
+    const deadline = action.deadline ? ` <em>(Deadline: ${escapeHtml(action.deadline)})</em>` : '';
+    return `<li><strong>${ACTION_LABELS[action.type]}:</strong> ${escapeHtml(action.step)}${deadline}</li>`;
+}
+
+// ✅ RENDER THE VALIDATED STRUCTURE AS THE LEGACY HTML LAYOUT
+function renderAnalysisHtml(result) {
+    const actions = result.actions.map(renderActionItem).join('\n');
+
+    const statutes = result.statutes.map(statute =>
+        `<li><strong>${escapeHtml(statute.act)}, ${escapeHtml(statute.section)}:</strong> ${escapeHtml(statute.description)}</li>`
+    ).join('\n');
+
+    return `<div class="legal-analysis">
+<div class="domain-section">
+<h3>🏛️ Legal Domain</h3>
+<p><strong>Primary Domain:</strong> ${escapeHtml(result.domain.primary)} Law</p>
+<p><strong>Brief Explanation:</strong> ${escapeHtml(result.domain.explanation)}</p>
+</div>
+<div class="priority-section">
+<h3>⚠️ Priority Assessment</h3>
+<div class="priority-badge">${escapeHtml(result.priority.level)} Priority</div>
+<p><strong>Score:</strong> ${result.priority.score}/10</p>
+<p><strong>Reasoning:</strong> ${escapeHtml(result.priority.reasoning)}</p>
+</div>
+<div class="explanation-section">
+<h3>⚖️ Legal Analysis</h3>
+<p>${escapeHtml(result.analysis)}</p>
+</div>
+<div class="actions-section">
+<h3>📋 Recommended Actions</h3>
+<ol>
+${actions}
+</ol>
+</div>
+<div class="laws-section">
+<h3>📖 Relevant Laws</h3>
+<ul>
+${statutes}
+</ul>
+</div>
+<div class="disclaimer-section">
+<h3>⚠️ Important Notice</h3>
+<p><em>${escapeHtml(result.disclaimer)}</em></p>
+</div>
+</div>`;
+}
+
+module.exports = {
+    ANALYSIS_SCHEMA,
+    LEGAL_DOMAINS,
+    PRIORITY_LEVELS,
+    ACTION_TYPES,
+    validateAgainstSchema,
+    parseModelJson,
+    parseStructuredAnalysis,
+    renderAnalysisHtml,
+    renderActionItem,
+    escapeHtml
+};
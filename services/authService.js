@@ -0,0 +1,340 @@
+// ✅ AADHAAR + OTP AUTHENTICATION WITH SIGNED SESSIONS
+// Flow: requestOtp(aadhaar) -> verifyOtp(challengeId, otp) -> { accessToken, refreshToken }.
+// Access tokens are short-lived HS256 JWTs bound to a session id; refresh tokens are
+// opaque, stored hashed and rotated on every use. Logging out revokes the session,
+// which invalidates its outstanding access tokens as well.
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { getSecret } = require('./secrets');
+const { deliverOtp } = require('./otpDelivery');
+const { normalizeAadhaar, isValidAadhaar, hashAadhaar, maskAadhaar } = require('./aadhaar');
+const { HttpError } = require('./httpError');
+const { getUserRole } = require('./accessControl');
+
+const OTP_TTL_MS = 5 * 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_COOLDOWN_MS = 30 * 1000;
+const OTP_MAX_SENDS_PER_HOUR = 5;
+const OTP_SEND_WINDOW_MS = 60 * 60 * 1000;
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+class AuthError extends HttpError {
+    constructor(message, status = 400, code = 'AUTH_ERROR') {
+        super(message, status, code);
+        this.name = 'AuthError';
+    }
+}
+
+const store = createJsonStore('auth-store.json', { users: {}, sessions: {} });
+
+// OTP challenges are short-lived and deliberately kept in memory only
+const challenges = new Map();
+const sendHistory = new Map(); // aadhaarHash -> send timestamps within the last hour
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Expired challenges, and send histories with no send left inside the hourly window
+function pruneOtpState(now = Date.now()) {
+    for (const [id, challenge] of challenges) {
+        if (challenge.expiresAt <= now) challenges.delete(id);
+    }
+    for (const [aadhaarHash, sends] of sendHistory) {
+        if (sends.every(sentAt => now - sentAt >= OTP_SEND_WINDOW_MS)) sendHistory.delete(aadhaarHash);
+    }
+}
+
+setInterval(pruneOtpState, 60 * 1000).unref();
+
+// ✅ OTP ISSUE AND VERIFICATION
+async function requestOtp(aadhaar) {
+    if (!isValidAadhaar(aadhaar)) {
+        throw new AuthError('Please enter a valid 12-digit Aadhaar number', 400, 'INVALID_AADHAAR');
+    }
+
+    const now = Date.now();
+    const aadhaarHash = hashAadhaar(aadhaar);
+    const maskedAadhaar = maskAadhaar(aadhaar);
+
+    const recentSends = (sendHistory.get(aadhaarHash) || []).filter(sentAt => now - sentAt < OTP_SEND_WINDOW_MS);
+    if (recentSends.length >= OTP_MAX_SENDS_PER_HOUR) {
+        throw new AuthError('Too many OTP requests. Please try again in an hour.', 429, 'OTP_SEND_LIMIT');
+    }
+    const lastSent = recentSends[recentSends.length - 1];
+    if (lastSent && now - lastSent < OTP_RESEND_COOLDOWN_MS) {
+        const wait = Math.ceil((OTP_RESEND_COOLDOWN_MS - (now - lastSent)) / 1000);
+        throw new AuthError(`Please wait ${wait} seconds before requesting another OTP`, 429, 'OTP_RESEND_COOLDOWN');
+    }
+
+    // A new OTP replaces any pending one for the same Aadhaar
+    for (const [id, challenge] of challenges) {
+        if (challenge.aadhaarHash === aadhaarHash) challenges.delete(id);
+    }
+
+    const otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const challengeId = crypto.randomUUID();
+    const expiresAt = now + OTP_TTL_MS;
+
+    challenges.set(challengeId, {
+        aadhaarHash: aadhaarHash,
+        maskedAadhaar: maskedAadhaar,
+        otpHash: sha256(`${challengeId}:${otp}`),
+        expiresAt: expiresAt,
+        attempts: 0
+    });
+
+    recentSends.push(now);
+    sendHistory.set(aadhaarHash, recentSends);
+
+    await deliverOtp({ maskedAadhaar, otp, expiresAt });
+
+    return {
+        challengeId: challengeId,
+        maskedAadhaar: maskedAadhaar,
+        expiresAt: new Date(expiresAt).toISOString(),
+        expiresIn: OTP_TTL_MS / 1000
+    };
+}
+
+function findChallenge({ challengeId, aadhaar }) {
+    if (challengeId) {
+        return challenges.has(challengeId) ? [challengeId, challenges.get(challengeId)] : [];
+    }
+
+    const digits = normalizeAadhaar(aadhaar);
+    if (!digits) return [];
+
+    const aadhaarHash = hashAadhaar(digits);
+    return [...challenges.entries()].find(([, challenge]) => challenge.aadhaarHash === aadhaarHash) || [];
+}
+
+async function verifyOtp({ challengeId, aadhaar, otp }) {
+    if (!otp || !/^\d{6}$/.test(String(otp))) {
+        throw new AuthError('Invalid OTP. Please enter the 6-digit OTP.', 400, 'INVALID_OTP');
+    }
+
+    const [id, challenge] = findChallenge({ challengeId, aadhaar });
+    if (!challenge || challenge.expiresAt <= Date.now()) {
+        if (id) challenges.delete(id);
+        throw new AuthError('OTP expired or not requested. Please request a new OTP.', 400, 'OTP_EXPIRED');
+    }
+
+    challenge.attempts++;
+    if (!safeEqual(challenge.otpHash, sha256(`${id}:${otp}`))) {
+        const remaining = OTP_MAX_ATTEMPTS - challenge.attempts;
+        if (remaining <= 0) {
+            challenges.delete(id);
+            throw new AuthError('Too many incorrect attempts. Please request a new OTP.', 429, 'OTP_ATTEMPTS_EXCEEDED');
+        }
+        throw new AuthError(`Incorrect OTP. ${remaining} attempt(s) remaining.`, 400, 'OTP_MISMATCH');
+    }
+
+    challenges.delete(id);
+
+    const user = findOrCreateUser(challenge.aadhaarHash, challenge.maskedAadhaar);
+    return createSession(user);
+}
+
+// ✅ USERS
+function findOrCreateUser(aadhaarHash, maskedAadhaar) {
+    let user = Object.values(store.data.users).find(candidate => candidate.aadhaarHash === aadhaarHash);
+
+    if (!user) {
+        user = {
+            id: `user_${crypto.randomUUID()}`,
+            aadhaarHash: aadhaarHash,
+            maskedAadhaar: maskedAadhaar,
+            role: 'citizen',
+            lawyerVerification: { status: 'none' },
+            createdAt: new Date().toISOString()
+        };
+        store.data.users[user.id] = user;
+    }
+
+    user.lastLoginAt = new Date().toISOString();
+    store.save();
+    return user;
+}
+
+function getUser(userId) {
+    return store.data.users[userId] || null;
+}
+
+function listUsers(predicate = () => true) {
+    return Object.values(store.data.users).filter(predicate);
+}
+
+// Applies `changes` (plain fields) to a stored user and persists it
+function updateUser(userId, changes) {
+    const user = getUser(userId);
+    if (!user) {
+        throw new HttpError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    Object.assign(user, changes, { updatedAt: new Date().toISOString() });
+    store.save();
+    return user;
+}
+
+// What callers may see about a user (never the Aadhaar hash)
+function toPublicUser(user) {
+    return {
+        id: user.id,
+        maskedAadhaar: user.maskedAadhaar,
+        verified: true,
+        role: getUserRole(user),
+        lawyerVerification: {
+            status: user.lawyerVerification?.status || 'none',
+            ...(user.lawyerVerification?.enrolmentNumber && { enrolmentNumber: user.lawyerVerification.enrolmentNumber })
+        },
+        preferences: {
+            similarAnswerCache: Boolean(user.preferences?.similarAnswerCache)
+        },
+        createdAt: user.createdAt
+    };
+}
+
+// ✅ SIGNED ACCESS TOKENS (HS256 JWT)
+function signAccessToken(user, session) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        sub: user.id,
+        sid: session.id,
+        iat: now,
+        exp: now + ACCESS_TOKEN_TTL_SECONDS
+    }));
+    const signature = crypto.createHmac('sha256', getSecret('tokenSecret')).update(`${header}.${payload}`).digest('base64url');
+    return `${header}.${payload}.${signature}`;
+}
+
+// Returns { user, session, claims } or throws AuthError(401)
+function verifyAccessToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+        throw new AuthError('Invalid access token', 401, 'INVALID_TOKEN');
+    }
+
+    const [header, payload, signature] = parts;
+    const expected = crypto.createHmac('sha256', getSecret('tokenSecret')).update(`${header}.${payload}`).digest('base64url');
+    if (!safeEqual(signature, expected)) {
+        throw new AuthError('Invalid access token', 401, 'INVALID_TOKEN');
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new AuthError('Invalid access token', 401, 'INVALID_TOKEN');
+    }
+
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+        throw new AuthError('Access token expired. Please refresh your session.', 401, 'TOKEN_EXPIRED');
+    }
+
+    const session = store.data.sessions[claims.sid];
+    if (!session || session.revokedAt || session.expiresAt <= Date.now()) {
+        throw new AuthError('Session has ended. Please sign in again.', 401, 'SESSION_REVOKED');
+    }
+
+    const user = getUser(claims.sub);
+    if (!user) {
+        throw new AuthError('Account not found', 401, 'INVALID_TOKEN');
+    }
+
+    return { user, session, claims };
+}
+
+// ✅ SESSIONS WITH ROTATING REFRESH TOKENS
+function issueTokens(user, session) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    session.refreshTokenHash = sha256(secret);
+    session.lastUsedAt = new Date().toISOString();
+    store.save();
+
+    return {
+        accessToken: signAccessToken(user, session),
+        refreshToken: `${session.id}.${secret}`,
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+        refreshExpiresAt: new Date(session.expiresAt).toISOString(),
+        user: toPublicUser(user)
+    };
+}
+
+function createSession(user) {
+    const session = {
+        id: `sess_${crypto.randomUUID()}`,
+        userId: user.id,
+        createdAt: new Date().toISOString(),
+        expiresAt: Date.now() + REFRESH_TOKEN_TTL_MS,
+        revokedAt: null
+    };
+
+    store.data.sessions[session.id] = session;
+    return issueTokens(user, session);
+}
+
+function refreshSession(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    const session = store.data.sessions[sessionId];
+
+    if (!session || !secret || session.revokedAt || session.expiresAt <= Date.now()) {
+        throw new AuthError('Session has ended. Please sign in again.', 401, 'SESSION_REVOKED');
+    }
+
+    // A rotated-out refresh token being replayed means it leaked: end the session
+    if (!safeEqual(session.refreshTokenHash, sha256(secret))) {
+        session.revokedAt = new Date().toISOString();
+        store.save();
+        throw new AuthError('Refresh token reuse detected. Please sign in again.', 401, 'REFRESH_REUSE');
+    }
+
+    const user = getUser(session.userId);
+    if (!user) {
+        throw new AuthError('Account not found', 401, 'INVALID_TOKEN');
+    }
+
+    return issueTokens(user, session);
+}
+
+function revokeSession(sessionId) {
+    const session = store.data.sessions[sessionId];
+    if (session && !session.revokedAt) {
+        session.revokedAt = new Date().toISOString();
+        store.save();
+    }
+}
+
+// Logout with a refresh token (no valid access token needed, e.g. after expiry)
+function revokeByRefreshToken(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    const session = store.data.sessions[sessionId];
+
+    if (!session || !secret || !safeEqual(session.refreshTokenHash, sha256(secret))) {
+        throw new AuthError('Invalid refresh token', 401, 'INVALID_TOKEN');
+    }
+
+    revokeSession(sessionId);
+}
+
+module.exports = {
+    AuthError,
+    requestOtp,
+    verifyOtp,
+    verifyAccessToken,
+    refreshSession,
+    revokeSession,
+    revokeByRefreshToken,
+    getUser,
+    listUsers,
+    updateUser,
+    toPublicUser
+};
@@ -0,0 +1,601 @@
+// ✅ BATCH ANALYSIS JOBS FOR LEGAL-AID INTAKE
+// A clinic submits many queries at once (JSON list or CSV) and polls GET /api/batch/:id
+// instead of holding one connection per analysis. Jobs live in batch-jobs.json and a
+// worker works through their items BATCH_CONCURRENCY at a time, taking turns between
+// jobs; items that were mid-flight when the server stopped run again after a restart.
+// The analysis itself is supplied by the server (startBatchWorker), so batch items go
+// through exactly the same prompt, cache, sanitizer and citation checks as /api/analyze.
+// On completion an optional webhook is POSTed, signed with the job's webhook secret:
+//   X-Vidhi-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const { createJsonStore } = require('./jsonStore');
+const { HttpError } = require('./httpError');
+const { maskAadhaarInText } = require('./aadhaar');
+const { parseCsv } = require('./csv');
+const { createLogger, runWithRequestId } = require('./logger');
+
+const MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 500;
+const CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 2;
+const MAX_ACTIVE_PER_USER = parseInt(process.env.BATCH_MAX_ACTIVE_PER_USER) || 3;
+const MAX_ITEM_ATTEMPTS = 3;
+const RETRY_DELAY_MS = Number(process.env.BATCH_RETRY_DELAY_MS) || 30000; // Grows with each attempt
+const RETENTION_DAYS = parseInt(process.env.BATCH_RETENTION_DAYS) || 30;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.BATCH_WEBHOOK_RETRY_MS) || 30000; // x4 per attempt
+const MIN_WEBHOOK_SECRET_LENGTH = 16;
+const MAX_PAGE_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const store = createJsonStore('batch-jobs.json', { jobs: [] });
+const log = createLogger('batchJobs');
+
+let processItem = null; // (job, item) => result, set by startBatchWorker
+let activeItems = 0;
+let wakeTimer = null;
+
+// ✅ INPUT: JSON LIST OR CSV
+// Accepts { queries: ["...", { query, reference, language }] }, { csv: "..." } or a raw
+// CSV body. CSV needs a header row with a `query` (or `question`) column; `reference`
+// (or `id`), `language`, `state` and `district` columns are optional. Returns
+// [{ reference, query, language, state, district }].
+function parseBatchInput(body) {
+    let entries;
+
+    if (typeof body === 'string' || typeof body?.csv === 'string') {
+        entries = csvEntries(typeof body === 'string' ? body : body.csv);
+    } else if (Array.isArray(body?.queries)) {
+        entries = body.queries.map(entry => typeof entry === 'string' ? { query: entry } : (entry || {}));
+    } else {
+        throw new HttpError('Send `queries` (an array) or `csv` (text with a `query` column), or a text/csv body', 400, 'NO_QUERIES');
+    }
+
+    if (entries.length === 0) {
+        throw new HttpError('The batch contains no queries', 400, 'NO_QUERIES');
+    }
+    if (entries.length > MAX_ITEMS) {
+        throw new HttpError(`A batch may contain at most ${MAX_ITEMS} queries (got ${entries.length})`, 400, 'TOO_MANY_ITEMS');
+    }
+
+    const optionalText = (value) => typeof value === 'string' && value.trim() ? value.trim() : null;
+
+    return entries.map(entry => ({
+        reference: entry.reference ?? entry.id ?? null,
+        query: typeof entry.query === 'string' ? entry.query.trim() : '',
+        language: optionalText(entry.language),
+        state: optionalText(entry.state),
+        district: optionalText(entry.district)
+    })).map(entry => ({
+        ...entry,
+        reference: entry.reference === null || entry.reference === '' ? null : String(entry.reference).substring(0, 100)
+    }));
+}
+
+function csvEntries(text) {
+    let rows;
+    try {
+        rows = parseCsv(text);
+    } catch (error) {
+        throw new HttpError(`Could not read the CSV: ${error.message}`, 400, 'INVALID_CSV');
+    }
+
+    const header = (rows.shift() || []).map(name => name.trim().toLowerCase());
+    const column = (...names) => header.findIndex(name => names.includes(name));
+    const queryColumn = column('query', 'question');
+    const referenceColumn = column('reference', 'id');
+    const languageColumn = column('language');
+    const stateColumn = column('state');
+    const districtColumn = column('district');
+
+    if (queryColumn === -1) {
+        throw new HttpError('The CSV needs a header row with a `query` column', 400, 'MISSING_QUERY_COLUMN');
+    }
+
+    return rows.map(row => ({
+        query: row[queryColumn] || '',
+        reference: referenceColumn === -1 ? null : row[referenceColumn],
+        language: languageColumn === -1 ? null : row[languageColumn],
+        state: stateColumn === -1 ? null : row[stateColumn],
+        district: districtColumn === -1 ? null : row[districtColumn]
+    }));
+}
+
+// ✅ WEBHOOK SETTINGS
+// Webhooks must not reach into the server's own network: hosts that are, or resolve to,
+// loopback, private, link-local (cloud metadata at 169.254.169.254), CGNAT, multicast or
+// other reserved addresses are refused, as are localhost and internal-only names. The
+// address is checked again when each delivery connects, so a name that later resolves
+// somewhere private is still refused. BATCH_WEBHOOK_ALLOW_PRIVATE=true lifts this and
+// plain http is only accepted when BATCH_WEBHOOK_ALLOW_HTTP=true (both local development).
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64], ['2001::', 23],
+    ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+const INTERNAL_HOSTNAME = /(^|\.)(localhost|local|internal|intranet|lan|home\.arpa)$/i;
+
+function allowPrivateWebhooks() {
+    return process.env.BATCH_WEBHOOK_ALLOW_PRIVATE === 'true';
+}
+
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Literal addresses and names that can only be internal; single-label names count too,
+// since the resolver's search domains would complete them to an internal host
+function checkWebhookHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    if (allowPrivateWebhooks()) return;
+    if (net.isIP(host) ? isBlockedAddress(host) : (INTERNAL_HOSTNAME.test(host) || !host.includes('.'))) {
+        throw new HttpError('webhookUrl must point to a public host', 400, 'INVALID_WEBHOOK_URL');
+    }
+}
+
+// dns.lookup with the same address check, used by the delivery agents so the address
+// actually connected to is the one checked
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+        if (blocked) {
+            const refused = new Error(`${hostname} resolves to a private or reserved address (${blocked.address})`);
+            refused.code = 'WEBHOOK_ADDRESS_BLOCKED';
+            return callback(refused);
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const webhookAgents = {
+    'http:': new http.Agent({ lookup: guardedLookup }),
+    'https:': new https.Agent({ lookup: guardedLookup })
+};
+
+// Resolves the host once when the job is created, so a private target fails with a 400
+// instead of five failed deliveries later
+async function checkWebhookTarget(url) {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (allowPrivateWebhooks() || net.isIP(hostname)) return;
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+        throw new HttpError(`webhookUrl host ${hostname} could not be resolved`, 400, 'INVALID_WEBHOOK_URL');
+    }
+    if (addresses.some(entry => isBlockedAddress(entry.address))) {
+        throw new HttpError('webhookUrl must point to a public host', 400, 'INVALID_WEBHOOK_URL');
+    }
+}
+
+function validateWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value));
+    } catch (error) {
+        throw new HttpError('webhookUrl is not a valid URL', 400, 'INVALID_WEBHOOK_URL');
+    }
+
+    const allowHttp = process.env.BATCH_WEBHOOK_ALLOW_HTTP === 'true';
+    if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+        throw new HttpError('webhookUrl must use https://', 400, 'INVALID_WEBHOOK_URL');
+    }
+    if (url.username || url.password) {
+        throw new HttpError('webhookUrl must not contain credentials; verify the signature instead', 400, 'INVALID_WEBHOOK_URL');
+    }
+    checkWebhookHost(url.hostname);
+    return url;
+}
+
+function validateWebhookSecret(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string' || value.length < MIN_WEBHOOK_SECRET_LENGTH) {
+        throw new HttpError(`webhookSecret must be a string of at least ${MIN_WEBHOOK_SECRET_LENGTH} characters`, 400, 'INVALID_WEBHOOK_SECRET');
+    }
+    return value;
+}
+
+// ✅ JOB VIEWS
+function countItems(job) {
+    const counts = { total: job.items.length, pending: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    for (const item of job.items) counts[item.status]++;
+    counts.percent = counts.total ? Math.floor(((counts.completed + counts.failed + counts.cancelled) / counts.total) * 100) : 100;
+    return counts;
+}
+
+function toPublicItem(item) {
+    return {
+        index: item.index,
+        reference: item.reference,
+        query: item.query,
+        status: item.status,
+        attempts: item.attempts,
+        ...(item.notBefore && { retryAt: new Date(item.notBefore).toISOString() }),
+        error: item.error,
+        result: item.result,
+        startedAt: item.startedAt,
+        completedAt: item.completedAt
+    };
+}
+
+// The webhook secret is never shown again after creation
+function toPublicJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        format: job.format,
+        progress: countItems(job),
+        webhook: job.webhook && {
+            url: job.webhook.url,
+            status: job.webhook.status,
+            attempts: job.webhook.attempts,
+            lastError: job.webhook.lastError,
+            deliveredAt: job.webhook.deliveredAt
+        },
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt
+    };
+}
+
+function isActive(job) {
+    return job.status === 'queued' || job.status === 'running';
+}
+
+function touch(job) {
+    job.updatedAt = new Date().toISOString();
+    store.save();
+}
+
+function findOwnJob(userId, batchId) {
+    const job = store.data.jobs.find(record => record.id === batchId && record.userId === userId);
+    if (!job) {
+        throw new HttpError('Batch not found', 404, 'BATCH_NOT_FOUND');
+    }
+    return job;
+}
+
+// ✅ JOBS
+// items: [{ reference, query, language, error }] - items with an error (failed validation
+// in the route) are recorded as failed and never sent to the model
+async function createBatchJob(userId, { items, format = 'html', webhookUrl, webhookSecret }) {
+    let webhook = null;
+    let generatedSecret = null;
+    if (webhookUrl) {
+        const url = validateWebhookUrl(webhookUrl);
+        const secret = validateWebhookSecret(webhookSecret) || (generatedSecret = crypto.randomBytes(24).toString('base64url'));
+        await checkWebhookTarget(url);
+        webhook = {
+            url: url.toString(),
+            secret: secret,
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            deliveredAt: null,
+            nextAttemptAt: null
+        };
+    } else if (webhookSecret) {
+        throw new HttpError('webhookSecret needs a webhookUrl', 400, 'INVALID_WEBHOOK_SECRET');
+    }
+
+    // Counted after the DNS lookup, so concurrent uploads cannot both slip under the limit
+    const active = store.data.jobs.filter(job => job.userId === userId && isActive(job)).length;
+    if (active >= MAX_ACTIVE_PER_USER) {
+        throw new HttpError(`You already have ${MAX_ACTIVE_PER_USER} batches in progress. Wait for one to finish or cancel it.`, 429, 'TOO_MANY_BATCHES');
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        id: `batch_${crypto.randomUUID()}`,
+        userId: userId,
+        status: 'queued',
+        format: format,
+        items: items.map((item, index) => ({
+            index: index,
+            reference: item.reference,
+            query: maskAadhaarInText(item.query),
+            language: item.language,
+            state: item.state || null,
+            district: item.district || null,
+            status: item.error ? 'failed' : 'pending',
+            attempts: 0,
+            error: item.error || null,
+            result: null,
+            startedAt: null,
+            completedAt: item.error ? now : null
+        })),
+        webhook: webhook,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        completedAt: null
+    };
+
+    store.data.jobs.push(job);
+    touch(job);
+    finishIfDone(job);
+    pump();
+
+    return { job: toPublicJob(job), webhookSecret: generatedSecret };
+}
+
+function listBatchJobs(userId) {
+    return store.data.jobs
+        .filter(job => job.userId === userId)
+        .slice()
+        .reverse()
+        .map(toPublicJob);
+}
+
+function getBatchJob(userId, batchId, { offset = 0, limit = 50 } = {}) {
+    const job = findOwnJob(userId, batchId);
+    const start = Math.max(parseInt(offset) || 0, 0);
+    const size = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+
+    return {
+        ...toPublicJob(job),
+        items: job.items.slice(start, start + size).map(toPublicItem),
+        page: { offset: start, limit: size, total: job.items.length }
+    };
+}
+
+// Items already talking to the model finish; everything still pending is dropped
+function cancelBatchJob(userId, batchId) {
+    const job = findOwnJob(userId, batchId);
+    if (!isActive(job)) {
+        throw new HttpError(`Batch is already ${job.status}`, 409, 'BATCH_FINISHED');
+    }
+
+    const now = new Date().toISOString();
+    for (const item of job.items) {
+        if (item.status === 'pending') {
+            item.status = 'cancelled';
+            item.completedAt = now;
+            delete item.notBefore;
+        }
+    }
+    job.status = 'cancelling';
+    log.info('Batch cancelled', { batchId: job.id, userId: userId });
+    touch(job);
+    finishIfDone(job);
+    return toPublicJob(job);
+}
+
+function finishIfDone(job) {
+    if (job.completedAt || job.items.some(item => item.status === 'pending' || item.status === 'running')) return;
+
+    job.status = job.status === 'cancelling' ? 'cancelled' : 'completed';
+    job.completedAt = new Date().toISOString();
+    const counts = countItems(job);
+    log.info('Batch finished', { batchId: job.id, status: job.status, completed: counts.completed, failed: counts.failed, cancelled: counts.cancelled });
+    touch(job);
+    deliverWebhook(job);
+}
+
+// ✅ WORKER
+// Picks the next runnable item from the job with the fewest items in flight, oldest job
+// first, so a 500-row upload does not hold back a clinic's five-row batch behind it
+function nextItem(now) {
+    let best = null;
+
+    for (const job of store.data.jobs) {
+        if (!isActive(job)) continue;
+        const item = job.items.find(candidate => candidate.status === 'pending' && !(candidate.notBefore > now));
+        if (!item) continue;
+
+        const running = job.items.filter(candidate => candidate.status === 'running').length;
+        if (!best || running < best.running) best = { job, item, running };
+    }
+    return best;
+}
+
+function pump() {
+    if (!processItem) return;
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+
+    const now = Date.now();
+    let next;
+    while (activeItems < CONCURRENCY && (next = nextItem(now))) {
+        runItem(next.job, next.item);
+    }
+
+    // Wake up again when the earliest delayed retry is due
+    const retryTimes = store.data.jobs
+        .filter(isActive)
+        .flatMap(job => job.items.filter(item => item.status === 'pending' && item.notBefore > now).map(item => item.notBefore));
+    if (retryTimes.length) {
+        wakeTimer = setTimeout(pump, Math.min(...retryTimes) - now);
+        wakeTimer.unref();
+    }
+}
+
+async function runItem(job, item) {
+    activeItems++;
+    item.status = 'running';
+    item.attempts++;
+    item.startedAt = item.startedAt || new Date().toISOString();
+    delete item.notBefore;
+    if (job.status === 'queued') {
+        job.status = 'running';
+        job.startedAt = item.startedAt;
+    }
+    touch(job);
+
+    try {
+        item.result = await runWithRequestId(`${job.id}#${item.index}`, () => processItem(job, item));
+        item.status = 'completed';
+        item.error = null;
+    } catch (error) {
+        // A full queue or an overrun deadline says nothing about the query; try it again later
+        const transient = error.status === 429 || error.code === 'DEADLINE_EXCEEDED';
+        if (transient && item.attempts < MAX_ITEM_ATTEMPTS && isActive(job)) {
+            item.status = 'pending';
+            item.notBefore = Date.now() + (error.retryAfterSeconds ? error.retryAfterSeconds * 1000 : RETRY_DELAY_MS * item.attempts);
+        } else {
+            item.status = 'failed';
+            item.error = error.publicMessage || (error instanceof HttpError ? error.message : 'Analysis failed');
+        }
+        log.warn('Batch item failed', {
+            batchId: job.id,
+            index: item.index,
+            attempts: item.attempts,
+            willRetry: item.status === 'pending',
+            error: error
+        });
+    } finally {
+        activeItems--;
+        if (item.status !== 'pending') item.completedAt = new Date().toISOString();
+        touch(job);
+        finishIfDone(job);
+        pump();
+    }
+}
+
+// processor: async (job, item) => result stored on the item
+function startBatchWorker(processor) {
+    processItem = processor;
+    prune();
+
+    // Interrupted items of a job that was being cancelled are cancelled, not run again
+    let resumed = 0;
+    const now = new Date().toISOString();
+    for (const job of store.data.jobs) {
+        for (const item of job.items) {
+            if (item.status !== 'running') continue;
+            if (job.status === 'cancelling') {
+                item.status = 'cancelled';
+                item.completedAt = now;
+            } else {
+                item.status = 'pending';
+                resumed++;
+            }
+        }
+
+        // finishIfDone delivers the webhook itself for a job it finishes now
+        const finishedEarlier = Boolean(job.completedAt);
+        finishIfDone(job);
+        if (finishedEarlier && job.webhook?.status === 'pending') {
+            scheduleWebhook(job, Date.parse(job.webhook.nextAttemptAt || 0) - Date.now());
+        }
+    }
+    if (resumed) {
+        log.info('Resuming batch items interrupted by a restart', { items: resumed });
+        store.save();
+    }
+
+    pump();
+}
+
+// Finished jobs older than BATCH_RETENTION_DAYS are removed
+function prune() {
+    const cutoff = Date.now() - RETENTION_DAYS * DAY_MS;
+    const before = store.data.jobs.length;
+    store.data.jobs = store.data.jobs.filter(job => !job.completedAt || Date.parse(job.completedAt) > cutoff);
+    if (store.data.jobs.length !== before) store.save();
+}
+
+setInterval(prune, 6 * 60 * 60 * 1000).unref();
+
+// ✅ COMPLETION WEBHOOK
+// The payload carries the job summary only; results are fetched with the owner's token
+function scheduleWebhook(job, delayMs) {
+    setTimeout(() => deliverWebhook(job), Math.max(delayMs, 0)).unref();
+}
+
+async function deliverWebhook(job) {
+    const webhook = job.webhook;
+    if (!webhook || webhook.status !== 'pending') return;
+
+    webhook.attempts++;
+    const body = JSON.stringify({
+        event: 'batch.completed',
+        batch: toPublicJob(job),
+        resultsPath: `/api/batch/${job.id}`
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+    try {
+        const url = new URL(webhook.url);
+        checkWebhookHost(url.hostname);
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'VidhiSaarathi-Webhook/1.0',
+                'X-Vidhi-Event': 'batch.completed',
+                'X-Vidhi-Delivery': `${job.id}:${webhook.attempts}`,
+                'X-Vidhi-Signature': `t=${timestamp},v1=${signature}`
+            },
+            body: body,
+            redirect: 'manual',
+            signal: controller.signal,
+            ...(!allowPrivateWebhooks() && { agent: webhookAgents[url.protocol] })
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        webhook.status = 'delivered';
+        webhook.deliveredAt = new Date().toISOString();
+        webhook.lastError = null;
+        webhook.nextAttemptAt = null;
+        log.info('Batch webhook delivered', { batchId: job.id, attempts: webhook.attempts });
+    } catch (error) {
+        webhook.lastError = error.name === 'AbortError' ? `timeout after ${WEBHOOK_TIMEOUT_MS / 1000}s` : error.message;
+
+        if (webhook.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+            webhook.status = 'failed';
+            webhook.nextAttemptAt = null;
+            log.error('Batch webhook failed permanently', { batchId: job.id, attempts: webhook.attempts, error: webhook.lastError });
+        } else {
+            const delay = WEBHOOK_RETRY_BASE_MS * Math.pow(4, webhook.attempts - 1);
+            webhook.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            log.warn('Batch webhook failed, will retry', { batchId: job.id, attempts: webhook.attempts, retryInMs: delay, error: webhook.lastError });
+            scheduleWebhook(job, delay);
+        }
+    } finally {
+        clearTimeout(timer);
+        touch(job);
+    }
+}
+
+function getBatchStats() {
+    const stats = { jobs: {}, pendingItems: 0, runningItems: activeItems, concurrency: CONCURRENCY };
+    for (const job of store.data.jobs) {
+        stats.jobs[job.status] = (stats.jobs[job.status] || 0) + 1;
+        if (isActive(job)) stats.pendingItems += job.items.filter(item => item.status === 'pending').length;
+    }
+    return stats;
+}
+
+module.exports = {
+    MAX_ITEMS,
+    parseBatchInput,
+    createBatchJob,
+    listBatchJobs,
+    getBatchJob,
+    cancelBatchJob,
+    startBatchWorker,
+    getBatchStats
+};
@@ -0,0 +1,370 @@
+// ✅ CITATION VERIFICATION FOR GENERATED ANALYSES
+// Every statute reference in the answer ("Section 420 IPC", "BNS Section 318(4)",
+// "Article 21 of the Constitution", "Order XXXIX Rule 1 CPC") is extracted and checked
+// against the table of valid sections per Act in the statute manifest. Repealed codes
+// get their replacement; numbers an Act does not have are flagged (or, with
+// CITATION_POLICY=strip, removed from the Relevant Laws list).
+const {
+    normalizeSection,
+    listActs,
+    getAct,
+    findSection,
+    crossReference,
+    formatCitation
+} = require('./statuteCorpus');
+const { createLogger } = require('./logger');
+
+const log = createLogger('citationVerifier');
+
+const CITATION_POLICIES = ['flag', 'strip'];
+const CITATION_POLICY = CITATION_POLICIES.includes(process.env.CITATION_POLICY) ? process.env.CITATION_POLICY : 'flag';
+
+// Provisions are paired with an Act named right before or after them, else with
+// the last Act mentioned earlier in the same paragraph or list item
+const ACT_LOOKAROUND_CHARS = 40;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function toPlainText(html) {
+    return String(html || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ');
+}
+
+// ✅ PATTERNS (built once from the manifest)
+const ACT_NAMES = listActs()
+    .flatMap(act => [act.title.replace(/,?\s*\d{4}$/, ''), ...act.aliases])
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+
+// "Indian Contract Act, 1872", "IPC", "Cr.P.C." - the year is optional
+const ACT_PATTERN = new RegExp(`(?<![\\w.])(${ACT_NAMES.join('|')})(?:,?\\s*\\d{4})?(?![\\w])`, 'gi');
+
+// One number with sub-clauses: 318(4), 498A, 21, 13B(1), 65B(4)(c)
+const NUMBER = '\\d{1,3}[A-Z]{0,2}(?:\\s?\\(\\s?[0-9a-z]{1,4}\\s?\\))*';
+
+// "Section 420", "Sections 406 and 420", "u/s 138", "Article 21", "Arts. 14, 19 & 21"
+const PROVISION_PATTERN = new RegExp(
+    `\\b(Sections?|Secs?\\.?|S\\.|u\\/s\\.?|Articles?|Arts?\\.?)\\s*(${NUMBER}(?:\\s*(?:,|\\/|&|and|or)\\s*${NUMBER})*)`,
+    'gi'
+);
+
+// "Order XXXIX Rule 1", "Order 39 Rule 1"
+const ORDER_PATTERN = /\bOrder\s+([IVXL]+|\d{1,2})\b(?:\s*,?\s*Rules?\s+(\d{1,3}[A-Z]?))?/g;
+
+// Bare short forms: "IPC 420", "CrPC 438" (no "Section" word)
+const SHORT_FORM_PATTERN = /\b(IPC|CrPC|Cr\.P\.C\.?|BNS|BNSS|CPC|BSA)\s+(\d{1,3}[A-Z]{0,2}(?:\(\d{1,3}\))*)(?![\w(])/g;
+
+const ROMAN_NUMERALS = [[50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+
+function toRoman(number) {
+    let remaining = number;
+    return ROMAN_NUMERALS.reduce((result, [value, numeral]) => {
+        while (remaining >= value) {
+            result += numeral;
+            remaining -= value;
+        }
+        return result;
+    }, '');
+}
+
+function romanToNumber(value) {
+    if (/^\d+$/.test(value)) return Number(value);
+
+    const digits = { I: 1, V: 5, X: 10, L: 50 };
+    return value.toUpperCase().split('').reduce((total, char, i, chars) => {
+        const current = digits[char];
+        return digits[chars[i + 1]] > current ? total - current : total + current;
+    }, 0);
+}
+
+// "171A-171I" -> 171A, 171B, ... 171I
+function expandLettered(list) {
+    const result = new Set();
+
+    for (const item of list) {
+        const range = item.match(/^(\d+)([A-Z]+)-\1([A-Z]+)$/);
+        if (!range || range[2].length !== 1 || range[3].length !== 1) {
+            result.add(item);
+            continue;
+        }
+        for (let code = range[2].charCodeAt(0); code <= range[3].charCodeAt(0); code++) {
+            result.add(`${range[1]}${String.fromCharCode(code)}`);
+        }
+    }
+
+    return result;
+}
+
+const LETTERED = new Map(listActs()
+    .filter(act => act.validSections && Array.isArray(act.validSections.lettered))
+    .map(act => [act.key, expandLettered(act.validSections.lettered)]));
+
+// ✅ VALIDITY AGAINST THE TABLE
+// Returns null when valid, otherwise the reason it is not
+function checkProvision(actInfo, provision) {
+    const table = actInfo.validSections;
+    if (!table) return null;
+
+    if (provision.order) {
+        const order = romanToNumber(provision.order);
+        if (!table.orders) return 'act_has_no_orders';
+        return order >= 1 && order <= table.orders ? null : 'order_not_in_act';
+    }
+
+    const match = normalizeSection(provision.section).match(/^(\d+)([A-Z]*)/);
+    if (!match) return 'section_not_in_act';
+
+    const number = Number(match[1]);
+    if (number < 1 || number > table.max) return 'section_not_in_act';
+    if (match[2] && LETTERED.has(actInfo.key) && !LETTERED.get(actInfo.key).has(`${match[1]}${match[2]}`)) {
+        return 'section_not_in_act';
+    }
+
+    return null;
+}
+
+function describeProvision(actInfo, provision) {
+    if (provision.order) {
+        return `${actInfo.aliases.includes(actInfo.key) ? actInfo.key : actInfo.title} Order ${provision.order}${provision.rule ? ` Rule ${provision.rule}` : ''}`;
+    }
+    return formatCitation(actInfo.key, provision.section);
+}
+
+function verifyProvision(actInfo, provision) {
+    const citation = describeProvision(actInfo, provision);
+    const base = {
+        citation: citation,
+        act: actInfo.key,
+        actTitle: actInfo.title,
+        unit: provision.order ? 'Order' : actInfo.unit,
+        section: provision.order ? `Order ${provision.order}${provision.rule ? ` Rule ${provision.rule}` : ''}` : provision.section
+    };
+
+    const reason = checkProvision(actInfo, provision);
+    if (reason) {
+        return { ...base, status: 'unknown', reason: reason };
+    }
+
+    const found = provision.order ? findSection(actInfo.key, base.section) : findSection(actInfo.key, provision.section);
+
+    if (actInfo.status === 'repealed') {
+        const mapped = provision.order ? [] : crossReference(actInfo.key, provision.section);
+        const replacedBy = getAct(actInfo.replacedBy);
+        return {
+            ...base,
+            status: 'repealed',
+            title: found ? found.title : null,
+            note: actInfo.note || null,
+            replacement: mapped.length
+                ? mapped.map(ref => ({
+                    act: ref.act,
+                    section: ref.section,
+                    citation: ref.section ? formatCitation(ref.act, ref.section) : null,
+                    title: ref.title,
+                    note: ref.note
+                }))
+                : [{
+                    act: replacedBy.key,
+                    section: null,
+                    citation: null,
+                    title: replacedBy.title,
+                    note: `Replaced by the ${replacedBy.title}; the corresponding section is not in the mapping table.`
+                }]
+        };
+    }
+
+    return {
+        ...base,
+        status: 'verified',
+        title: found ? found.title : null,
+        inCorpus: Boolean(found)
+    };
+}
+
+// ✅ EXTRACTION
+function findActMentions(text) {
+    const mentions = [];
+    let match;
+
+    ACT_PATTERN.lastIndex = 0;
+    while ((match = ACT_PATTERN.exec(text)) !== null) {
+        const actInfo = getAct(match[1]);
+        if (actInfo) mentions.push({ actInfo, start: match.index, end: match.index + match[0].length });
+    }
+
+    return mentions;
+}
+
+// The Act a provision belongs to: "Section 420 of the IPC" / "420 IPC" (after),
+// "Indian Contract Act, 1872 - Section 73" / "BNS Section 318" (before), else context
+function pairWithAct(text, start, end, mentions, unit) {
+    const after = mentions.find(mention =>
+        mention.start >= end &&
+        mention.start - end <= ACT_LOOKAROUND_CHARS &&
+        /^\s*(?:,?\s*(?:of|under|in)\s+(?:the\s+)?)?$/i.test(text.slice(end, mention.start))
+    );
+    if (after) return after.actInfo;
+
+    const before = mentions.filter(mention => mention.end <= start && start - mention.end <= 6).pop();
+    if (before && /^[\s,:\-–]*$/.test(text.slice(before.end, start))) return before.actInfo;
+
+    // "Section 5 of the agreement" belongs to something that is not a statute
+    if (/^\s*,?\s*of\s+(?:the\s+|this\s+|your\s+)?\w/i.test(text.slice(end, end + ACT_LOOKAROUND_CHARS))) return null;
+
+    if (/^Art/i.test(unit)) return getAct('COI');
+
+    const context = mentions.filter(mention => mention.end <= start).pop();
+    return context ? context.actInfo : null;
+}
+
+function extractCitations(text) {
+    const mentions = findActMentions(text);
+    const found = [];
+    let match;
+
+    PROVISION_PATTERN.lastIndex = 0;
+    while ((match = PROVISION_PATTERN.exec(text)) !== null) {
+        const actInfo = pairWithAct(text, match.index, match.index + match[0].length, mentions, match[1]);
+        if (!actInfo) continue;
+
+        for (const section of match[2].split(/\s*(?:,|\/|&|\band\b|\bor\b)\s*/)) {
+            if (section) found.push({ actInfo, section: section.replace(/\s+/g, '') });
+        }
+    }
+
+    ORDER_PATTERN.lastIndex = 0;
+    while ((match = ORDER_PATTERN.exec(text)) !== null) {
+        const actInfo = pairWithAct(text, match.index, match.index + match[0].length, mentions, 'Order') || getAct('CPC');
+        found.push({ actInfo, order: toRoman(romanToNumber(match[1])), rule: match[2] || null });
+    }
+
+    SHORT_FORM_PATTERN.lastIndex = 0;
+    while ((match = SHORT_FORM_PATTERN.exec(text)) !== null) {
+        found.push({ actInfo: getAct(match[1]), section: match[2] });
+    }
+
+    return found;
+}
+
+function citationKey(citation) {
+    return `${citation.act}:${normalizeSection(citation.section)}`;
+}
+
+// Note appended to a paragraph or list item about the citations in it
+function buildAnnotation(citations, blockCitationKeys) {
+    const notes = [];
+
+    for (const citation of citations) {
+        if (citation.status === 'unknown') {
+            notes.push(`Could not verify ${citation.citation} - the ${citation.actTitle} has no such ${citation.unit.toLowerCase()}`);
+        }
+        if (citation.status === 'repealed') {
+            const current = citation.replacement.filter(ref => ref.citation);
+            // Already written as "BNS Section 318(4) (formerly IPC Section 420)"
+            if (current.some(ref => blockCitationKeys.has(`${ref.act}:${normalizeSection(ref.section)}`))) continue;
+
+            notes.push(current.length
+                ? `${citation.citation} is repealed; now ${current.map(ref => ref.citation).join(' / ')}. ${citation.note || ''}`.trim()
+                : `${citation.citation} is repealed${citation.replacement[0].note ? ` - ${citation.replacement[0].note}` : ''}`);
+        }
+    }
+
+    return notes.length ? ` <em>(${notes.map(note => escapeHtml(note.replace(/\.$/, ''))).join('; ')})</em>` : '';
+}
+
+// ✅ VERIFY AN ANALYSIS
+// Works paragraph by paragraph (<p>/<li>) on sanitized HTML; returns the annotated
+// HTML, one entry per distinct citation and a count per status
+function verifyCitations(html, { policy = CITATION_POLICY } = {}) {
+    const source = String(html || '');
+    const lawsStart = source.indexOf('class="laws-section"');
+    const lawsEnd = lawsStart === -1 ? -1 : source.indexOf('-section"', lawsStart + 'class="laws-section"'.length);
+    const citations = new Map();
+    let stripped = 0;
+
+    const output = source.replace(/<(p|li)\b([^>]*)>([\s\S]*?)<\/\1>/g, (block, tag, attributes, inner, offset) => {
+        const blockCitations = new Map();
+
+        for (const provision of extractCitations(toPlainText(inner))) {
+            const citation = verifyProvision(provision.actInfo, provision);
+            blockCitations.set(citationKey(citation), citation);
+        }
+        if (!blockCitations.size) return block;
+
+        for (const [key, citation] of blockCitations) {
+            if (!citations.has(key)) citations.set(key, { ...citation, action: null });
+        }
+
+        const inLawsList = tag === 'li' && offset > lawsStart && lawsStart !== -1 && (lawsEnd === -1 || offset < lawsEnd);
+        const allUnknown = Array.from(blockCitations.values()).every(citation => citation.status === 'unknown');
+
+        if (policy === 'strip' && inLawsList && allUnknown) {
+            for (const key of blockCitations.keys()) citations.get(key).action = 'stripped';
+            stripped++;
+            return '';
+        }
+
+        const annotation = buildAnnotation(Array.from(blockCitations.values()), new Set(blockCitations.keys()));
+        if (!annotation) return block;
+
+        for (const [key, citation] of blockCitations) {
+            if (citation.status !== 'verified' && !citations.get(key).action) citations.get(key).action = 'annotated';
+        }
+        return `<${tag}${attributes}>${inner}${annotation}</${tag}>`;
+    });
+
+    const list = Array.from(citations.values());
+    const summary = {
+        policy: policy,
+        total: list.length,
+        verified: list.filter(citation => citation.status === 'verified').length,
+        repealed: list.filter(citation => citation.status === 'repealed').length,
+        unknown: list.filter(citation => citation.status === 'unknown').length,
+        stripped: stripped
+    };
+
+    if (summary.repealed || summary.unknown) {
+        log.info('Citations checked', { verified: summary.verified, repealed: summary.repealed, unknown: summary.unknown, stripped: stripped });
+    }
+
+    return { html: output, citations: list, summary: summary };
+}
+
+// Structured (JSON) answers: drop statutes whose section the Act does not have (strip policy only)
+function pruneStructuredStatutes(result, { policy = CITATION_POLICY } = {}) {
+    if (!result || policy !== 'strip') return result;
+
+    const statutes = result.statutes.filter(statute => {
+        const actInfo = getAct(statute.act);
+        if (!actInfo) return true;
+
+        // Same shape as the rendered list item: "Bharatiya Nyaya Sanhita, 2023, Section 318(4)"
+        const provisions = extractCitations(`${statute.act}, ${statute.section}`);
+        return !provisions.length || provisions.some(provision => !checkProvision(provision.actInfo, provision));
+    });
+
+    return { ...result, statutes: statutes };
+}
+
+module.exports = {
+    CITATION_POLICY,
+    extractCitations,
+    verifyCitations,
+    pruneStructuredStatutes
+};
@@ -0,0 +1,310 @@
+// ✅ CONSULTATION HISTORY
+// Every analysis made by a signed-in user is kept as a consultation record (query,
+// sanitized analysis, structured result, model, priority). The dashboard and the
+// history endpoints are computed from these records; users can delete their own.
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { HttpError } = require('./httpError');
+const { maskAadhaarInText } = require('./aadhaar');
+const { LEGAL_DOMAINS, PRIORITY_LEVELS } = require('./analysisSchema');
+
+const MAX_CONSULTATIONS_PER_USER = parseInt(process.env.MAX_CONSULTATIONS_PER_USER) || 500;
+const MAX_FOLLOW_UPS = parseInt(process.env.MAX_FOLLOW_UPS_PER_CONSULTATION) || 20;
+const MAX_PAGE_SIZE = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const store = createJsonStore('consultations.json', { consultations: [] });
+
+// Records saved before queries had to be strings may hold numbers, arrays or objects
+for (const record of store.data.consultations) {
+    if (typeof record.query !== 'string') record.query = String(record.query ?? '');
+}
+
+// ✅ DOMAIN / PRIORITY FROM A STRUCTURED RESULT OR THE PROMPT'S HTML LAYOUT
+function normalizeDomain(value) {
+    const text = String(value || '').toLowerCase();
+    return LEGAL_DOMAINS.find(domain => text.includes(domain.toLowerCase())) || 'Other';
+}
+
+function summarizeAnalysis({ result, analysis }) {
+    if (result) {
+        return {
+            domain: normalizeDomain(result.domain?.primary),
+            priority: PRIORITY_LEVELS.includes(result.priority?.level) ? result.priority.level : null,
+            priorityScore: Number.isInteger(result.priority?.score) ? result.priority.score : null
+        };
+    }
+
+    const html = String(analysis || '');
+    // Labels may be translated (see ./language), so match on the section layout instead
+    const domainMatch = html.match(/class="domain-section">[\s\S]*?<\/strong>\s*([^<]+)/i);
+    const badgeMatch = html.match(/class="priority-badge">[^<]*?\b(High|Medium|Low)\b/i);
+    const scoreMatch = html.match(/class="priority-section">[\s\S]*?\b(\d{1,2})\s*\/\s*10/i);
+    const score = scoreMatch ? Number(scoreMatch[1]) : null;
+
+    return {
+        domain: normalizeDomain(domainMatch && domainMatch[1]),
+        priority: badgeMatch ? badgeMatch[1][0].toUpperCase() + badgeMatch[1].slice(1).toLowerCase() : null,
+        priorityScore: score >= 1 && score <= 10 ? score : null
+    };
+}
+
+// ✅ RECORDS
+// Only the resolved place is kept from `jurisdiction` (see ./jurisdiction), so referrals for
+// the consultation can be looked up again later
+function recordConsultation(userId, { query, format, language = 'en', analysis, result, jurisdiction, model, provider, processingTime, streamed = false }) {
+    const now = new Date().toISOString();
+    const consultation = {
+        id: `cons_${crypto.randomUUID()}`,
+        userId: userId,
+        query: maskAadhaarInText(query),
+        format: format,
+        language: language,
+        streamed: streamed,
+        ...summarizeAnalysis({ result, analysis }),
+        analysis: analysis,
+        result: result || null,
+        location: jurisdiction?.state ? { state: jurisdiction.state.name, district: jurisdiction.district } : null,
+        model: model,
+        provider: provider,
+        processingTime: processingTime,
+        messages: [],
+        createdAt: now,
+        updatedAt: now
+    };
+
+    store.data.consultations.push(consultation);
+
+    // Keep only the newest records per user
+    const own = store.data.consultations.filter(record => record.userId === userId);
+    if (own.length > MAX_CONSULTATIONS_PER_USER) {
+        const dropped = new Set(own.slice(0, own.length - MAX_CONSULTATIONS_PER_USER));
+        store.data.consultations = store.data.consultations.filter(record => !dropped.has(record));
+    }
+
+    store.save();
+    return consultation;
+}
+
+function userConsultations(userId) {
+    return store.data.consultations.filter(record => record.userId === userId);
+}
+
+// List entries leave out the (large) analysis body
+function toSummary(record) {
+    return {
+        id: record.id,
+        query: record.query,
+        format: record.format,
+        language: record.language || 'en',
+        streamed: record.streamed,
+        domain: record.domain,
+        priority: record.priority,
+        priorityScore: record.priorityScore,
+        model: record.model,
+        provider: record.provider,
+        messageCount: (record.messages || []).length,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt
+    };
+}
+
+function parseDateFilter(value, name) {
+    if (value === undefined || value === '') return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new HttpError(`Invalid '${name}' date. Use an ISO date such as 2024-05-01`, 400, 'INVALID_FILTER');
+    }
+    return time;
+}
+
+// Newest first; filters: domain, priority, from/to (ISO dates), q (text in the query)
+function listConsultations(userId, { page = 1, limit = 20, domain, priority, from, to, q } = {}) {
+    const pageNumber = parseInt(page) || 1;
+    const pageSize = parseInt(limit) || 20;
+
+    if (pageNumber < 1 || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw new HttpError(`Invalid pagination. 'page' starts at 1 and 'limit' is 1-${MAX_PAGE_SIZE}`, 400, 'INVALID_PAGINATION');
+    }
+    if (domain && !LEGAL_DOMAINS.includes(domain)) {
+        throw new HttpError(`Invalid domain. Use one of ${LEGAL_DOMAINS.join(', ')}`, 400, 'INVALID_FILTER');
+    }
+    if (priority && !PRIORITY_LEVELS.includes(priority)) {
+        throw new HttpError(`Invalid priority. Use one of ${PRIORITY_LEVELS.join(', ')}`, 400, 'INVALID_FILTER');
+    }
+
+    const fromTime = parseDateFilter(from, 'from');
+    const toTime = parseDateFilter(to, 'to');
+    const search = q ? String(q).toLowerCase() : null;
+
+    const matches = userConsultations(userId)
+        .filter(record => !domain || record.domain === domain)
+        .filter(record => !priority || record.priority === priority)
+        .filter(record => fromTime === null || Date.parse(record.createdAt) >= fromTime)
+        .filter(record => toTime === null || Date.parse(record.createdAt) <= toTime)
+        .filter(record => !search || record.query.toLowerCase().includes(search))
+        .reverse();
+
+    return {
+        consultations: matches
+            .slice((pageNumber - 1) * pageSize, pageNumber * pageSize)
+            .map(toSummary),
+        pagination: {
+            page: pageNumber,
+            limit: pageSize,
+            total: matches.length,
+            totalPages: Math.ceil(matches.length / pageSize)
+        }
+    };
+}
+
+function getConsultation(userId, consultationId) {
+    const record = store.data.consultations.find(candidate => candidate.id === consultationId);
+
+    // Someone else's consultation looks exactly like a missing one
+    if (!record || record.userId !== userId) {
+        throw new HttpError('Consultation not found', 404, 'CONSULTATION_NOT_FOUND');
+    }
+
+    return record;
+}
+
+function deleteConsultation(userId, consultationId) {
+    const record = getConsultation(userId, consultationId);
+    store.data.consultations = store.data.consultations.filter(candidate => candidate !== record);
+    store.save();
+    return record.id;
+}
+
+function deleteAllConsultations(userId) {
+    const before = store.data.consultations.length;
+    store.data.consultations = store.data.consultations.filter(record => record.userId !== userId);
+    store.save();
+    return before - store.data.consultations.length;
+}
+
+// ✅ FOLLOW-UP THREAD
+// Each follow-up adds a user message and the assistant's (sanitized) answer
+function assertCanFollowUp(consultation) {
+    const followUps = (consultation.messages || []).filter(message => message.role === 'user').length;
+    if (followUps >= MAX_FOLLOW_UPS) {
+        throw new HttpError(`This consultation has reached its limit of ${MAX_FOLLOW_UPS} follow-up questions. Please start a new consultation.`, 409, 'FOLLOW_UP_LIMIT');
+    }
+}
+
+function appendFollowUp(userId, consultationId, { question, analysis, model, provider, processingTime, summary }) {
+    const consultation = getConsultation(userId, consultationId);
+    const now = new Date().toISOString();
+
+    const userMessage = {
+        id: `msg_${crypto.randomUUID()}`,
+        role: 'user',
+        content: maskAadhaarInText(question),
+        createdAt: now
+    };
+    const assistantMessage = {
+        id: `msg_${crypto.randomUUID()}`,
+        role: 'assistant',
+        analysis: analysis,
+        model: model,
+        provider: provider,
+        processingTime: processingTime,
+        createdAt: now
+    };
+
+    consultation.messages = [...(consultation.messages || []), userMessage, assistantMessage];
+    if (summary) consultation.conversationSummary = summary;
+    consultation.updatedAt = now;
+
+    store.save();
+    return { userMessage, assistantMessage, messageCount: consultation.messages.length };
+}
+
+// ✅ DASHBOARD ANALYTICS
+function formatRelativeTime(timestamp, now = Date.now()) {
+    const seconds = Math.max(0, Math.round((now - Date.parse(timestamp)) / 1000));
+    const plural = (value, unit) => `${value} ${unit}${value === 1 ? '' : 's'} ago`;
+
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return plural(Math.floor(seconds / 60), 'minute');
+    if (seconds < 86400) return plural(Math.floor(seconds / 3600), 'hour');
+    if (seconds < 30 * 86400) return plural(Math.floor(seconds / 86400), 'day');
+    if (seconds < 365 * 86400) return plural(Math.floor(seconds / (30 * 86400)), 'month');
+    return plural(Math.floor(seconds / (365 * 86400)), 'year');
+}
+
+// Daily counts (UTC days) for the last `days` days, oldest first, including empty days
+function dailyTrend(records, days, now) {
+    const today = Math.floor(now / DAY_MS);
+    const counts = new Map();
+
+    for (const record of records) {
+        const day = Math.floor(Date.parse(record.createdAt) / DAY_MS);
+        if (today - day < days) counts.set(day, (counts.get(day) || 0) + 1);
+    }
+
+    return Array.from({ length: days }, (_, i) => {
+        const day = today - days + 1 + i;
+        return {
+            date: new Date(day * DAY_MS).toISOString().slice(0, 10),
+            count: counts.get(day) || 0
+        };
+    });
+}
+
+function getDashboardStats(userId, { trendDays = 30, recentLimit = 5, now = Date.now() } = {}) {
+    const records = userConsultations(userId);
+    const scored = records.filter(record => record.priorityScore !== null);
+    const countSince = (ms) => records.filter(record => now - Date.parse(record.createdAt) < ms).length;
+
+    const byDomain = Object.fromEntries(LEGAL_DOMAINS.map(domain => [domain, 0]));
+    const byPriority = Object.fromEntries([...PRIORITY_LEVELS, 'Unknown'].map(level => [level, 0]));
+    for (const record of records) {
+        byDomain[record.domain] = (byDomain[record.domain] || 0) + 1;
+        byPriority[record.priority || 'Unknown']++;
+    }
+
+    const topDomain = Object.entries(byDomain)
+        .filter(([, count]) => count > 0)
+        .sort((a, b) => b[1] - a[1])[0];
+
+    return {
+        analytics: {
+            totalConsultations: records.length,
+            last7Days: countSince(7 * DAY_MS),
+            last30Days: countSince(30 * DAY_MS),
+            averagePriorityScore: scored.length
+                ? Math.round(scored.reduce((sum, record) => sum + record.priorityScore, 0) / scored.length * 10) / 10
+                : null,
+            topDomain: topDomain ? topDomain[0] : null,
+            byDomain: byDomain,
+            byPriority: byPriority
+        },
+        trends: {
+            days: trendDays,
+            daily: dailyTrend(records, trendDays, now)
+        },
+        recentActivity: records.slice(-recentLimit).reverse().map(record => ({
+            id: record.id,
+            action: `${record.domain} consultation`,
+            priority: record.priority,
+            query: record.query.length > 80 ? `${record.query.substring(0, 80)}...` : record.query,
+            time: formatRelativeTime(record.createdAt, now),
+            timestamp: record.createdAt
+        }))
+    };
+}
+
+module.exports = {
+    summarizeAnalysis,
+    recordConsultation,
+    listConsultations,
+    getConsultation,
+    assertCanFollowUp,
+    appendFollowUp,
+    deleteConsultation,
+    deleteAllConsultations,
+    getDashboardStats,
+    formatRelativeTime,
+    toSummary
+};
@@ -0,0 +1,54 @@
+// ✅ MINIMAL RFC 4180 CSV PARSER
+// Quoted fields may contain commas, doubled quotes and line breaks; CRLF and LF both end
+// a record and blank lines are skipped. Returns an array of rows (arrays of strings).
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let index = 0;
+    const input = String(text || '').replace(/^\uFEFF/, ''); // Spreadsheet exports often start with a BOM
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+    };
+    const endRow = () => {
+        endField();
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        row = [];
+    };
+
+    while (index < input.length) {
+        const char = input[index];
+
+        if (quoted) {
+            if (char === '"' && input[index + 1] === '"') {
+                field += '"';
+                index += 2;
+                continue;
+            }
+            if (char === '"') quoted = false;
+            else field += char;
+            index++;
+            continue;
+        }
+
+        if (char === '"' && field === '') quoted = true;
+        else if (char === ',') endField();
+        else if (char === '\n') endRow();
+        else if (char !== '\r') field += char;
+        index++;
+    }
+
+    if (quoted) {
+        throw new Error('unterminated quoted field');
+    }
+    if (field !== '' || row.length) endRow();
+
+    return rows;
+}
+
+module.exports = {
+    parseCsv
+};
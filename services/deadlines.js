@@ -0,0 +1,677 @@
+// ✅ LIMITATION PERIODS AND LEGAL DEADLINES
+// Deterministic rules for the deadlines people most often miss: Limitation Act
+// suits and appeals, consumer complaints, cheque dishonour (NI Act s.138/142), RTI
+// replies and appeals, and arrest/remand limits. Each rule turns an event and its
+// dates into dated steps with the provision that sets the period.
+const { HttpError } = require('./httpError');
+const { formatCitation } = require('./statuteCorpus');
+const { renderActionItem } = require('./analysisSchema');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// `from` is an input date or 'step:<key>' (the due date of an earlier step); a list
+// means the first one known. `when(options, inputs)` picks between alternative steps.
+// `provision.article` refers to the Schedule of the Limitation Act, 1963.
+const RULES = {
+    cheque_dishonour: {
+        title: 'Cheque dishonour (Negotiable Instruments Act, 1881)',
+        inputs: {
+            returnMemoDate: 'the date you received the bank\'s return memo',
+            chequeDate: 'the date written on the cheque',
+            noticeServedDate: 'the date the drawer received your demand notice'
+        },
+        primaryInput: 'returnMemoDate',
+        detect: /\b(cheque|check)s?\b[\s\S]{0,60}\b(bounce[sd]?|dishono(u)?r(ed)?|returned unpaid|insufficient funds)\b|\b(bounce[sd]?|dishono(u)?red)\b[\s\S]{0,30}\b(cheque|check)/i,
+        steps: [
+            {
+                key: 'presentation',
+                when: (options, inputs) => !inputs.returnMemoDate,
+                action: 'Present the cheque to the bank',
+                from: 'chequeDate',
+                period: { months: 3 },
+                provision: { act: 'NIA', section: '138', clause: 'proviso (a)' }
+            },
+            {
+                key: 'demandNotice',
+                action: 'Send a written demand notice to the drawer',
+                from: 'returnMemoDate',
+                period: { days: 30 },
+                provision: { act: 'NIA', section: '138', clause: 'proviso (b)' },
+                note: 'Send it by registered post or speed post and keep the receipt.'
+            },
+            {
+                key: 'paymentWindow',
+                action: 'Drawer\'s time to pay after receiving the notice',
+                from: 'noticeServedDate',
+                period: { days: 15 },
+                provision: { act: 'NIA', section: '138', clause: 'proviso (c)' }
+            },
+            {
+                key: 'complaint',
+                action: 'File the cheque bounce complaint before the Magistrate',
+                from: 'step:paymentWindow',
+                period: { months: 1 },
+                provision: { act: 'NIA', section: '142', clause: '(1)(b)' },
+                courtFiling: true,
+                note: 'The cause of action arises when the 15 days to pay end. A later complaint needs sufficient cause for the delay.'
+            }
+        ]
+    },
+
+    consumer_appeal: {
+        title: 'Appeal against a Consumer Commission order (Consumer Protection Act, 2019)',
+        inputs: { orderDate: 'the date of the Commission\'s order' },
+        options: { forum: ['state_commission', 'national_commission'] },
+        primaryInput: 'orderDate',
+        detect: /\bappeal\b[\s\S]{0,80}\b(consumer|district|state) (commission|forum|court)\b|\b(consumer|district) (commission|forum|court)\b[\s\S]{0,80}\bappeal\b/i,
+        steps: [
+            {
+                key: 'stateAppeal',
+                when: options => options.forum !== 'national_commission',
+                action: 'File an appeal before the State Commission against the District Commission\'s order',
+                from: 'orderDate',
+                period: { days: 45 },
+                provision: { act: 'CPA', section: '41' },
+                courtFiling: true,
+                note: 'Half the amount the District Commission ordered (up to Rs. 50,000) has to be deposited with the appeal.'
+            },
+            {
+                key: 'nationalAppeal',
+                when: options => options.forum === 'national_commission',
+                action: 'File an appeal before the National Commission against the State Commission\'s order',
+                from: 'orderDate',
+                period: { days: 30 },
+                provision: { act: 'CPA', section: '51' },
+                courtFiling: true
+            }
+        ]
+    },
+
+    consumer_complaint: {
+        title: 'Consumer complaint (Consumer Protection Act, 2019)',
+        inputs: { causeOfActionDate: 'the date of the defective delivery, deficient service or refusal' },
+        primaryInput: 'causeOfActionDate',
+        detect: /\bconsumer (complaint|court|forum|commission)\b|\bdefective (product|goods|item|phone|car)\b|\bdeficiency (in|of) service\b|\brefund\b[\s\S]{0,40}\b(denied|refused|not (given|received|processed))\b/i,
+        steps: [
+            {
+                key: 'complaint',
+                action: 'File the consumer complaint before the District Commission',
+                from: 'causeOfActionDate',
+                period: { years: 2 },
+                provision: { act: 'CPA', section: '69', clause: '(1)' },
+                courtFiling: true,
+                note: 'A later complaint is admitted only with an application showing sufficient cause for the delay (s.69(2)).'
+            }
+        ]
+    },
+
+    rti_request: {
+        title: 'RTI request and appeals (Right to Information Act, 2005)',
+        inputs: {
+            requestDate: 'the date the PIO received your RTI application',
+            replyDate: 'the date you received the PIO\'s reply',
+            firstAppealDate: 'the date you filed the first appeal'
+        },
+        options: { lifeOrLiberty: [true, false] },
+        primaryInput: 'requestDate',
+        detect: /\bRTI\b|\bright to information\b/i,
+        steps: [
+            {
+                key: 'reply',
+                when: options => !options.lifeOrLiberty,
+                action: 'PIO must reply to the RTI application',
+                from: 'requestDate',
+                period: { days: 30 },
+                provision: { act: 'RTI', section: '7', clause: '(1)' },
+                note: 'No reply within 30 days counts as a refusal (s.7(2)).'
+            },
+            {
+                key: 'reply',
+                when: options => options.lifeOrLiberty,
+                action: 'PIO must reply to an application concerning life or liberty',
+                from: 'requestDate',
+                period: { days: 2 },
+                provision: { act: 'RTI', section: '7', clause: '(1) proviso' }
+            },
+            {
+                key: 'firstAppeal',
+                action: 'File the first appeal with the First Appellate Authority',
+                from: ['replyDate', 'step:reply'],
+                period: { days: 30 },
+                provision: { act: 'RTI', section: '19', clause: '(1)' }
+            },
+            {
+                key: 'firstAppealDecision',
+                action: 'First Appellate Authority must decide the appeal',
+                from: 'firstAppealDate',
+                period: { days: 30 },
+                provision: { act: 'RTI', section: '19', clause: '(6)' },
+                note: 'Extendable to 45 days with reasons recorded in writing.'
+            },
+            {
+                key: 'secondAppeal',
+                action: 'File the second appeal with the Information Commission',
+                from: 'step:firstAppealDecision',
+                period: { days: 90 },
+                provision: { act: 'RTI', section: '19', clause: '(3)' },
+                note: 'Counted from when the first appeal decision was due or was received, whichever is earlier.'
+            }
+        ]
+    },
+
+    civil_appeal: {
+        title: 'Appeal from a civil court decree (Limitation Act, 1963)',
+        inputs: { decreeDate: 'the date of the decree' },
+        options: { forum: ['high_court', 'district_court'] },
+        primaryInput: 'decreeDate',
+        detect: /\bappeal\b[\s\S]{0,80}\b(decree|civil (court|suit|judge)|lost (the|my) (civil )?(case|suit))\b|\b(decree|civil court)\b[\s\S]{0,80}\bappeal\b/i,
+        steps: [
+            {
+                key: 'appeal',
+                when: options => options.forum !== 'district_court',
+                action: 'File the appeal in the High Court',
+                from: 'decreeDate',
+                period: { days: 90 },
+                provision: { act: 'LIM', article: '116', clause: '(a)' },
+                courtFiling: true,
+                note: 'Time spent obtaining the certified copy of the decree is excluded (s.12(2)); delay can be condoned for sufficient cause (s.5).'
+            },
+            {
+                key: 'appeal',
+                when: options => options.forum === 'district_court',
+                action: 'File the appeal in the District Court',
+                from: 'decreeDate',
+                period: { days: 30 },
+                provision: { act: 'LIM', article: '116', clause: '(b)' },
+                courtFiling: true,
+                note: 'Time spent obtaining the certified copy of the decree is excluded (s.12(2)); delay can be condoned for sufficient cause (s.5).'
+            }
+        ]
+    },
+
+    criminal_appeal: {
+        title: 'Appeal against a conviction (Limitation Act, 1963)',
+        inputs: { judgmentDate: 'the date of the judgment or sentence' },
+        options: { forum: ['high_court', 'sessions_court'] },
+        primaryInput: 'judgmentDate',
+        detect: /\bappeal\b[\s\S]{0,80}\b(convict(ed|ion)|sentence[d]?)\b|\b(convict(ed|ion)|sentenced)\b[\s\S]{0,80}\bappeal\b/i,
+        steps: [
+            {
+                key: 'appeal',
+                when: options => options.forum !== 'sessions_court',
+                action: 'File the criminal appeal in the High Court',
+                from: 'judgmentDate',
+                period: { days: 60 },
+                provision: { act: 'LIM', article: '115', clause: '(b)(i)' },
+                courtFiling: true,
+                note: 'Time spent obtaining the certified copy of the judgment is excluded (s.12(2)).'
+            },
+            {
+                key: 'appeal',
+                when: options => options.forum === 'sessions_court',
+                action: 'File the criminal appeal in the Court of Session',
+                from: 'judgmentDate',
+                period: { days: 30 },
+                provision: { act: 'LIM', article: '115', clause: '(b)(ii)' },
+                courtFiling: true,
+                note: 'Time spent obtaining the certified copy of the judgment is excluded (s.12(2)).'
+            }
+        ]
+    },
+
+    arrest: {
+        title: 'Arrest and remand time limits (Bharatiya Nagarik Suraksha Sanhita, 2023)',
+        inputs: { arrestDate: 'the date of arrest', remandDate: 'the date of the first remand by the Magistrate' },
+        options: { seriousOffence: [true, false] },
+        primaryInput: 'arrestDate',
+        detect: /\b(arrested|taken into (police )?custody|in police custody|remanded)\b/i,
+        steps: [
+            {
+                key: 'production',
+                action: 'Police must produce the arrested person before a Magistrate',
+                from: 'arrestDate',
+                period: { days: 1 },
+                provision: { act: 'BNSS', section: '58' },
+                note: 'Within 24 hours of arrest, excluding travel time to the court.'
+            },
+            {
+                key: 'defaultBail',
+                action: 'Charge-sheet due; if it is not filed, apply for default bail',
+                from: ['remandDate', 'arrestDate'],
+                period: options => ({ days: options.seriousOffence ? 90 : 60 }),
+                provision: { act: 'BNSS', section: '187', clause: '(3)' },
+                courtFiling: true,
+                note: '90 days for offences punishable with death, life imprisonment or 10+ years, 60 days otherwise; counted from the first remand.'
+            }
+        ]
+    },
+
+    maintenance_arrears: {
+        title: 'Unpaid maintenance (Bharatiya Nagarik Suraksha Sanhita, 2023)',
+        inputs: { dueDate: 'the date the unpaid maintenance instalment fell due' },
+        primaryInput: 'dueDate',
+        detect: /\bmaintenance\b[\s\S]{0,60}\b(arrears|not (been )?paid|unpaid|stopped paying|not paying)\b/i,
+        steps: [
+            {
+                key: 'recovery',
+                action: 'Apply to the Magistrate to recover the unpaid maintenance',
+                from: 'dueDate',
+                period: { years: 1 },
+                provision: { act: 'BNSS', section: '144', clause: '(3) proviso' },
+                courtFiling: true
+            }
+        ]
+    },
+
+    money_recovery: {
+        title: 'Recovering money lent (Limitation Act, 1963)',
+        inputs: { loanDate: 'the date the money was lent' },
+        primaryInput: 'loanDate',
+        detect: /\b(lent|loaned)\b|\bborrowed\b[\s\S]{0,60}\b(not|never|refus\w*) (re)?pa(y|id|ying)\b|\bowes? me\b/i,
+        steps: [
+            {
+                key: 'suit',
+                action: 'File a suit to recover the money',
+                from: 'loanDate',
+                period: { years: 3 },
+                provision: { act: 'LIM', article: '19' },
+                courtFiling: true,
+                note: 'A written acknowledgment of the debt or a part-payment before the period ends starts a fresh 3 years (ss.18-19).'
+            }
+        ]
+    },
+
+    contract_breach: {
+        title: 'Compensation for breach of contract (Limitation Act, 1963)',
+        inputs: { breachDate: 'the date the contract was broken' },
+        primaryInput: 'breachDate',
+        detect: /\bbreach of (the )?(contract|agreement)\b|\b(broke|violated) the (contract|agreement)\b/i,
+        steps: [
+            {
+                key: 'suit',
+                action: 'File a suit for compensation for the breach',
+                from: 'breachDate',
+                period: { years: 3 },
+                provision: { act: 'LIM', article: '55' },
+                courtFiling: true
+            }
+        ]
+    },
+
+    specific_performance: {
+        title: 'Specific performance of a contract (Limitation Act, 1963)',
+        inputs: { performanceDate: 'the date fixed for performance, or when you learnt it was refused' },
+        primaryInput: 'performanceDate',
+        detect: /\bspecific performance\b|\b(refus\w*|not) (to )?(execute|register) the sale deed\b/i,
+        steps: [
+            {
+                key: 'suit',
+                action: 'File a suit for specific performance',
+                from: 'performanceDate',
+                period: { years: 3 },
+                provision: { act: 'LIM', article: '54' },
+                courtFiling: true
+            }
+        ]
+    },
+
+    decree_execution: {
+        title: 'Executing a decree (Limitation Act, 1963)',
+        inputs: { decreeDate: 'the date the decree became enforceable' },
+        primaryInput: 'decreeDate',
+        detect: /\bexecut\w* (of )?(the |a )?decree\b|\bdecree\b[\s\S]{0,40}\bnot (been )?(complied|paid|obeyed)\b/i,
+        steps: [
+            {
+                key: 'execution',
+                action: 'File the execution petition',
+                from: 'decreeDate',
+                period: { years: 12 },
+                provision: { act: 'LIM', article: '136' },
+                courtFiling: true
+            }
+        ]
+    },
+
+    possession_suit: {
+        title: 'Recovering possession of immovable property (Limitation Act, 1963)',
+        inputs: { adverseFrom: 'the date the other person\'s possession became adverse to you' },
+        primaryInput: 'adverseFrom',
+        detect: /\b(encroach\w*|illegally occup\w*|adverse possession|grabbed (my|our) (land|plot|property))\b/i,
+        steps: [
+            {
+                key: 'suit',
+                action: 'File a suit for possession based on title',
+                from: 'adverseFrom',
+                period: { years: 12 },
+                provision: { act: 'LIM', article: '65' },
+                courtFiling: true
+            }
+        ]
+    },
+
+    civil_suit_other: {
+        title: 'Other civil suits (Limitation Act, 1963)',
+        inputs: { accrualDate: 'the date the right to sue arose' },
+        primaryInput: 'accrualDate',
+        steps: [
+            {
+                key: 'suit',
+                action: 'File the suit',
+                from: 'accrualDate',
+                period: { years: 3 },
+                provision: { act: 'LIM', article: '113' },
+                courtFiling: true,
+                note: 'Residuary period for suits with no specific article in the Schedule.'
+            }
+        ]
+    }
+};
+
+// ✅ DATES (calendar dates in India; the day of the event itself is excluded, Limitation Act s.12(1))
+function parseIsoDate(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+
+    const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return new Date(time).toISOString().slice(0, 10) === value ? time : null;
+}
+
+function toIsoDate(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function todayInIndia(now = Date.now()) {
+    return toIsoDate(now + IST_OFFSET_MS);
+}
+
+// Months and years are calendar periods: 31 Jan + 1 month = 28/29 Feb
+function addPeriod(time, period) {
+    const date = new Date(time);
+
+    if (period.days) return time + period.days * DAY_MS;
+
+    const months = (period.months || 0) + (period.years || 0) * 12;
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    return target.getTime();
+}
+
+function describePeriod(period) {
+    const [unit, value] = Object.entries(period)[0];
+    return `${value} ${value === 1 ? unit.replace(/s$/, '') : unit}`;
+}
+
+function formatDate(iso) {
+    return new Date(parseIsoDate(iso)).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+function describeProvision(provision) {
+    if (provision.article) {
+        return {
+            act: provision.act,
+            article: provision.article,
+            citation: `Article ${provision.article}${provision.clause || ''} of the Schedule to the Limitation Act, 1963`
+        };
+    }
+
+    return {
+        act: provision.act,
+        section: provision.section,
+        citation: `${formatCitation(provision.act, provision.section)}${provision.clause ? `${provision.clause.startsWith('(') ? '' : ' '}${provision.clause}` : ''}`
+    };
+}
+
+// ✅ RULE LIST FOR CLIENTS
+function listDeadlineRules() {
+    return Object.entries(RULES).map(([event, rule]) => ({
+        event: event,
+        title: rule.title,
+        inputs: rule.inputs,
+        primaryInput: rule.primaryInput,
+        options: rule.options || {}
+    }));
+}
+
+function validateOptions(rule, options) {
+    for (const [name, value] of Object.entries(options)) {
+        if (!rule.options || !Object.hasOwn(rule.options, name)) {
+            throw new HttpError(`Unknown option '${name}'. Options for this event: ${Object.keys(rule.options || {}).join(', ') || 'none'}`, 400, 'INVALID_OPTION');
+        }
+        if (!rule.options[name].includes(value)) {
+            throw new HttpError(`Invalid '${name}'. Use one of: ${rule.options[name].join(', ')}`, 400, 'INVALID_OPTION');
+        }
+    }
+}
+
+// ✅ CALCULATE
+// Steps whose start date is not known yet are still returned, with dueDate null
+// and `waitingFor` naming the missing input, so the user sees the whole sequence.
+function calculateDeadlines(event, dates = {}, { options = {}, asOf } = {}) {
+    const rule = Object.hasOwn(RULES, event) ? RULES[event] : null;
+    if (!rule) {
+        throw new HttpError(`Unknown event '${event}'. Use one of: ${Object.keys(RULES).join(', ')}`, 400, 'UNKNOWN_EVENT');
+    }
+
+    const inputs = {};
+    for (const [name, value] of Object.entries(dates || {})) {
+        if (!Object.hasOwn(rule.inputs, name)) {
+            throw new HttpError(`Unknown date '${name}'. Dates for this event: ${Object.keys(rule.inputs).join(', ')}`, 400, 'INVALID_DATE');
+        }
+        if (value === null || value === undefined || value === '') continue;
+        if (parseIsoDate(value) === null) {
+            throw new HttpError(`Invalid '${name}'. Use a date such as 2024-05-01`, 400, 'INVALID_DATE');
+        }
+        inputs[name] = value;
+    }
+    validateOptions(rule, options);
+
+    const today = asOf || todayInIndia();
+    if (parseIsoDate(today) === null) {
+        throw new HttpError("Invalid 'asOf'. Use a date such as 2024-05-01", 400, 'INVALID_DATE');
+    }
+
+    const due = {};
+    const waiting = {};
+    const resolve = from => from.startsWith('step:') ? due[from.slice(5)] : inputs[from];
+    const describeSource = from => from.startsWith('step:')
+        ? `the end of "${rule.steps.find(other => other.key === from.slice(5)).action}"`
+        : rule.inputs[from];
+
+    const deadlines = rule.steps
+        .filter(step => !step.when || step.when(options, inputs))
+        .map(step => {
+            const period = typeof step.period === 'function' ? step.period(options) : step.period;
+            const sources = [].concat(step.from);
+            const source = sources.find(resolve);
+            const fromDate = source ? resolve(source) : null;
+
+            const deadline = {
+                key: step.key,
+                action: step.action,
+                period: describePeriod(period),
+                from: source ? { [source.startsWith('step:') ? 'step' : 'input']: source.replace(/^step:/, ''), date: fromDate } : null,
+                fromDescription: describeSource(source || sources[0]),
+                dueDate: null,
+                status: 'waiting_for_date',
+                waitingFor: null,
+                daysRemaining: null,
+                courtFiling: Boolean(step.courtFiling),
+                provision: describeProvision(step.provision),
+                note: step.note || null
+            };
+
+            // A step counted from an undated step waits for whatever that step waits for
+            if (!fromDate) {
+                const first = sources[0];
+                deadline.waitingFor = first.startsWith('step:') ? waiting[first.slice(5)] : first;
+                waiting[step.key] = deadline.waitingFor;
+                return deadline;
+            }
+
+            const dueTime = addPeriod(parseIsoDate(fromDate), period);
+            const daysRemaining = Math.round((dueTime - parseIsoDate(today)) / DAY_MS);
+            due[step.key] = toIsoDate(dueTime);
+
+            deadline.dueDate = due[step.key];
+            deadline.daysRemaining = daysRemaining;
+            deadline.status = daysRemaining < 0 ? 'passed' : daysRemaining === 0 ? 'due_today' : 'upcoming';
+
+            // Court closed on the last day: filing on the day it reopens is in time (Limitation Act s.4)
+            if (step.courtFiling && new Date(dueTime).getUTCDay() === 0) {
+                deadline.nextWorkingDay = toIsoDate(dueTime + DAY_MS);
+                deadline.note = [deadline.note, 'The last day is a Sunday; if the court is closed, filing on the day it reopens is in time (Limitation Act s.4).'].filter(Boolean).join(' ');
+            }
+
+            return deadline;
+        });
+
+    return {
+        event: event,
+        title: rule.title,
+        asOf: today,
+        inputs: inputs,
+        options: options,
+        deadlines: deadlines
+    };
+}
+
+// ✅ DETECTION IN FREE-TEXT QUERIES (used by /api/analyze)
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE_PATTERNS = [
+    // 2024-03-12
+    { pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, parts: m => [m[1], m[2], m[3]] },
+    // 12/03/2024, 12-03-24, 12.03.2024 (day first)
+    { pattern: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/g, parts: m => [m[3], m[2], m[1]] },
+    // 12 March 2024, 12th Mar, 2024, 12 March
+    { pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAME}\\.?,?(?:\\s+(\\d{4}))?\\b`, 'gi'), parts: m => [m[3], m[2], m[1]] },
+    // March 12, 2024
+    { pattern: new RegExp(`\\b${MONTH_NAME}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?(?:\\s+(\\d{4}))?\\b`, 'gi'), parts: m => [m[3], m[1], m[2]] }
+];
+const RELATIVE_PATTERN = /\b(today|yesterday|(\d{1,3}|a|one|two|three|four|five|six) (day|week|month|year)s? ago)\b/gi;
+const NUMBER_WORDS = { a: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+
+function toDateParts(year, month, day, today) {
+    const todayTime = parseIsoDate(today);
+    const monthNumber = /^\d+$/.test(month) ? Number(month) : MONTHS.indexOf(month.toLowerCase().slice(0, 3)) + 1;
+    let fullYear = year ? Number(year.length === 2 ? `20${year}` : year) : new Date(todayTime).getUTCFullYear();
+
+    const iso = `${fullYear}-${String(monthNumber).padStart(2, '0')}-${String(Number(day)).padStart(2, '0')}`;
+    if (parseIsoDate(iso) === null) return null;
+
+    // "12 March" without a year means the most recent 12 March
+    if (!year && parseIsoDate(iso) > todayTime) {
+        fullYear--;
+        return toDateParts(String(fullYear), month, day, today);
+    }
+    return iso;
+}
+
+// Dates mentioned in a query, oldest first (future dates are ignored)
+function extractDates(text, today = todayInIndia()) {
+    const value = String(text || '');
+    const todayTime = parseIsoDate(today);
+    const found = new Set();
+
+    for (const { pattern, parts } of DATE_PATTERNS) {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(value)) !== null) {
+            const [year, month, day] = parts(match);
+            const iso = toDateParts(year, month, day, today);
+            if (iso && parseIsoDate(iso) <= todayTime) found.add(iso);
+        }
+    }
+
+    RELATIVE_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = RELATIVE_PATTERN.exec(value)) !== null) {
+        const phrase = match[1].toLowerCase();
+        if (phrase === 'today') found.add(today);
+        else if (phrase === 'yesterday') found.add(toIsoDate(todayTime - DAY_MS));
+        else {
+            const amount = NUMBER_WORDS[match[2].toLowerCase()] || Number(match[2]);
+            const unit = match[3].toLowerCase();
+            if (unit === 'day' || unit === 'week') found.add(toIsoDate(todayTime - amount * (unit === 'week' ? 7 : 1) * DAY_MS));
+            else found.add(toIsoDate(addPeriod(todayTime, { months: -amount * (unit === 'year' ? 12 : 1) })));
+        }
+    }
+
+    return Array.from(found).sort();
+}
+
+// The first rule whose pattern matches; the most recent date mentioned is taken as the
+// rule's primary date, and that assumption is reported back to the user
+function detectDeadlineEvent(query, { asOf } = {}) {
+    const today = asOf || todayInIndia();
+    const event = Object.keys(RULES).find(key => RULES[key].detect && RULES[key].detect.test(String(query || '')));
+    if (!event) return null;
+
+    const rule = RULES[event];
+    const dates = extractDates(query, today);
+    const latest = dates[dates.length - 1];
+
+    return {
+        ...calculateDeadlines(event, latest ? { [rule.primaryInput]: latest } : {}, { asOf: today }),
+        assumption: latest
+            ? `Assumed ${formatDate(latest)} is ${rule.inputs[rule.primaryInput]}.`
+            : `No date found in the query; deadlines are counted from ${rule.inputs[rule.primaryInput]}.`
+    };
+}
+
+// ✅ MERGING INTO THE ANALYSIS' RECOMMENDED ACTIONS
+// Computed dates replace whatever the model guessed for the 'Timeline' actions
+function toTimelineActions(result) {
+    const actions = result.deadlines.map(deadline => {
+        const from = deadline.dueDate ? `${deadline.period} from ${deadline.fromDescription}` : `within ${deadline.period} of ${deadline.fromDescription}`;
+        const passed = deadline.status !== 'passed' ? ''
+            : deadline.courtFiling ? '; this date has passed, ask a lawyer whether the delay can be condoned' : '; passed';
+
+        return {
+            type: 'timeline',
+            step: `${deadline.action} (${from}) [${deadline.provision.citation}]`,
+            deadline: deadline.dueDate ? `${formatDate(deadline.nextWorkingDay || deadline.dueDate)}${passed}` : null
+        };
+    });
+
+    if (result.assumption) {
+        actions.push({ type: 'timeline', step: `${result.assumption} Check these dates against your documents.`, deadline: null });
+    }
+    return actions;
+}
+
+function mergeDeadlineActions(structured, result) {
+    if (!structured || !result) return structured;
+
+    return {
+        ...structured,
+        actions: structured.actions
+            .filter(action => action.type !== 'timeline')
+            .concat(toTimelineActions(result))
+    };
+}
+
+// HTML analyses follow the prompt template, so the actions list is the <ol> in actions-section
+function mergeDeadlineHtml(html, result) {
+    if (!result) return html;
+
+    const items = toTimelineActions(result).map(renderActionItem).join('\n');
+    const section = /(<div class="actions-section">[\s\S]*?<ol>)([\s\S]*?)(<\/ol>)/i;
+    if (!section.test(html)) return html;
+
+    return html.replace(section, (match, open, list, close) =>
+        `${open}${list.replace(/<li>\s*<strong>\s*Timeline\s*:?\s*<\/strong>[\s\S]*?<\/li>\s*/gi, '').replace(/\s*$/, '\n')}${items}\n${close}`
+    );
+}
+
+module.exports = {
+    DEADLINE_EVENTS: Object.keys(RULES),
+    listDeadlineRules,
+    calculateDeadlines,
+    extractDates,
+    detectDeadlineEvent,
+    mergeDeadlineActions,
+    mergeDeadlineHtml
+};
@@ -0,0 +1,248 @@
+// ✅ DOCX, PDF AND PLAIN-TEXT EXPORT
+// Documents are a list of paragraphs: { text, style } with style 'heading', 'bold',
+// 'right' or 'normal', and '\n' for line breaks inside a paragraph. DOCX is the
+// minimal WordprocessingML package; PDF uses the standard Helvetica fonts, which only
+// cover Latin text, so other scripts have to be exported as DOCX or text.
+const zlib = require('zlib');
+const { HttpError } = require('./httpError');
+
+const EXPORT_FORMATS = {
+    text: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// ✅ PLAIN TEXT
+function toPlainText(paragraphs) {
+    return paragraphs.map(paragraph => paragraph.text).join('\n\n') + '\n';
+}
+
+// ✅ DOCX (stored zip entries need a CRC-32, deflated ones too)
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.from(file.data, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(0x00210000, 10); // 1980-01-01 00:00, so identical drafts zip identically
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(0x00210000, 12);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\0-\x08\x0b\x0c\x0e-\x1f]/g, '');
+}
+
+function docxParagraph({ text, style = 'normal' }) {
+    const properties = [];
+    if (style === 'heading') properties.push('<w:jc w:val="center"/>');
+    if (style === 'right') properties.push('<w:jc w:val="right"/>');
+
+    const runProperties = style === 'heading' ? '<w:rPr><w:b/><w:sz w:val="26"/></w:rPr>' : style === 'bold' ? '<w:rPr><w:b/></w:rPr>' : '';
+    const lines = text.split('\n').map(line => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`).join('<w:br/>');
+
+    return `<w:p>${properties.length ? `<w:pPr>${properties.join('')}</w:pPr>` : ''}<w:r>${runProperties}${lines}</w:r></w:p>`;
+}
+
+function createDocx(paragraphs, { title = 'Document' } = {}) {
+    const body = paragraphs.map(docxParagraph).join('');
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>'
+        },
+        {
+            name: 'docProps/core.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>${escapeXml(title)}</dc:title><dc:creator>Vidhi Saarathi</dc:creator></cp:coreProperties>`
+        },
+        {
+            name: 'word/document.xml',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`
+        }
+    ]);
+}
+
+// ✅ PDF (A4, Helvetica 11pt, simple word wrap)
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+const FONT_SIZE = 11;
+const HEADING_SIZE = 13;
+const LEADING = 1.4;
+
+// Typographic characters outside WinAnsi that drafts commonly contain
+const PDF_REPLACEMENTS = { '₹': 'Rs.', '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-', '…': '...', '•': '-' };
+
+function toPdfText(text) {
+    const replaced = String(text).replace(/\t/g, '    ').replace(/[₹‘’“”–—…•]/g, char => PDF_REPLACEMENTS[char]);
+    if (/[^\n\x20-\x7e\xa0-\xff]/.test(replaced)) {
+        throw new HttpError('PDF export supports English (Latin script) text only. Download this as DOCX or text instead', 422, 'PDF_UNSUPPORTED_TEXT');
+    }
+    return replaced;
+}
+
+// Average Helvetica glyph width is about half the font size; bold runs a little wider
+function textWidth(text, size, bold) {
+    return text.length * size * (bold ? 0.56 : 0.52);
+}
+
+function wrapLine(line, size, bold) {
+    const maxWidth = PAGE_WIDTH - 2 * MARGIN;
+    const lines = [];
+    let current = '';
+
+    for (const word of line.split(' ')) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (current && textWidth(candidate, size, bold) > maxWidth) {
+            lines.push(current);
+            current = word;
+        } else {
+            current = candidate;
+        }
+    }
+    lines.push(current);
+    return lines;
+}
+
+function escapePdfString(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+function createPdf(paragraphs, { title = 'Document' } = {}) {
+    const pages = [[]];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    for (const { text, style = 'normal' } of paragraphs) {
+        const size = style === 'heading' ? HEADING_SIZE : FONT_SIZE;
+        const bold = style === 'heading' || style === 'bold';
+        const lines = toPdfText(text).split('\n').flatMap(line => wrapLine(line, size, bold));
+
+        for (const line of lines) {
+            if (y - size * LEADING < MARGIN) {
+                pages.push([]);
+                y = PAGE_HEIGHT - MARGIN;
+            }
+            y -= size * LEADING;
+
+            const width = textWidth(line, size, bold);
+            const x = style === 'heading' ? (PAGE_WIDTH - width) / 2 : style === 'right' ? PAGE_WIDTH - MARGIN - width : MARGIN;
+            pages[pages.length - 1].push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${Math.max(MARGIN, x).toFixed(1)} ${y.toFixed(1)} Td (${escapePdfString(line)}) Tj ET`);
+        }
+        y -= size * 0.6;
+    }
+
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content stream per page
+    const objects = [];
+    const pageIds = pages.map((page, index) => 6 + index * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Title (${escapePdfString(toPdfText(title))}) /Producer (Vidhi Saarathi) >>`;
+
+    pages.forEach((page, index) => {
+        const content = page.join('\n');
+        objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+        objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+// ✅ ENTRY POINT: { buffer, contentType, extension }
+function exportDocument(paragraphs, format, { title } = {}) {
+    const target = EXPORT_FORMATS[format];
+    if (!target) {
+        throw new HttpError(`Unknown format '${format}'. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 400, 'INVALID_FORMAT');
+    }
+
+    const buffer = format === 'docx' ? createDocx(paragraphs, { title })
+        : format === 'pdf' ? createPdf(paragraphs, { title })
+            : Buffer.from(toPlainText(paragraphs), 'utf8');
+
+    return { buffer: buffer, contentType: target.contentType, extension: target.extension };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    toPlainText,
+    exportDocument
+};
@@ -0,0 +1,425 @@
+// ✅ LOCAL TEXT EXTRACTION FOR UPLOADED DOCUMENTS
+// Plain text, DOCX (the Word XML inside the zip) and PDF (text drawn by the page
+// content streams) are read here without third-party parsers. Scanned images, and
+// PDFs that carry no text layer, go to an OCR engine: OCR_COMMAND runs a local
+// program (e.g. "tesseract - - -l eng+hin") with the file on stdin, or a custom
+// engine can be plugged in with setOcrEngine().
+const zlib = require('zlib');
+const { spawn } = require('child_process');
+const { HttpError } = require('./httpError');
+const { createLogger } = require('./logger');
+
+const MAX_DOCUMENT_BYTES = Number(process.env.DOCUMENT_MAX_BYTES) || 5 * 1024 * 1024;
+// What a document may unpack to in total, across all of its compressed streams
+const MAX_INFLATED_BYTES = Number(process.env.DOCUMENT_MAX_INFLATED_BYTES) || 50 * 1024 * 1024;
+const OCR_TIMEOUT_MS = Number(process.env.OCR_TIMEOUT_MS) || 60000;
+
+const log = createLogger('documentText');
+
+const MIME_TYPES = {
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'text/plain': 'text',
+    'image/png': 'image',
+    'image/jpeg': 'image',
+    'image/tiff': 'image',
+    'image/webp': 'image'
+};
+
+const EXTENSIONS = {
+    pdf: 'pdf',
+    docx: 'docx',
+    txt: 'text',
+    png: 'image',
+    jpg: 'image',
+    jpeg: 'image',
+    tif: 'image',
+    tiff: 'image',
+    webp: 'image'
+};
+
+// Magic bytes win over the declared type, which browsers often get wrong
+function detectDocumentType(buffer, { filename, mimeType } = {}) {
+    if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+    if (buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04) return 'docx';
+    if (buffer[0] === 0x89 && buffer.subarray(1, 4).toString('latin1') === 'PNG') return 'image';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image';
+    if (/^(II\*\0|MM\0\*)$/.test(buffer.subarray(0, 4).toString('latin1'))) return 'image';
+    if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'image';
+
+    const declared = MIME_TYPES[String(mimeType || '').split(';')[0].trim().toLowerCase()]
+        || EXTENSIONS[String(filename || '').split('.').pop().toLowerCase()];
+    if (declared && declared !== 'text') return null;
+
+    // Anything else has to be readable UTF-8 text
+    const text = buffer.toString('utf8');
+    return !text.includes('\uFFFD') && !/[\0-\x08\x0e-\x1f]/.test(text) ? 'text' : null;
+}
+
+// ✅ DOCX: word/document.xml from the zip's central directory
+function readZipEntry(buffer, entryName) {
+    const searchFrom = Math.max(0, buffer.length - 65557);
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= searchFrom; i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) return null;
+
+    const entries = buffer.readUInt16LE(eocd + 10);
+    let pointer = buffer.readUInt32LE(eocd + 16);
+
+    for (let i = 0; i < entries && pointer + 46 <= buffer.length; i++) {
+        if (buffer.readUInt32LE(pointer) !== 0x02014b50) return null;
+
+        const method = buffer.readUInt16LE(pointer + 10);
+        const compressedSize = buffer.readUInt32LE(pointer + 20);
+        const nameLength = buffer.readUInt16LE(pointer + 28);
+        const extraLength = buffer.readUInt16LE(pointer + 30);
+        const commentLength = buffer.readUInt16LE(pointer + 32);
+        const localOffset = buffer.readUInt32LE(pointer + 42);
+        const name = buffer.subarray(pointer + 46, pointer + 46 + nameLength).toString('utf8');
+
+        if (name === entryName) {
+            const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            const data = buffer.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) return data;
+            if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_INFLATED_BYTES });
+            return null;
+        }
+
+        pointer += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return null;
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+function extractDocxText(buffer) {
+    let xml;
+    try {
+        xml = readZipEntry(buffer, 'word/document.xml');
+    } catch (error) {
+        xml = null;
+    }
+    if (!xml) {
+        throw new HttpError('This file could not be read as a Word (.docx) document', 422, 'UNREADABLE_DOCUMENT');
+    }
+
+    let text = '';
+    const pattern = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:(tab|br|cr)\/>|<\/w:p>/g;
+    let match;
+    while ((match = pattern.exec(xml.toString('utf8'))) !== null) {
+        if (match[1] !== undefined) text += decodeXmlEntities(match[1]);
+        else if (match[2] === 'tab') text += '\t';
+        else text += '\n';
+    }
+
+    return { text: text, method: 'docx' };
+}
+
+// ✅ PDF: text-showing operators (Tj, TJ, ', ") in every decodable content stream
+const SKIPPED_STREAMS = /\/Subtype\s*\/Image|\/Type\s*\/(XRef|ObjStm|Metadata|EmbeddedFile)|\/Length[123]\b/;
+
+function inflatedTooLarge() {
+    return new HttpError(`This document unpacks to more than ${Math.floor(MAX_INFLATED_BYTES / (1024 * 1024))} MB of content and cannot be read`, 413, 'DOCUMENT_TOO_LARGE');
+}
+
+function readPdfStreams(buffer) {
+    const source = buffer.toString('latin1');
+    const streams = [];
+    const pattern = /stream\r?\n/g;
+    let inflatedBytes = 0;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        if (source.slice(match.index - 3, match.index) === 'end') continue;
+
+        const start = match.index + match[0].length;
+        const end = source.indexOf('endstream', start);
+        if (end === -1) break;
+
+        const dictionary = source.slice(source.lastIndexOf('obj', match.index), match.index);
+        pattern.lastIndex = end;
+        if (SKIPPED_STREAMS.test(dictionary)) continue;
+
+        let data = buffer.subarray(start, end);
+        if (/\/Filter\s*\[?\s*\/FlateDecode\s*\]?/.test(dictionary)) {
+            // Each stream may only use what the streams before it left of the budget
+            try {
+                data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: Math.max(1, MAX_INFLATED_BYTES - inflatedBytes) });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') throw inflatedTooLarge();
+                // Damaged or encrypted stream; the rest of the file may still be readable
+                continue;
+            }
+        } else if (/\/Filter/.test(dictionary)) {
+            continue;
+        }
+
+        inflatedBytes += data.length;
+        if (inflatedBytes > MAX_INFLATED_BYTES) throw inflatedTooLarge();
+        streams.push(data.toString('latin1'));
+    }
+
+    return { source: source, streams: streams };
+}
+
+const PDF_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+function decodePdfString(bytes) {
+    // UTF-16BE strings start with a byte-order mark
+    if (bytes.charCodeAt(0) === 0xfe && bytes.charCodeAt(1) === 0xff) {
+        return Buffer.from(bytes.slice(2, bytes.length - (bytes.length % 2)), 'latin1').swap16().toString('utf16le');
+    }
+    return bytes;
+}
+
+// Splits a content stream into strings, numbers, array brackets and operators
+function tokenizeContent(content) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < content.length) {
+        const char = content[i];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '%') {
+            while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+        } else if (char === '(') {
+            let depth = 1;
+            let value = '';
+            i++;
+            while (i < content.length && depth > 0) {
+                const current = content[i];
+                if (current === '\\') {
+                    const next = content[i + 1];
+                    if (PDF_ESCAPES[next] !== undefined) {
+                        value += PDF_ESCAPES[next];
+                        i += 2;
+                    } else if (/[0-7]/.test(next)) {
+                        const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+                        value += String.fromCharCode(parseInt(octal, 8));
+                        i += 1 + octal.length;
+                    } else {
+                        // Line continuation or an unknown escape
+                        i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+                    }
+                    continue;
+                }
+                if (current === '(') depth++;
+                if (current === ')') depth--;
+                if (depth > 0) value += current;
+                i++;
+            }
+            tokens.push({ type: 'string', value: decodePdfString(value) });
+        } else if (char === '<' && content[i + 1] !== '<') {
+            const end = content.indexOf('>', i);
+            const hex = content.slice(i + 1, end === -1 ? content.length : end).replace(/\s/g, '');
+            tokens.push({ type: 'string', value: decodePdfString(Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1')) });
+            i = end === -1 ? content.length : end + 1;
+        } else if (char === '[' || char === ']') {
+            tokens.push({ type: char });
+            i++;
+        } else {
+            const word = content.slice(i).match(/^(<<|>>|\/[^\s/[\]()<>{}%]*|[^\s/[\]()<>{}%]+|.)/)[0];
+            tokens.push(/^[-+.\d]+$/.test(word) ? { type: 'number', value: Number(word) } : { type: 'operator', value: word });
+            i += word.length;
+        }
+    }
+
+    return tokens;
+}
+
+function extractContentText(content) {
+    const tokens = tokenizeContent(content);
+    const operands = [];
+    let text = '';
+
+    for (const token of tokens) {
+        if (token.type !== 'operator') {
+            operands.push(token);
+            continue;
+        }
+
+        switch (token.value) {
+            case 'Tj':
+            case '\'':
+            case '"': {
+                if (token.value !== 'Tj') text += '\n';
+                const string = operands.filter(operand => operand.type === 'string').pop();
+                if (string) text += string.value;
+                break;
+            }
+            case 'TJ':
+                for (const operand of operands.slice(operands.map(o => o.type).lastIndexOf('['))) {
+                    if (operand.type === 'string') text += operand.value;
+                    // Large negative kerning between glyph runs is how PDFs draw a word space
+                    else if (operand.type === 'number' && operand.value < -200) text += ' ';
+                }
+                break;
+            case 'Td':
+            case 'TD': {
+                const [x, y] = operands.filter(operand => operand.type === 'number').slice(-2).map(operand => operand.value);
+                if (y) text += '\n';
+                else if (x > 0) text += ' ';
+                break;
+            }
+            case 'T*':
+            case 'Tm':
+            case 'ET':
+                text += '\n';
+                break;
+        }
+
+        operands.length = 0;
+    }
+
+    return text;
+}
+
+function extractPdfText(buffer) {
+    const { source, streams } = readPdfStreams(buffer);
+    const pages = (source.match(/\/Type\s*\/Page\b(?!s)/g) || []).length || null;
+
+    if (/\/Encrypt\b/.test(source)) {
+        throw new HttpError('This PDF is password-protected. Remove the password and upload it again', 422, 'ENCRYPTED_DOCUMENT');
+    }
+
+    const text = streams
+        .filter(stream => /\bBT\b/.test(stream))
+        .map(extractContentText)
+        .join('\n');
+
+    return { text: text, method: 'pdf', pages: pages };
+}
+
+// Fonts with custom encodings come out as symbol soup; such PDFs are treated as scanned
+function looksReadable(text) {
+    const compact = text.replace(/\s+/g, '');
+    if (compact.length < 20) return false;
+
+    const readable = compact.match(/[\p{L}\p{N}\p{P}\p{Sc}]/gu) || [];
+    return readable.length / compact.length > 0.85;
+}
+
+// ✅ OCR HOOK
+let ocrEngine = null;
+
+function setOcrEngine(engine) {
+    ocrEngine = engine;
+}
+
+function runOcrCommand(command, buffer) {
+    const [program, ...args] = command.trim().split(/\s+/);
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(program, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+        const output = [];
+        let errorOutput = '';
+
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(new Error(`OCR timed out after ${OCR_TIMEOUT_MS / 1000}s`));
+        }, OCR_TIMEOUT_MS);
+
+        child.stdout.on('data', chunk => output.push(chunk));
+        child.stderr.on('data', chunk => { errorOutput += chunk; });
+        child.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('close', code => {
+            clearTimeout(timer);
+            if (code === 0) resolve(Buffer.concat(output).toString('utf8'));
+            else reject(new Error(`OCR command exited with code ${code}: ${errorOutput.trim().substring(0, 200)}`));
+        });
+
+        child.stdin.on('error', () => {});
+        child.stdin.end(buffer);
+    });
+}
+
+function getOcrEngine() {
+    if (ocrEngine) return ocrEngine;
+    if (process.env.OCR_COMMAND) return buffer => runOcrCommand(process.env.OCR_COMMAND, buffer);
+    return null;
+}
+
+async function runOcr(buffer, details) {
+    const engine = getOcrEngine();
+    if (!engine) {
+        throw new HttpError('This looks like a scanned document and text recognition (OCR) is not set up on this server. Upload a text PDF or DOCX, or paste the text', 422, 'OCR_UNAVAILABLE');
+    }
+
+    try {
+        log.info('Running OCR', { type: details.type, bytes: buffer.length });
+        return await engine(buffer, details);
+    } catch (error) {
+        log.error('OCR failed', { type: details.type, error: error.message });
+        throw new HttpError('Text recognition (OCR) failed for this document. Upload a clearer scan or paste the text', 422, 'OCR_FAILED');
+    }
+}
+
+// ✅ ENTRY POINT
+// Returns { type, method, text, pages }; method is 'text', 'docx', 'pdf' or 'ocr'
+async function extractDocumentText(buffer, { filename, mimeType } = {}) {
+    if (!buffer || !buffer.length) {
+        throw new HttpError('The uploaded document is empty', 400, 'EMPTY_DOCUMENT');
+    }
+    if (buffer.length > MAX_DOCUMENT_BYTES) {
+        throw new HttpError(`Documents can be at most ${Math.floor(MAX_DOCUMENT_BYTES / (1024 * 1024))} MB`, 413, 'DOCUMENT_TOO_LARGE');
+    }
+
+    const type = detectDocumentType(buffer, { filename, mimeType });
+    if (!type) {
+        throw new HttpError('Unsupported document type. Upload a PDF, DOCX, plain text file or a scanned image (PNG, JPEG, TIFF, WebP)', 415, 'UNSUPPORTED_DOCUMENT');
+    }
+
+    let extracted;
+    if (type === 'text') {
+        extracted = { text: buffer.toString('utf8').replace(/^\uFEFF/, ''), method: 'text' };
+    } else if (type === 'docx') {
+        extracted = extractDocxText(buffer);
+    } else if (type === 'pdf') {
+        extracted = extractPdfText(buffer);
+        if (!looksReadable(extracted.text)) {
+            extracted = { text: await runOcr(buffer, { type, filename, mimeType }), method: 'ocr', pages: extracted.pages };
+        }
+    } else {
+        extracted = { text: await runOcr(buffer, { type, filename, mimeType }), method: 'ocr' };
+    }
+
+    const text = extracted.text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t\u00A0]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    if (!text) {
+        throw new HttpError('No readable text was found in this document', 422, 'NO_TEXT_FOUND');
+    }
+
+    return { type: type, method: extracted.method, text: text, pages: extracted.pages || null };
+}
+
+module.exports = {
+    MAX_DOCUMENT_BYTES,
+    detectDocumentType,
+    extractDocumentText,
+    setOcrEngine
+};
@@ -0,0 +1,272 @@
+// ✅ LEGAL DRAFTS FROM TEMPLATES
+// Templates (data/drafts/templates.json) hold the fixed wording of common filings.
+// Field values come from the user, then from the consultation the draft is made for
+// (amounts and dates mentioned in the query), then from template defaults. The model
+// only writes the narrative parts (facts, reliefs, information sought), as plain text.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+const { HttpError } = require('./httpError');
+const { callAIWithAdvancedFallback } = require('./aiService');
+const { parseModelJson } = require('./analysisSchema');
+const { delimitUserQuery } = require('./promptGuard');
+const { selectTemplate, renderTemplate, describeTemplate } = require('./promptTemplates');
+const { toPlainText } = require('./conversation');
+const { extractDates } = require('./deadlines');
+const { createLogger } = require('./logger');
+
+const TEMPLATES_FILE = path.join(__dirname, '..', 'data', 'drafts', 'templates.json');
+const MAX_DRAFTS_PER_USER = parseInt(process.env.MAX_DRAFTS_PER_USER) || 100;
+const MAX_FIELD_CHARS = 500;
+const CONSULTATION_CONTEXT_CHARS = 4000;
+
+const { version: TEMPLATES_VERSION, templates: TEMPLATES } = JSON.parse(fs.readFileSync(TEMPLATES_FILE, 'utf8'));
+const store = createJsonStore('drafts.json', { drafts: [] });
+const log = createLogger('drafts');
+
+log.info(`Draft templates v${TEMPLATES_VERSION}`, { templates: Object.keys(TEMPLATES) });
+
+// ✅ TEMPLATE CATALOGUE
+function listDraftTemplates() {
+    return Object.entries(TEMPLATES).map(([key, template]) => ({
+        template: key,
+        title: template.title,
+        description: template.description,
+        fields: Object.entries(template.fields).map(([name, field]) => ({
+            name: name,
+            label: field.label,
+            required: Boolean(field.required),
+            ...(field.default && { default: field.default })
+        })),
+        narratives: Object.keys(template.narratives)
+    }));
+}
+
+function getTemplate(key) {
+    const template = Object.hasOwn(TEMPLATES, key) ? TEMPLATES[key] : null;
+    if (!template) {
+        throw new HttpError(`Unknown template '${key}'. Use one of: ${Object.keys(TEMPLATES).join(', ')}`, 400, 'UNKNOWN_TEMPLATE');
+    }
+    return template;
+}
+
+// ✅ FIELD VALUES: USER INPUT, THEN THE CONSULTATION, THEN DEFAULTS
+function formatIndianDate(time, timeZone) {
+    return new Date(time).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: timeZone });
+}
+
+const AMOUNT_PATTERN = /(?:rs\.?|inr|₹)\s*(\d[\d,]*(?:\.\d{1,2})?)(?:\s*(lakhs?|lacs?|crores?))?|\b(\d[\d,]*(?:\.\d+)?)\s*(lakhs?|lacs?|crores?|rupees)\b/i;
+
+function extractAmount(text) {
+    const match = String(text || '').match(AMOUNT_PATTERN);
+    if (!match) return null;
+
+    const digits = (match[1] || match[3]).replace(/,/g, '');
+    const unit = (match[2] || match[4] || '').toLowerCase();
+    const multiplier = unit.startsWith('crore') ? 10000000 : /^la/.test(unit) ? 100000 : 1;
+    return (Number(digits) * multiplier).toLocaleString('en-IN');
+}
+
+// The most recent date mentioned in the query
+function extractLatestDate(text) {
+    const dates = extractDates(text);
+    return dates.length ? formatIndianDate(`${dates[dates.length - 1]}T00:00:00Z`, 'UTC') : null;
+}
+
+function validateFieldInput(template, fields) {
+    if (fields === undefined || fields === null) return {};
+    if (typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new HttpError('Fields must be an object such as { "applicantName": "..." }', 400, 'INVALID_FIELD');
+    }
+
+    for (const [name, value] of Object.entries(fields)) {
+        if (!Object.hasOwn(template.fields, name)) {
+            throw new HttpError(`Unknown field '${name}'. Fields for this template: ${Object.keys(template.fields).join(', ')}`, 400, 'INVALID_FIELD');
+        }
+        if (typeof value !== 'string' || value.length > MAX_FIELD_CHARS) {
+            throw new HttpError(`Field '${name}' must be text of at most ${MAX_FIELD_CHARS} characters`, 400, 'INVALID_FIELD');
+        }
+    }
+    return fields;
+}
+
+function resolveFields(template, input, consultation) {
+    const values = {};
+    const sources = {};
+
+    for (const [name, field] of Object.entries(template.fields)) {
+        const given = (input[name] || '').trim();
+        let value = given || null;
+        let source = given ? 'user' : null;
+
+        if (!value && consultation && field.extract) {
+            value = field.extract === 'amount' ? extractAmount(consultation.query) : extractLatestDate(consultation.query);
+            if (value) source = 'consultation';
+        }
+        if (!value && field.default) {
+            value = field.default === 'today' ? formatIndianDate(Date.now(), 'Asia/Kolkata') : field.default;
+            source = 'default';
+        }
+
+        values[name] = value;
+        sources[name] = source;
+    }
+
+    return { values, sources };
+}
+
+// ✅ NARRATIVES (THE ONLY PART THE MODEL WRITES)
+// `prompt` is the 'drafting' prompt template (see ./promptTemplates)
+function buildNarrativePrompt(prompt, template, values, consultation, notes) {
+    const details = Object.entries(template.fields)
+        .filter(([name]) => values[name])
+        .map(([name, field]) => `${field.label}: ${values[name]}`)
+        .join('\n');
+    const context = consultation
+        ? `${consultation.query}\n\n${toPlainText(consultation.analysis)}`.replace(/<<<|>>>/g, '').substring(0, CONSULTATION_CONTEXT_CHARS)
+        : '';
+    const narratives = Object.entries(template.narratives)
+        .map(([name, narrative]) => `- ${name}: ${narrative.instruction} At most ${narrative.maxChars} characters.`)
+        .join('\n');
+
+    return renderTemplate(prompt, {
+        title: template.title,
+        description: template.description,
+        context: context,
+        details: delimitUserQuery(`${details || 'No document details given.'}${notes ? `\n\nAdditional facts from the user:\n${notes}` : ''}`),
+        narratives: narratives
+    });
+}
+
+function narrativeSchema(template) {
+    const names = Object.keys(template.narratives);
+    return {
+        type: 'object',
+        properties: Object.fromEntries(names.map(name => [name, { type: 'string' }])),
+        required: names
+    };
+}
+
+// Model text is inserted verbatim, so it must not carry markup or template placeholders
+function cleanNarrative(text, maxChars) {
+    const cleaned = String(text)
+        .replace(/<[^>]*>/g, '')
+        .replace(/\{\{|\}\}/g, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    return cleaned.length > maxChars ? `${cleaned.substring(0, maxChars).replace(/\s+\S*$/, '')}...` : cleaned;
+}
+
+// ✅ RENDERING
+// A line made only of an optional field with no value is dropped; other missing values show as [label]
+function renderParagraphs(template, values, narratives) {
+    return template.body.map(block => {
+        const paragraph = typeof block === 'string' ? { text: block, style: 'normal' } : { style: 'normal', ...block };
+        const lines = paragraph.text.split('\n').filter(line => {
+            const only = line.match(/^\{\{(\w+)\}\}$/);
+            return !only || values[only[1]] || template.fields[only[1]]?.required;
+        });
+
+        const text = lines.join('\n').replace(/\{\{(narrative\.)?(\w+)\}\}/g, (match, narrative, name) => {
+            if (narrative) return narratives[name] || `[${name}]`;
+            return values[name] || `[${template.fields[name]?.label || name}]`;
+        });
+
+        return { text: text, style: paragraph.style };
+    }).filter(paragraph => paragraph.text.trim());
+}
+
+// ✅ RECORDS
+function toPublicDraft(draft) {
+    const { userId, ...rest } = draft;
+    return rest;
+}
+
+// `consultation` is the caller's own record (already ownership-checked) or null;
+// `promptVersion` picks a 'drafting' prompt version instead of the default or A/B split
+async function createDraft(userId, { template: templateKey, consultation = null, fields, notes, promptVersion, budget = {} }) {
+    const template = getTemplate(templateKey);
+    const input = validateFieldInput(template, fields);
+    const { values, sources } = resolveFields(template, input, consultation);
+    const prompt = selectTemplate('drafting', { version: promptVersion, subject: userId });
+
+    const aiResult = await callAIWithAdvancedFallback(buildNarrativePrompt(prompt, template, values, consultation, notes), {
+        ...budget,
+        generationConfig: {
+            responseMimeType: 'application/json',
+            responseSchema: narrativeSchema(template)
+        },
+        validate: text => parseModelJson(text, narrativeSchema(template))
+    });
+
+    const narratives = Object.fromEntries(Object.entries(template.narratives).map(([name, narrative]) =>
+        [name, cleanNarrative(aiResult.structured[name], narrative.maxChars)]
+    ));
+    const paragraphs = renderParagraphs(template, values, narratives);
+
+    const draft = {
+        id: `draft_${crypto.randomUUID()}`,
+        userId: userId,
+        template: templateKey,
+        title: template.title,
+        consultationId: consultation ? consultation.id : null,
+        fields: values,
+        fieldSources: sources,
+        missingFields: Object.entries(template.fields)
+            .filter(([name, field]) => field.required && !values[name])
+            .map(([name, field]) => ({ name: name, label: field.label })),
+        narratives: narratives,
+        paragraphs: paragraphs,
+        model: aiResult.model,
+        provider: aiResult.provider,
+        templatesVersion: TEMPLATES_VERSION,
+        promptTemplate: describeTemplate(prompt),
+        createdAt: new Date().toISOString()
+    };
+
+    store.data.drafts.push(draft);
+
+    const own = store.data.drafts.filter(record => record.userId === userId);
+    if (own.length > MAX_DRAFTS_PER_USER) {
+        const dropped = new Set(own.slice(0, own.length - MAX_DRAFTS_PER_USER));
+        store.data.drafts = store.data.drafts.filter(record => !dropped.has(record));
+    }
+
+    store.save();
+    return { draft: draft, aiResult: aiResult };
+}
+
+function getDraft(userId, draftId) {
+    const record = store.data.drafts.find(candidate => candidate.id === draftId);
+
+    // Someone else's draft looks exactly like a missing one
+    if (!record || record.userId !== userId) {
+        throw new HttpError('Draft not found', 404, 'DRAFT_NOT_FOUND');
+    }
+
+    return record;
+}
+
+function listDrafts(userId) {
+    return store.data.drafts
+        .filter(record => record.userId === userId)
+        .map(record => ({
+            id: record.id,
+            template: record.template,
+            title: record.title,
+            consultationId: record.consultationId,
+            missingFields: record.missingFields.length,
+            createdAt: record.createdAt
+        }))
+        .reverse();
+}
+
+module.exports = {
+    listDraftTemplates,
+    createDraft,
+    getDraft,
+    listDrafts,
+    toPublicDraft
+};
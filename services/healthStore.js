@@ -0,0 +1,217 @@
+// ✅ PERSISTENT KEY/MODEL HEALTH WITH CIRCUIT BREAKERS
+// One breaker per key×model pair:
+//   closed    - requests flow; consecutive failures are counted
+//   open      - the pair is skipped until `openUntil`
+//   half-open - cooldown elapsed; a single trial request decides closed vs open
+// Cooldowns depend on why the pair failed (rate limits and exhausted quotas back off
+// longer than timeouts) and double each time the breaker re-opens.
+// API key counters are persisted alongside so /health survives restarts.
+const { createJsonStore } = require('./jsonStore');
+const { ERROR_TYPES } = require('./providers/base');
+const { createLogger } = require('./logger');
+
+const FAILURE_THRESHOLD = Number(process.env.BREAKER_FAILURE_THRESHOLD) || 3;
+const MAX_COOLDOWN_MS = Number(process.env.BREAKER_MAX_COOLDOWN_MS) || 30 * 60 * 1000;
+
+// Base cooldown per error type; types not listed here never trip the breaker
+const BASE_COOLDOWNS = {
+    [ERROR_TYPES.RATE_LIMIT]: 60 * 1000,
+    [ERROR_TYPES.QUOTA_EXCEEDED]: 60 * 60 * 1000,
+    [ERROR_TYPES.UNAVAILABLE]: 30 * 1000,
+    [ERROR_TYPES.TIMEOUT]: 30 * 1000,
+    [ERROR_TYPES.NETWORK]: 30 * 1000,
+    [ERROR_TYPES.AUTH]: 60 * 60 * 1000,
+    [ERROR_TYPES.EMPTY_RESPONSE]: 30 * 1000,
+    [ERROR_TYPES.UNKNOWN]: 30 * 1000
+};
+
+// These open the breaker on the first occurrence
+const IMMEDIATE_TRIP_TYPES = [ERROR_TYPES.QUOTA_EXCEEDED, ERROR_TYPES.AUTH];
+
+const KEY_STAT_FIELDS = ['usageCount', 'successCount', 'errorCount', 'lastUsed', 'lastSuccess'];
+
+const store = createJsonStore('health-store.json', { breakers: {}, keys: {} });
+const log = createLogger('healthStore');
+
+// A trial that was in flight when the process stopped never finished
+Object.values(store.data.breakers).forEach(breaker => {
+    breaker.trialInFlight = false;
+});
+
+function pairId(modelName, keyName) {
+    return `${modelName}::${keyName}`;
+}
+
+function getBreaker(modelName, keyName) {
+    const id = pairId(modelName, keyName);
+
+    if (!store.data.breakers[id]) {
+        store.data.breakers[id] = {
+            model: modelName,
+            key: keyName,
+            state: 'closed',
+            consecutiveFailures: 0,
+            openCount: 0,
+            openedAt: 0,
+            openUntil: 0,
+            lastErrorType: null,
+            errorTypes: {},
+            usageCount: 0,
+            successCount: 0,
+            errorCount: 0,
+            lastUsed: 0,
+            lastSuccess: 0,
+            lastFailure: 0,
+            trialInFlight: false
+        };
+    }
+
+    return store.data.breakers[id];
+}
+
+// Moves open breakers whose cooldown has passed to half-open
+function refreshState(breaker, now = Date.now()) {
+    if (breaker.state === 'open' && now >= breaker.openUntil) {
+        breaker.state = 'half-open';
+        breaker.trialInFlight = false;
+    }
+    return breaker.state;
+}
+
+// Decides whether the fallback loop may call this pair right now
+function canAttempt(modelName, keyName) {
+    const breaker = getBreaker(modelName, keyName);
+    const state = refreshState(breaker);
+
+    if (state === 'closed') return { allowed: true, state: state };
+
+    if (state === 'half-open' && !breaker.trialInFlight) {
+        breaker.trialInFlight = true;
+        return { allowed: true, state: state, trial: true };
+    }
+
+    return {
+        allowed: false,
+        state: state,
+        retryAt: state === 'open' ? new Date(breaker.openUntil).toISOString() : null,
+        lastErrorType: breaker.lastErrorType
+    };
+}
+
+function recordAttempt(modelName, keyName) {
+    const breaker = getBreaker(modelName, keyName);
+    breaker.usageCount++;
+    breaker.lastUsed = Date.now();
+    store.save();
+}
+
+function recordSuccess(modelName, keyName) {
+    const breaker = getBreaker(modelName, keyName);
+
+    if (breaker.state !== 'closed') {
+        log.info('Circuit closed', { model: modelName, key: keyName });
+    }
+
+    breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+    breaker.openCount = 0;
+    breaker.openUntil = 0;
+    breaker.trialInFlight = false;
+    breaker.successCount++;
+    breaker.lastSuccess = Date.now();
+    store.save();
+}
+
+function recordFailure(modelName, keyName, errorType) {
+    const breaker = getBreaker(modelName, keyName);
+    const now = Date.now();
+
+    breaker.errorCount++;
+    breaker.lastFailure = now;
+    breaker.lastErrorType = errorType;
+    breaker.errorTypes[errorType] = (breaker.errorTypes[errorType] || 0) + 1;
+
+    const baseCooldown = BASE_COOLDOWNS[errorType];
+    if (baseCooldown === undefined) {
+        // Bad requests and schema violations say nothing about the pair's health
+        if (breaker.state === 'half-open') breaker.trialInFlight = false;
+        store.save();
+        return breaker;
+    }
+
+    breaker.consecutiveFailures++;
+
+    const shouldOpen = breaker.state === 'half-open' ||
+        breaker.consecutiveFailures >= FAILURE_THRESHOLD ||
+        IMMEDIATE_TRIP_TYPES.includes(errorType);
+
+    if (shouldOpen) {
+        breaker.openCount++;
+        const cooldown = Math.min(baseCooldown * Math.pow(2, breaker.openCount - 1), MAX_COOLDOWN_MS);
+        breaker.state = 'open';
+        breaker.openedAt = now;
+        breaker.openUntil = now + cooldown;
+        breaker.trialInFlight = false;
+        log.warn('Circuit opened', { model: modelName, key: keyName, errorType: errorType, cooldownMs: cooldown });
+    }
+
+    store.save();
+    return breaker;
+}
+
+// Frees a half-open trial slot whose request was cancelled before it could report back
+function releaseTrial(modelName, keyName) {
+    getBreaker(modelName, keyName).trialInFlight = false;
+}
+
+// Restores persisted counters onto the in-memory API key objects
+function attachKeyStats(apiKeys) {
+    for (const keyConfig of apiKeys) {
+        const saved = store.data.keys[`${keyConfig.provider}::${keyConfig.name}`];
+        if (!saved) continue;
+        KEY_STAT_FIELDS.forEach(field => {
+            if (typeof saved[field] === 'number') keyConfig[field] = saved[field];
+        });
+    }
+}
+
+function saveKeyStats(keyConfig) {
+    store.data.keys[`${keyConfig.provider}::${keyConfig.name}`] = Object.fromEntries(
+        KEY_STAT_FIELDS.map(field => [field, keyConfig[field]])
+    );
+    store.save();
+}
+
+function getBreakerReport() {
+    const now = Date.now();
+
+    return Object.values(store.data.breakers).map(breaker => {
+        refreshState(breaker, now);
+        return {
+            model: breaker.model,
+            key: breaker.key,
+            state: breaker.state,
+            consecutiveFailures: breaker.consecutiveFailures,
+            openCount: breaker.openCount,
+            retryAt: breaker.state === 'open' ? new Date(breaker.openUntil).toISOString() : null,
+            lastErrorType: breaker.lastErrorType,
+            errorTypes: breaker.errorTypes,
+            usageCount: breaker.usageCount,
+            successRate: breaker.usageCount > 0 ? `${((breaker.successCount / breaker.usageCount) * 100).toFixed(1)}%` : '0%',
+            lastSuccess: breaker.lastSuccess ? new Date(breaker.lastSuccess).toISOString() : 'Never'
+        };
+    });
+}
+
+module.exports = {
+    FAILURE_THRESHOLD,
+    canAttempt,
+    recordAttempt,
+    recordSuccess,
+    recordFailure,
+    releaseTrial,
+    attachKeyStats,
+    saveKeyStats,
+    getBreakerReport,
+    flush: () => store.flush()
+};
@@ -0,0 +1,142 @@
+// ✅ WHITELIST SANITIZER FOR MODEL-GENERATED ANALYSIS HTML
+// Only the tags and classes used by the analysis and document templates survive;
+// everything removed is counted so the route can report it in `metadata`.
+
+const ALLOWED_TAGS = ['div', 'h3', 'p', 'strong', 'ol', 'ul', 'li', 'em'];
+
+const ALLOWED_CLASSES = [
+    'legal-analysis',
+    'priority-badge',
+    'domain-section',
+    'priority-section',
+    'explanation-section',
+    'parties-section',
+    'dates-section',
+    'obligations-section',
+    'risks-section',
+    'actions-section',
+    'laws-section',
+    'disclaimer-section'
+];
+
+// Tags whose content is dropped along with the tag itself
+const DROP_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'svg', 'math', 'textarea', 'title', 'head'];
+
+const TAG_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'=<>`/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function escapeText(text) {
+    return text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function increment(counter, name) {
+    counter[name] = (counter[name] || 0) + 1;
+}
+
+function sanitizeAnalysisHtml(html) {
+    const report = {
+        modified: false,
+        removedTags: {},
+        removedAttributes: {},
+        removedClasses: [],
+        removedComments: 0
+    };
+
+    // Models sometimes wrap the whole answer in a ```html fence
+    const input = String(html || '')
+        .trim()
+        .replace(/^```(?:html)?\s*/i, '')
+        .replace(/\s*```$/, '');
+
+    const openStack = [];
+    let output = '';
+    let cursor = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(input)) !== null) {
+        output += escapeText(input.slice(cursor, match.index));
+        cursor = TAG_PATTERN.lastIndex;
+
+        const [raw, closing, rawName, rawAttributes = ''] = match;
+
+        if (raw.startsWith('<!--')) {
+            report.removedComments++;
+            continue;
+        }
+
+        const name = rawName.toLowerCase();
+
+        if (DROP_CONTENT_TAGS.includes(name)) {
+            increment(report.removedTags, name);
+            if (!closing) {
+                // Skip everything up to the matching close tag (or the rest of the document)
+                const closePattern = new RegExp(`</${name}\\s*>`, 'i');
+                const rest = input.slice(cursor);
+                const closeMatch = rest.match(closePattern);
+                cursor = closeMatch ? cursor + closeMatch.index + closeMatch[0].length : input.length;
+                TAG_PATTERN.lastIndex = cursor;
+            }
+            continue;
+        }
+
+        if (!ALLOWED_TAGS.includes(name)) {
+            // Unknown formatting tags are unwrapped: the text inside is kept
+            if (!closing) increment(report.removedTags, name);
+            continue;
+        }
+
+        if (closing) {
+            // Only close elements we actually opened, closing any left open inside them
+            const stackIndex = openStack.lastIndexOf(name);
+            if (stackIndex === -1) continue;
+            while (openStack.length > stackIndex) {
+                output += `</${openStack.pop()}>`;
+            }
+            continue;
+        }
+
+        const keptClasses = [];
+        let attributeMatch;
+        ATTRIBUTE_PATTERN.lastIndex = 0;
+        while ((attributeMatch = ATTRIBUTE_PATTERN.exec(rawAttributes)) !== null) {
+            const attributeName = attributeMatch[1].toLowerCase();
+            const value = attributeMatch[2] ?? attributeMatch[3] ?? attributeMatch[4] ?? '';
+
+            if (attributeName !== 'class') {
+                increment(report.removedAttributes, attributeName);
+                continue;
+            }
+
+            for (const className of value.split(/\s+/).filter(Boolean)) {
+                if (ALLOWED_CLASSES.includes(className)) {
+                    keptClasses.push(className);
+                } else {
+                    report.removedClasses.push(className);
+                }
+            }
+        }
+
+        output += keptClasses.length > 0 ? `<${name} class="${keptClasses.join(' ')}">` : `<${name}>`;
+        openStack.push(name);
+    }
+
+    output += escapeText(input.slice(cursor));
+    while (openStack.length > 0) {
+        output += `</${openStack.pop()}>`;
+    }
+
+    report.removedClasses = [...new Set(report.removedClasses)];
+    report.modified = Object.keys(report.removedTags).length > 0 ||
+        Object.keys(report.removedAttributes).length > 0 ||
+        report.removedClasses.length > 0 ||
+        report.removedComments > 0;
+
+    return { html: output, report: report };
+}
+
+module.exports = {
+    ALLOWED_TAGS,
+    ALLOWED_CLASSES,
+    sanitizeAnalysisHtml
+};
@@ -0,0 +1,40 @@
+// ✅ ERRORS THAT CARRY AN HTTP STATUS
+// Services throw these for problems the caller can fix (bad input, missing
+// permission, unknown id); routes turn them into { success: false, error, code }.
+const { createLogger } = require('./logger');
+
+const log = createLogger('http');
+
+class HttpError extends Error {
+    constructor(message, status = 400, code = 'BAD_REQUEST') {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Shared catch-block helper for route handlers; errors with `retryAfterSeconds`
+// (rate limits, a full queue) also get a Retry-After header
+function sendHttpError(res, error, fallbackMessage) {
+    if (error instanceof HttpError) {
+        if (error.retryAfterSeconds) res.set('Retry-After', String(error.retryAfterSeconds));
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            ...(error.retryAfterSeconds && { retryAfterSeconds: error.retryAfterSeconds })
+        });
+    }
+
+    log.error(fallbackMessage, { error: error.message });
+    return res.status(500).json({
+        success: false,
+        error: fallbackMessage
+    });
+}
+
+module.exports = {
+    HttpError,
+    sendHttpError
+};
@@ -0,0 +1,71 @@
+// ✅ SMALL PERSISTENT JSON STORE FOR RUNTIME STATE
+// Each store is one JSON file under STORAGE_DIR (default ./storage). Writes are
+// debounced and atomic (temp file + rename); flushAllStores() is called on shutdown.
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(__dirname, '..', 'storage');
+const SAVE_DEBOUNCE_MS = 500;
+
+const stores = [];
+const log = createLogger('jsonStore');
+
+function createJsonStore(fileName, defaults = {}) {
+    const filePath = path.join(STORAGE_DIR, fileName);
+    let data = JSON.parse(JSON.stringify(defaults));
+    let saveTimer = null;
+
+    try {
+        if (fs.existsSync(filePath)) {
+            data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+        }
+    } catch (error) {
+        log.error('Could not read store, starting fresh', { file: filePath, error: error.message });
+    }
+
+    const store = {
+        filePath: filePath,
+
+        get data() {
+            return data;
+        },
+
+        // Write immediately (used on shutdown and by tests)
+        flush() {
+            if (saveTimer) {
+                clearTimeout(saveTimer);
+                saveTimer = null;
+            }
+
+            try {
+                fs.mkdirSync(STORAGE_DIR, { recursive: true });
+                const tempPath = `${filePath}.${process.pid}.tmp`;
+                fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+                fs.renameSync(tempPath, filePath);
+            } catch (error) {
+                log.error('Could not write store', { file: filePath, error: error.message });
+            }
+        },
+
+        // Schedule a write; bursts of updates collapse into one
+        save() {
+            if (saveTimer) return;
+            saveTimer = setTimeout(() => store.flush(), SAVE_DEBOUNCE_MS);
+            saveTimer.unref();
+        }
+    };
+
+    stores.push(store);
+    return store;
+}
+
+function flushAllStores() {
+    stores.forEach(store => store.flush());
+}
+
+module.exports = {
+    STORAGE_DIR,
+    createJsonStore,
+    flushAllStores
+};
@@ -0,0 +1,314 @@
+// ✅ JURISDICTION AND STATE-SPECIFIC LAW
+// Rent control, stamp duty, land records, police procedure and court fees differ by
+// state, and the competent court depends on the district and the value of the claim.
+// data/jurisdictions/states.json holds the state Acts and the forum rules; this module
+// works out the user's state and district (from the request, or from places named in
+// the query), grounds the prompt in that state's law and names the likely forum.
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./httpError');
+const { createLogger } = require('./logger');
+
+const DATA_FILE = path.join(__dirname, '..', 'data', 'jurisdictions', 'states.json');
+const MAX_PLACE_CHARS = 60;
+const MAX_FORUMS = 3;
+
+const { version: JURISDICTION_VERSION, forums: FORUMS, states: STATES } = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+const log = createLogger('jurisdiction');
+
+log.info(`Jurisdiction dataset v${JURISDICTION_VERSION}: ${Object.keys(STATES).join(', ')}`);
+
+const LAW_TOPICS = {
+    rent: 'Rent and tenancy',
+    stamp_duty: 'Stamp duty and registration',
+    land_records: 'Land records',
+    police: 'Police',
+    court_fees: 'Court fees',
+    rera: 'Real estate (RERA)'
+};
+
+const normalizePlace = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Every recognised name -> { code, district }; longest names first so "Navi Mumbai"
+// wins over "Mumbai" and "New Delhi" over "Delhi"
+const PLACE_NAMES = Object.entries(STATES).flatMap(([code, state]) => [
+    ...[code, ...state.aliases].map(name => ({ name, code, district: null })),
+    ...state.districts.map(name => ({ name, code, district: name })),
+    ...Object.entries(state.places).map(([name, district]) => ({ name, code, district }))
+]).sort((left, right) => right.name.length - left.name.length);
+
+const PLACE_INDEX = new Map(PLACE_NAMES.map(place => [normalizePlace(place.name), place]));
+
+// State codes are only recognised in the request, never inside free text ("UP" is a word)
+const QUERY_PLACES = PLACE_NAMES
+    .filter(place => place.name !== place.code)
+    .map(place => ({ ...place, pattern: new RegExp(`\\b${escapeRegExp(place.name).replace(/\s+/g, '\\s+')}\\b`, 'i') }));
+
+// ✅ MATTER TOPICS AND CLAIM VALUE
+const TOPICS = [
+    { name: 'cyber_fraud', pattern: /\b(upi|otp|phishing|cyber ?crime|online fraud|digital arrest|net ?banking fraud)\b/i },
+    { name: 'cheque_bounce', pattern: /\b(cheque|check)\b[\s\S]{0,40}\b(bounced?|dishono(u)?red|returned)\b|\bsection 138\b/i },
+    { name: 'consumer', pattern: /\b(consumer|defective|deficiency in service|refund|warranty|guarantee|e-?commerce|online order|insurance claim|service provider)\b/i },
+    { name: 'rera', pattern: /\b(rera|builder|developer|possession of (my |the )?(flat|apartment)|under-?construction)\b/i },
+    { name: 'rent', pattern: /\b(tenant|tenancy|landlord|rent(ed|al)?|lease|leave and licen[cs]e|security deposit|evict(ed|ion)?)\b/i },
+    { name: 'land_records', pattern: /\b(mutation|7\/12|satbara|patta|chitta|khata|khatauni|jamabandi|pahani|land records?|record of rights)\b/i },
+    { name: 'family', pattern: /\b(divorce|maintenance|alimony|custody|domestic violence|dowry|marriage|husband|wife)\b/i },
+    { name: 'labour', pattern: /\b(salary|wages|gratuity|provident fund|pf|employer|terminated|retrenchment|labour|labor)\b/i },
+    { name: 'property', pattern: /\b(property|plot|land|partition|encroach(ed|ment)?|sale deed|title deed)\b/i },
+    { name: 'criminal', pattern: /\b(fir|police|theft|stolen|assault(ed)?|cheat(ed|ing)|threat(s|ened)?|arrest(ed)?|bail|murder|harass(ed|ment)?)\b/i },
+    { name: 'civil', pattern: /\b(loan|borrowed|owes? me|recover(y)?|unpaid|dues|money (back|owed)|breach of contract)\b/i }
+];
+
+// Model domains without a topic of their own
+const DOMAIN_TOPICS = {
+    Criminal: 'criminal',
+    Civil: 'civil',
+    Family: 'family',
+    Consumer: 'consumer',
+    Property: 'property',
+    Labour: 'labour',
+    Constitutional: 'constitutional',
+    Corporate: 'corporate'
+};
+
+const AMOUNT_UNITS = { lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, crore: 1e7, crores: 1e7, cr: 1e7, k: 1e3, thousand: 1e3 };
+
+// "Rs 50,000", "₹2.5 lakh", "INR 1,20,000", "3 crore" -> rupees; the largest amount wins
+function extractClaimValue(text) {
+    const pattern = /(?:(?:rs\.?|inr|₹)\s*([\d,]+(?:\.\d+)?)|\b(\d+(?:\.\d+)?)(?=\s*(?:lakhs?|lacs?|crores?|cr)\b))\s*(lakhs?|lacs?|crores?|cr|k|thousand)?\b/gi;
+    let largest = null;
+    let match;
+
+    while ((match = pattern.exec(String(text || ''))) !== null) {
+        const amount = Number((match[1] || match[2]).replace(/,/g, ''));
+        const value = Math.round(amount * (AMOUNT_UNITS[String(match[3] || '').toLowerCase()] || 1));
+        if (Number.isFinite(value) && value > 0 && (largest === null || value > largest)) largest = value;
+    }
+
+    return largest;
+}
+
+function formatRupees(value) {
+    if (value >= 1e7) return `Rs ${Number((value / 1e7).toFixed(2))} crore`;
+    if (value >= 1e5) return `Rs ${Number((value / 1e5).toFixed(2))} lakh`;
+    return `Rs ${value.toLocaleString('en-IN')}`;
+}
+
+// ✅ STATE AND DISTRICT
+function findState(value) {
+    const wanted = normalizePlace(value);
+    const code = Object.keys(STATES).find(candidate =>
+        candidate.toLowerCase() === wanted ||
+        STATES[candidate].aliases.some(alias => normalizePlace(alias) === wanted));
+    return code || null;
+}
+
+function placeField(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+    if (typeof value !== 'string' || text.length < 2 || text.length > MAX_PLACE_CHARS) {
+        throw new HttpError(`${name} must be a name of 2-${MAX_PLACE_CHARS} characters`, 400, 'INVALID_LOCATION');
+    }
+    return text;
+}
+
+// Explicit state/district win over anything in the query. A district outside the
+// dataset is kept as given; a state outside it is rejected so typos do not silently
+// fall back to central law.
+function resolveLocation({ state, district, query } = {}) {
+    const requestedState = placeField(state, 'state');
+    const requestedDistrict = placeField(district, 'district');
+
+    let code = null;
+    if (requestedState) {
+        code = findState(requestedState);
+        if (!code) {
+            const names = Object.values(STATES).map(candidate => candidate.name).join(', ');
+            throw new HttpError(`Unsupported state. Use one of: ${names}`, 400, 'INVALID_STATE');
+        }
+    }
+
+    if (requestedDistrict) {
+        const known = PLACE_INDEX.get(normalizePlace(requestedDistrict));
+        const sameState = known && (!code || known.code === code);
+        return {
+            code: code || (known ? known.code : null),
+            district: sameState && known.district ? known.district : requestedDistrict,
+            source: 'request'
+        };
+    }
+    if (code) {
+        return { code: code, district: null, source: 'request' };
+    }
+
+    // Earliest place mentioned in the query
+    const mentioned = QUERY_PLACES
+        .map(place => ({ place, index: String(query || '').search(place.pattern) }))
+        .filter(candidate => candidate.index >= 0)
+        .sort((left, right) => left.index - right.index || right.place.name.length - left.place.name.length)[0];
+    if (mentioned) {
+        return { code: mentioned.place.code, district: mentioned.place.district, source: 'query' };
+    }
+
+    return { code: null, district: null, source: null };
+}
+
+// ✅ COMPETENT FORUM
+function consumerForum(claimValue, district, state) {
+    const rule = FORUMS.consumer;
+    const tier = claimValue === null
+        ? rule.tiers[0]
+        : rule.tiers.find(candidate => candidate.upTo === undefined || claimValue <= candidate.upTo);
+    const name = tier.level === 'district' && district
+        ? `${tier.name}, ${district}`
+        : tier.level === 'state' && state ? `${state.name} ${tier.name}` : tier.name;
+    const limit = tier.upTo ? ` (claims up to ${formatRupees(tier.upTo)})` : '';
+
+    return {
+        name: name,
+        level: tier.level,
+        basis: `${rule.act}${limit}. ${claimValue === null ? 'The claim value was not stated, so this assumes a smaller claim. ' : ''}${rule.basis}`,
+        url: rule.url
+    };
+}
+
+function civilForum(claimValue, district, state) {
+    const courts = state?.civilCourts;
+    const applies = courts && (!courts.districts || courts.districts.includes(district));
+    if (!applies || claimValue === null) {
+        return { name: FORUMS.civil.name, basis: FORUMS.civil.basis };
+    }
+
+    const tier = courts.tiers.find(candidate => candidate.upTo === undefined || claimValue <= candidate.upTo);
+    return {
+        name: tier.name,
+        basis: `A claim of ${formatRupees(claimValue)} is ${tier.upTo ? `within this court's limit of ${formatRupees(tier.upTo)}` : 'above the limit of the subordinate civil courts'}. ${FORUMS.civil.basis}`
+    };
+}
+
+function forumFor(topic, { claimValue, district, state }) {
+    switch (topic) {
+        case 'consumer':
+            return consumerForum(claimValue, district, state);
+        case 'civil':
+            return civilForum(claimValue, district, state);
+        case 'rent':
+            return state?.laws.rent?.forum
+                ? { name: state.laws.rent.forum, basis: state.laws.rent.act }
+                : { name: FORUMS.civil.name, basis: 'Rent control law differs by state; without the state, the civil court with territorial jurisdiction.' };
+        case 'rera':
+            return state?.laws.rera
+                ? { name: state.laws.rera.authority, basis: FORUMS.rera.basis, url: state.laws.rera.url }
+                : { name: 'Real Estate Regulatory Authority of the state where the project is', basis: FORUMS.rera.basis };
+        case 'constitutional':
+            return { name: state ? state.highCourt.name : 'High Court of the state', basis: FORUMS.constitutional.basis };
+        default:
+            return FORUMS[topic] ? { name: FORUMS[topic].name, basis: FORUMS[topic].basis, url: FORUMS[topic].url } : null;
+    }
+}
+
+function describeState(code) {
+    const state = STATES[code];
+    return {
+        code: code,
+        name: state.name,
+        highCourt: state.highCourt,
+        laws: Object.entries(state.laws).map(([topic, law]) => ({ topic, label: LAW_TOPICS[topic], ...law }))
+    };
+}
+
+// ✅ JURISDICTION BLOCK
+// { state, district, source, claimValue, topics, forums, datasetVersion }; state is null
+// when it is neither given nor named in the query
+function assessJurisdiction({ query, state, district } = {}) {
+    const location = resolveLocation({ state, district, query });
+    const stateInfo = location.code ? STATES[location.code] : null;
+    const claimValue = extractClaimValue(query);
+    const topics = TOPICS.filter(topic => topic.pattern.test(String(query || ''))).map(topic => topic.name);
+
+    const context = { claimValue, district: location.district, state: stateInfo };
+    const forums = topics
+        .map(topic => {
+            const forum = forumFor(topic, context);
+            return forum && { topic: topic, ...forum };
+        })
+        .filter(Boolean)
+        .slice(0, MAX_FORUMS);
+
+    return {
+        state: location.code ? describeState(location.code) : null,
+        district: location.district,
+        source: location.source,
+        claimValue: claimValue,
+        topics: topics,
+        forums: forums,
+        datasetVersion: JURISDICTION_VERSION
+    };
+}
+
+// After the analysis: when nothing in the query pointed at a forum, use the domain the
+// model chose
+function completeJurisdiction(jurisdiction, domain) {
+    const topic = DOMAIN_TOPICS[domain];
+    if (jurisdiction.forums.length || !topic) return jurisdiction;
+
+    const forum = forumFor(topic, {
+        claimValue: jurisdiction.claimValue,
+        district: jurisdiction.district,
+        state: jurisdiction.state && STATES[jurisdiction.state.code]
+    });
+    return forum ? { ...jurisdiction, forums: [{ topic: topic, ...forum }] } : jurisdiction;
+}
+
+// ✅ PROMPT GROUNDING
+function buildJurisdictionGrounding(jurisdiction) {
+    if (!jurisdiction) return '';
+
+    const forums = jurisdiction.forums.map(forum => `- ${forum.name}: ${forum.basis}`);
+    const forumText = forums.length ? `
+
+LIKELY COMPETENT FORUM (from the same dataset; name it in the legal process step):
+${forums.join('\n')}` : '';
+
+    if (!jurisdiction.state) {
+        return `
+
+JURISDICTION: The user's state is not known. Rent control, stamp duty, land records, police procedure and court fees differ by state - where they matter, say so and ask the user to check their state's law instead of assuming one.${forumText}`;
+    }
+
+    const place = jurisdiction.district ? `${jurisdiction.district} district, ${jurisdiction.state.name}` : jurisdiction.state.name;
+    const laws = jurisdiction.state.laws.map(law =>
+        `- ${law.label}: ${[law.act || law.authority, law.forum && `forum: ${law.forum}`, law.note].filter(Boolean).join('; ')}`);
+
+    return `
+
+JURISDICTION: The user is in ${place}${jurisdiction.source === 'query' ? ' (inferred from the query)' : ''}. Apply ${jurisdiction.state.name} law where it differs from central law; the High Court is the ${jurisdiction.state.highCourt.name}. State-specific law (jurisdiction dataset v${jurisdiction.datasetVersion}):
+${laws.join('\n')}${forumText}`;
+}
+
+// Stable string for cache namespaces: the prompt depends on it
+function jurisdictionKey(jurisdiction) {
+    if (!jurisdiction?.state) return 'IN';
+    return `${jurisdiction.state.code}${jurisdiction.district ? `/${normalizePlace(jurisdiction.district)}` : ''}`;
+}
+
+function listStates() {
+    return Object.keys(STATES).map(code => ({
+        code: code,
+        name: STATES[code].name,
+        highCourt: STATES[code].highCourt.name,
+        districts: STATES[code].districts
+    }));
+}
+
+module.exports = {
+    JURISDICTION_VERSION,
+    extractClaimValue,
+    resolveLocation,
+    assessJurisdiction,
+    completeJurisdiction,
+    buildJurisdictionGrounding,
+    jurisdictionKey,
+    listStates
+};
@@ -0,0 +1,159 @@
+// ✅ QUERY LANGUAGE: DETECTION AND PROMPT INSTRUCTIONS
+// Queries arrive in native scripts (हिन्दी, ಕನ್ನಡ, தமிழ் ...) or transliterated in Roman
+// script ("mera landlord deposit wapas nahi de raha"). The script decides the language
+// family; Roman-script queries are matched against common transliterated words.
+
+const LANGUAGES = {
+    en: { name: 'English', nativeName: 'English', script: 'Latin' },
+    hi: { name: 'Hindi', nativeName: 'हिन्दी', script: 'Devanagari' },
+    mr: { name: 'Marathi', nativeName: 'मराठी', script: 'Devanagari' },
+    kn: { name: 'Kannada', nativeName: 'ಕನ್ನಡ', script: 'Kannada' },
+    ta: { name: 'Tamil', nativeName: 'தமிழ்', script: 'Tamil' },
+    te: { name: 'Telugu', nativeName: 'తెలుగు', script: 'Telugu' },
+    bn: { name: 'Bengali', nativeName: 'বাংলা', script: 'Bengali' }
+};
+
+const SCRIPT_PATTERNS = {
+    Devanagari: /[\u0900-\u097F]/g,
+    Bengali: /[\u0980-\u09FF]/g,
+    Tamil: /[\u0B80-\u0BFF]/g,
+    Telugu: /[\u0C00-\u0C7F]/g,
+    Kannada: /[\u0C80-\u0CFF]/g,
+    Latin: /[A-Za-z]/g
+};
+
+// Hindi and Marathi share Devanagari; these everyday words tell them apart
+const DEVANAGARI_MARKERS = {
+    hi: ['है', 'हैं', 'नहीं', 'और', 'मेरे', 'मेरा', 'मेरी', 'मुझे', 'क्या', 'किया', 'गया', 'रहा', 'चाहिए'],
+    mr: ['आहे', 'आहेत', 'नाही', 'आणि', 'माझ्या', 'माझा', 'माझी', 'मला', 'केले', 'झाले', 'पाहिजे', 'काय', 'त्यांनी']
+};
+
+// Common words in transliterated (Roman-script) Indian languages
+const ROMAN_MARKERS = {
+    hi: ['hai', 'hain', 'nahi', 'nahin', 'mera', 'meri', 'mere', 'mujhe', 'kya', 'kaise', 'kyun', 'aur', 'ke', 'ki', 'ko', 'se', 'ne', 'raha', 'rahi', 'gaya', 'gayi', 'diya', 'wala', 'chahiye', 'paise', 'karna', 'kar'],
+    mr: ['aahe', 'ahe', 'aahet', 'nahi', 'majha', 'mazha', 'majhi', 'mazi', 'mala', 'kay', 'ani', 'aani', 'kela', 'keli', 'zala', 'zhala', 'pahije', 'tyanni', 'amhi'],
+    kn: ['nanna', 'nanage', 'illa', 'ide', 'ideya', 'madi', 'maadi', 'yenu', 'enu', 'hege', 'beku', 'bekagide', 'avaru', 'mane', 'duddu', 'kodi', 'kottilla'],
+    ta: ['enna', 'illai', 'irukku', 'naan', 'enakku', 'ennoda', 'pannunga', 'vendum', 'venum', 'avar', 'veedu', 'panam', 'eppadi', 'seyya', 'kudukka', 'tharala'],
+    te: ['naaku', 'naku', 'ledu', 'undi', 'emi', 'enti', 'cheyali', 'cheyyali', 'nenu', 'vallu', 'illu', 'dabbulu', 'ela', 'kavali', 'ivvaledu'],
+    bn: ['amar', 'ami', 'ache', 'nei', 'kintu', 'korte', 'kore', 'hobe', 'taka', 'bari', 'keno', 'kivabe', 'amake', 'dicche']
+};
+
+const MIN_ROMAN_HITS = 2;
+const MIN_ROMAN_RATIO = 0.15;
+
+function countMarkers(words, markers) {
+    const set = new Set(markers);
+    return words.filter(word => set.has(word)).length;
+}
+
+function languageInfo(code, { transliterated = false, source, confidence }) {
+    const language = LANGUAGES[code];
+    return {
+        code: code,
+        name: language.name,
+        nativeName: language.nativeName,
+        script: transliterated ? 'Latin' : language.script,
+        transliterated: transliterated,
+        source: source,
+        confidence: confidence
+    };
+}
+
+// Returns the language info for `text`; English when nothing else is recognisable
+function detectLanguage(text) {
+    const value = String(text || '');
+    const scriptCounts = Object.entries(SCRIPT_PATTERNS)
+        .map(([script, pattern]) => [script, (value.match(pattern) || []).length])
+        .sort((a, b) => b[1] - a[1]);
+    const [topScript, topCount] = scriptCounts[0];
+    const letters = scriptCounts.reduce((total, [, count]) => total + count, 0);
+
+    if (!topCount) {
+        return languageInfo('en', { source: 'default', confidence: 0 });
+    }
+
+    const confidence = Math.round(topCount / letters * 100) / 100;
+
+    if (topScript === 'Devanagari') {
+        const words = value.split(/[\s,.!?।]+/);
+        const code = countMarkers(words, DEVANAGARI_MARKERS.mr) > countMarkers(words, DEVANAGARI_MARKERS.hi) ? 'mr' : 'hi';
+        return languageInfo(code, { source: 'detected', confidence: confidence });
+    }
+
+    if (topScript !== 'Latin') {
+        const code = Object.keys(LANGUAGES).find(candidate => LANGUAGES[candidate].script === topScript);
+        return languageInfo(code, { source: 'detected', confidence: confidence });
+    }
+
+    const words = value.toLowerCase().match(/[a-z]+/g) || [];
+    const [bestCode, bestHits] = Object.entries(ROMAN_MARKERS)
+        .map(([code, markers]) => [code, countMarkers(words, markers)])
+        .sort((a, b) => b[1] - a[1])[0];
+
+    if (bestHits >= MIN_ROMAN_HITS && bestHits / words.length >= MIN_ROMAN_RATIO) {
+        return languageInfo(bestCode, {
+            transliterated: true,
+            source: 'detected',
+            confidence: Math.min(0.95, Math.round(bestHits / words.length * 2 * 100) / 100)
+        });
+    }
+
+    return languageInfo('en', { source: 'detected', confidence: confidence });
+}
+
+// An explicit `language` (code or English name) wins over detection. `fallback` is used
+// when detection finds nothing but English, e.g. a short follow-up in a Hindi thread.
+// Returns { error } for unsupported values.
+function resolveLanguage(requested, text, fallback = 'en') {
+    const detected = detectLanguage(text);
+
+    if (requested !== undefined && requested !== null && requested !== '') {
+        const wanted = String(requested).trim().toLowerCase();
+        const code = Object.keys(LANGUAGES).find(candidate =>
+            candidate === wanted || LANGUAGES[candidate].name.toLowerCase() === wanted
+        );
+
+        if (!code) {
+            return {
+                error: `Unsupported language '${requested}'. Use one of: ${Object.keys(LANGUAGES).join(', ')}`
+            };
+        }
+
+        // Keep Roman script when the user explicitly picked the language they transliterated
+        return languageInfo(code, {
+            transliterated: detected.code === code && detected.transliterated,
+            source: 'explicit',
+            confidence: 1
+        });
+    }
+
+    if (detected.code === 'en' && LANGUAGES[fallback] && fallback !== 'en') {
+        return languageInfo(fallback, { source: 'conversation', confidence: detected.confidence });
+    }
+
+    return detected;
+}
+
+// Appended to every analysis prompt. Statute names and section numbers stay canonical
+// so citations can be checked, and the fields software reads stay in English.
+function buildLanguageInstruction(language, format = 'html') {
+    if (!language || language.code === 'en') return '';
+
+    const scriptNote = language.transliterated
+        ? 'using Roman (Latin) script, the way the user wrote their query'
+        : `in ${language.script} script`;
+    const keepEnglish = format === 'json'
+        ? 'JSON field names and the enum values (domain primary, priority level, action type) exactly as specified'
+        : 'the HTML tags and class names, the Primary Domain value, the priority level word (High/Medium/Low) and the X/10 score exactly as in the template';
+
+    return `
+
+LANGUAGE: Write the answer in ${language.name} (${language.nativeName}) ${scriptNote}, including headings and explanations. Keep names of Acts and codes and all section/article/order numbers in their canonical English form (e.g. "Bharatiya Nyaya Sanhita, Section 318(4)"); you may add the ${language.name} name of an Act in brackets after it. Keep ${keepEnglish}.`;
+}
+
+module.exports = {
+    LANGUAGES,
+    detectLanguage,
+    resolveLanguage,
+    buildLanguageInstruction
+};
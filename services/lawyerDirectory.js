@@ -0,0 +1,160 @@
+// ✅ VERIFIED LAWYER DIRECTORY FOR REFERRALS
+// Lawyers whose Bar Council enrolment an admin approved (./lawyerVerification) can list
+// themselves with practice areas, languages, district and contact details. Listings are
+// stored locally in lawyer-directory.json and only shown while the verification stays
+// approved. Matching requires the case's domain and the user's language, then prefers
+// the same district, then the same state.
+const { createJsonStore } = require('./jsonStore');
+const { HttpError } = require('./httpError');
+const { getUser } = require('./authService');
+const { LEGAL_DOMAINS } = require('./analysisSchema');
+const { LANGUAGES } = require('./language');
+const { createLogger } = require('./logger');
+
+const MAX_RESULTS = 10;
+const MAX_PLACE_CHARS = 60;
+const PRACTICE_AREAS = LEGAL_DOMAINS.filter(domain => domain !== 'Other');
+
+const store = createJsonStore('lawyer-directory.json', { profiles: {} });
+const log = createLogger('lawyerDirectory');
+
+const normalizePlace = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+function isApproved(userId) {
+    return getUser(userId)?.lawyerVerification?.status === 'approved';
+}
+
+function toPublicProfile(profile) {
+    return {
+        lawyerId: profile.userId,
+        name: profile.name,
+        enrolmentNumber: profile.enrolmentNumber,
+        stateBarCouncil: profile.stateBarCouncil,
+        practiceAreas: profile.practiceAreas,
+        languages: profile.languages.map(code => ({ code, name: LANGUAGES[code].name })),
+        district: profile.district,
+        state: profile.state,
+        contact: profile.contact,
+        acceptsLegalAid: profile.acceptsLegalAid,
+        listed: profile.listed,
+        updatedAt: profile.updatedAt
+    };
+}
+
+// ✅ LISTINGS
+function getDirectoryProfile(userId) {
+    const profile = store.data.profiles[userId];
+    if (!profile) {
+        throw new HttpError('You are not listed in the lawyer directory yet', 404, 'PROFILE_NOT_FOUND');
+    }
+    return toPublicProfile(profile);
+}
+
+function stringList(value, allowed, name) {
+    const list = Array.isArray(value) ? [...new Set(value.map(item => String(item).trim()))] : [];
+    const invalid = list.filter(item => !allowed.includes(item));
+    if (!list.length || invalid.length) {
+        throw new HttpError(`${name} must be a non-empty list of: ${allowed.join(', ')}`, 400, 'INVALID_PROFILE');
+    }
+    return list;
+}
+
+function place(value, name) {
+    const text = String(value || '').trim();
+    if (text.length < 2 || text.length > MAX_PLACE_CHARS) {
+        throw new HttpError(`${name} is required (2-${MAX_PLACE_CHARS} characters)`, 400, 'INVALID_PROFILE');
+    }
+    return text;
+}
+
+function contactDetails({ phone, email } = {}) {
+    const contact = {};
+    if (phone) {
+        const digits = String(phone).replace(/[\s()-]/g, '');
+        if (!/^\+?\d{10,13}$/.test(digits)) {
+            throw new HttpError('contact.phone must be a 10-13 digit phone number', 400, 'INVALID_PROFILE');
+        }
+        contact.phone = digits;
+    }
+    if (email) {
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email))) {
+            throw new HttpError('contact.email is not a valid e-mail address', 400, 'INVALID_PROFILE');
+        }
+        contact.email = String(email).trim().toLowerCase();
+    }
+    if (!contact.phone && !contact.email) {
+        throw new HttpError('Add a phone number or e-mail address clients can reach you on', 400, 'INVALID_PROFILE');
+    }
+    return contact;
+}
+
+// Name and enrolment always come from the approved verification, not the request
+function saveDirectoryProfile(userId, input = {}) {
+    const user = getUser(userId);
+    if (user?.lawyerVerification?.status !== 'approved') {
+        throw new HttpError('Only verified lawyers can be listed in the directory', 403, 'NOT_VERIFIED');
+    }
+
+    const profile = {
+        userId: userId,
+        name: user.lawyerVerification.fullName,
+        enrolmentNumber: user.lawyerVerification.enrolmentNumber,
+        stateBarCouncil: user.lawyerVerification.stateBarCouncil || null,
+        practiceAreas: stringList(input.practiceAreas, PRACTICE_AREAS, 'practiceAreas'),
+        languages: stringList(input.languages, Object.keys(LANGUAGES), 'languages'),
+        district: place(input.district, 'district'),
+        state: place(input.state, 'state'),
+        contact: contactDetails(input.contact),
+        acceptsLegalAid: Boolean(input.acceptsLegalAid),
+        listed: input.listed !== false,
+        updatedAt: new Date().toISOString()
+    };
+
+    store.data.profiles[userId] = profile;
+    store.save();
+    log.info(profile.listed ? 'Directory listing saved' : 'Directory listing hidden', {
+        userId: userId,
+        practiceAreas: profile.practiceAreas,
+        district: profile.district
+    });
+    return toPublicProfile(profile);
+}
+
+// ✅ MATCHING
+// Returns { matchLevel: 'district' | 'state' | 'any' | 'none', lawyers }. Legal-aid lawyers
+// come first for high-priority cases, otherwise the most recently updated listings.
+function findLawyers({ domain, language = 'en', district, state, preferLegalAid = false, limit = 5 } = {}) {
+    const candidates = Object.values(store.data.profiles).filter(profile =>
+        profile.listed &&
+        isApproved(profile.userId) &&
+        (!domain || domain === 'Other' || profile.practiceAreas.includes(domain)) &&
+        profile.languages.includes(language));
+
+    const size = Math.min(Math.max(parseInt(limit) || 5, 1), MAX_RESULTS);
+    const order = (left, right) =>
+        (preferLegalAid ? Number(right.acceptsLegalAid) - Number(left.acceptsLegalAid) : 0) ||
+        right.updatedAt.localeCompare(left.updatedAt);
+
+    const levels = [
+        ['district', district && (profile => normalizePlace(profile.district) === normalizePlace(district))],
+        ['state', state && (profile => normalizePlace(profile.state) === normalizePlace(state))],
+        ['any', !district && !state && (() => true)]
+    ];
+
+    for (const [matchLevel, matches] of levels) {
+        if (!matches) continue;
+        const found = candidates.filter(matches).sort(order);
+        if (found.length) {
+            return { matchLevel: matchLevel, lawyers: found.slice(0, size).map(toPublicProfile) };
+        }
+    }
+
+    return { matchLevel: 'none', lawyers: [] };
+}
+
+module.exports = {
+    PRACTICE_AREAS,
+    getDirectoryProfile,
+    saveDirectoryProfile,
+    findLawyers
+};
@@ -0,0 +1,96 @@
+// ✅ LAWYER VERIFICATION (BAR COUNCIL ENROLMENT)
+// none -> pending (citizen submits enrolment) -> approved | rejected (admin review).
+// Only an approved verification gives a user the lawyer role; a rejected applicant
+// may resubmit with corrected details.
+const { HttpError } = require('./httpError');
+const { getUser, listUsers, updateUser, toPublicUser } = require('./authService');
+const { createLogger } = require('./logger');
+
+const log = createLogger('lawyerVerification');
+
+// State Bar Council enrolment numbers look like "KAR/1234/2015", "D/567/2010", "MAH/12345/2019"
+const ENROLMENT_PATTERN = /^[A-Z]{1,4}\/\d{1,6}\/(\d{4})$/;
+
+function normalizeEnrolment(value) {
+    return String(value || '').trim().toUpperCase().replace(/\s+/g, '');
+}
+
+function submitVerification(userId, { enrolmentNumber, stateBarCouncil, fullName }) {
+    const user = getUser(userId);
+    const current = user?.lawyerVerification?.status || 'none';
+
+    if (current === 'pending') {
+        throw new HttpError('Your enrolment is already awaiting review', 409, 'VERIFICATION_PENDING');
+    }
+    if (current === 'approved') {
+        throw new HttpError('Your enrolment is already verified', 409, 'VERIFICATION_APPROVED');
+    }
+
+    const enrolment = normalizeEnrolment(enrolmentNumber);
+    const match = enrolment.match(ENROLMENT_PATTERN);
+    const year = match ? Number(match[1]) : 0;
+
+    if (!match || year < 1950 || year > new Date().getFullYear()) {
+        throw new HttpError('Please enter a valid Bar Council enrolment number (e.g. KAR/1234/2015)', 400, 'INVALID_ENROLMENT');
+    }
+    if (!fullName || String(fullName).trim().length < 3) {
+        throw new HttpError('Full name as on the enrolment certificate is required', 400, 'NAME_REQUIRED');
+    }
+
+    const updated = updateUser(userId, {
+        lawyerVerification: {
+            status: 'pending',
+            enrolmentNumber: enrolment,
+            stateBarCouncil: stateBarCouncil ? String(stateBarCouncil).trim() : null,
+            fullName: String(fullName).trim(),
+            submittedAt: new Date().toISOString()
+        }
+    });
+
+    log.info('Lawyer verification submitted', { userId: updated.id, enrolment: enrolment });
+    return toPublicUser(updated);
+}
+
+function reviewVerification(adminId, userId, { decision, reason }) {
+    if (!['approve', 'reject'].includes(decision)) {
+        throw new HttpError("Invalid decision. Use 'approve' or 'reject'", 400, 'INVALID_DECISION');
+    }
+
+    const user = getUser(userId);
+    if (!user) {
+        throw new HttpError('User not found', 404, 'USER_NOT_FOUND');
+    }
+    if (user.lawyerVerification?.status !== 'pending') {
+        throw new HttpError('This user has no pending verification', 409, 'NOT_PENDING');
+    }
+    if (decision === 'reject' && !reason) {
+        throw new HttpError('A reason is required when rejecting a verification', 400, 'REASON_REQUIRED');
+    }
+
+    const updated = updateUser(userId, {
+        lawyerVerification: {
+            ...user.lawyerVerification,
+            status: decision === 'approve' ? 'approved' : 'rejected',
+            reviewedAt: new Date().toISOString(),
+            reviewedBy: adminId,
+            reason: reason || null
+        }
+    });
+
+    log.info('Lawyer verification reviewed', { userId: userId, status: updated.lawyerVerification.status, adminId: adminId });
+    return toPublicUser(updated);
+}
+
+function listVerifications(status = 'pending') {
+    return listUsers(user => (user.lawyerVerification?.status || 'none') === status)
+        .map(user => ({
+            ...toPublicUser(user),
+            lawyerVerification: user.lawyerVerification
+        }));
+}
+
+module.exports = {
+    submitVerification,
+    reviewVerification,
+    listVerifications
+};
@@ -0,0 +1,124 @@
+// ✅ STRUCTURED JSON LOGGER WITH REQUEST IDS AND REDACTION
+// One JSON object per line: { time, level, component, msg, requestId, ...fields }.
+// LOG_LEVEL (debug|info|warn|error, default info) filters records; LOG_FORMAT=pretty
+// prints readable lines for local development instead. The request ID comes from the
+// async context opened by middleware/requestId.js, so everything logged while serving a
+// request - including every upstream attempt in callAIWithAdvancedFallback - carries it.
+// Before anything is written, API keys and Aadhaar numbers are masked wherever they
+// appear and user-supplied text (queries, prompts, messages) is replaced by its length.
+const { AsyncLocalStorage } = require('async_hooks');
+const { maskAadhaarInText } = require('./aadhaar');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are user-supplied legal text and never belong in logs
+const TEXT_FIELDS = new Set(['query', 'prompt', 'message', 'question', 'notes', 'text', 'documentText', 'analysis']);
+
+// Provider key formats (Gemini, OpenAI), key query parameters in upstream URLs and
+// access tokens passed in the query string (e.g. EventSource clients)
+const KEY_PATTERNS = [
+    /AIza[0-9A-Za-z_-]{20,}/g,
+    /\bsk-[A-Za-z0-9_-]{16,}/g,
+    /([?&](?:key|access_token)=)[^&\s"]+/g,
+    /(Bearer\s+)[A-Za-z0-9._~+/=-]{16,}/gi
+];
+
+const KEY_ENV_NAMES = ['GEMINI_API_KEY_1', 'GEMINI_API_KEY_2', 'GEMINI_API_KEY_3', 'OPENAI_API_KEY', 'METRICS_TOKEN'];
+
+const context = new AsyncLocalStorage();
+
+function minimumLevel() {
+    return LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+}
+
+function configuredKeys() {
+    return KEY_ENV_NAMES.map(name => process.env[name]).filter(value => value && value.length >= 8);
+}
+
+function redactString(value) {
+    let text = maskAadhaarInText(value);
+    for (const key of configuredKeys()) {
+        text = text.split(key).join('[REDACTED]');
+    }
+    for (const pattern of KEY_PATTERNS) {
+        text = text.replace(pattern, (match, prefix) => `${typeof prefix === 'string' ? prefix : ''}[REDACTED]`);
+    }
+    return text;
+}
+
+function redact(value, fieldName, depth = 0) {
+    if (value === null || value === undefined) return value;
+    if (TEXT_FIELDS.has(fieldName) && typeof value === 'string') return `[REDACTED ${value.length} chars]`;
+    if (typeof value === 'string') return redactString(value);
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redactString(value.message),
+            ...(value.code && { code: value.code }),
+            ...(value.type && { type: value.type })
+        };
+    }
+    if (typeof value !== 'object') return value;
+    if (depth >= 4) return '[Object]';
+    if (Array.isArray(value)) return value.map(item => redact(item, fieldName, depth + 1));
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = redact(item, key, depth + 1);
+    }
+    return result;
+}
+
+function write(level, component, msg, fields = {}) {
+    if (LEVELS[level] < minimumLevel()) return;
+
+    const store = context.getStore();
+    const record = {
+        time: new Date().toISOString(),
+        level: level,
+        ...(component && { component }),
+        msg: redactString(String(msg)),
+        ...(store?.requestId && { requestId: store.requestId }),
+        ...redact(fields)
+    };
+
+    const out = level === 'error' || level === 'warn' ? console.error : console.log;
+    if (process.env.LOG_FORMAT === 'pretty') {
+        const { time, level: recordLevel, component: name, msg: text, ...rest } = record;
+        const extra = Object.entries(rest).map(([key, item]) => `${key}=${typeof item === 'object' ? JSON.stringify(item) : item}`);
+        out(`${time} ${recordLevel.toUpperCase().padEnd(5)} ${name ? `[${name}] ` : ''}${text}${extra.length ? ` ${extra.join(' ')}` : ''}`);
+    } else {
+        out(JSON.stringify(record));
+    }
+}
+
+// createLogger('aiService').info('Attempt failed', { model, errorType })
+// child({ ... }) returns a logger that adds the given fields to every record
+function createLogger(component, baseFields = {}) {
+    const logAt = (level) => (msg, fields) => write(level, component, msg, { ...baseFields, ...fields });
+    return {
+        debug: logAt('debug'),
+        info: logAt('info'),
+        warn: logAt('warn'),
+        error: logAt('error'),
+        child: (fields) => createLogger(component, { ...baseFields, ...fields })
+    };
+}
+
+// Runs fn (and everything it schedules) with the given request ID in scope
+function runWithRequestId(requestId, fn) {
+    return context.run({ requestId: requestId }, fn);
+}
+
+function getRequestId() {
+    return context.getStore()?.requestId || null;
+}
+
+module.exports = {
+    LEVELS,
+    createLogger,
+    runWithRequestId,
+    getRequestId,
+    redact,
+    redactString
+};
@@ -0,0 +1,89 @@
+// ✅ USER-FACING MESSAGES IN SUPPORTED LANGUAGES
+// Keyed by message, then language code (see ./language). Missing translations fall
+// back to English. Transliterated (Roman-script) queries get the native-script text.
+
+const MESSAGES = {
+    queryRequired: {
+        en: "Legal query is required",
+        hi: "कानूनी प्रश्न लिखना आवश्यक है",
+        mr: "कायदेशीर प्रश्न लिहिणे आवश्यक आहे",
+        kn: "ಕಾನೂನು ಪ್ರಶ್ನೆಯನ್ನು ನಮೂದಿಸುವುದು ಅಗತ್ಯ",
+        ta: "சட்ட கேள்வியை உள்ளிடுவது அவசியம்",
+        te: "చట్టపరమైన ప్రశ్నను నమోదు చేయడం అవసరం",
+        bn: "আইনি প্রশ্ন লেখা আবশ্যক"
+    },
+    queryTooLong: {
+        en: "Query too long. Please limit to 2000 characters for optimal performance.",
+        hi: "प्रश्न बहुत लंबा है। कृपया इसे 2000 अक्षरों तक सीमित रखें।",
+        mr: "प्रश्न खूप मोठा आहे. कृपया तो 2000 अक्षरांपर्यंत मर्यादित ठेवा.",
+        kn: "ಪ್ರಶ್ನೆ ತುಂಬಾ ಉದ್ದವಾಗಿದೆ. ದಯವಿಟ್ಟು 2000 ಅಕ್ಷರಗಳ ಒಳಗೆ ಮಿತಿಗೊಳಿಸಿ.",
+        ta: "கேள்வி மிகவும் நீளமாக உள்ளது. தயவுசெய்து 2000 எழுத்துகளுக்குள் வரம்பிடவும்.",
+        te: "ప్రశ్న చాలా పొడవుగా ఉంది. దయచేసి 2000 అక్షరాలలోపు పరిమితం చేయండి.",
+        bn: "প্রশ্নটি খুব দীর্ঘ। অনুগ্রহ করে 2000 অক্ষরের মধ্যে সীমাবদ্ধ রাখুন।"
+    },
+    invalidFormat: {
+        en: "Invalid format. Use 'html' or 'json'",
+        hi: "अमान्य फ़ॉर्मेट। 'html' या 'json' का उपयोग करें",
+        mr: "अवैध फॉरमॅट. 'html' किंवा 'json' वापरा",
+        kn: "ಅಮಾನ್ಯ ಫಾರ್ಮ್ಯಾಟ್. 'html' ಅಥವಾ 'json' ಬಳಸಿ",
+        ta: "தவறான வடிவம். 'html' அல்லது 'json' பயன்படுத்தவும்",
+        te: "చెల్లని ఫార్మాట్. 'html' లేదా 'json' ఉపయోగించండి",
+        bn: "অবৈধ ফরম্যাট। 'html' বা 'json' ব্যবহার করুন"
+    },
+    promptInjection: {
+        en: "Your query contains instructions or markup that cannot be processed. Please describe your legal situation in plain words.",
+        hi: "आपके प्रश्न में ऐसे निर्देश या मार्कअप हैं जिन्हें संसाधित नहीं किया जा सकता। कृपया अपनी कानूनी स्थिति सरल शब्दों में बताएं।",
+        mr: "तुमच्या प्रश्नात अशा सूचना किंवा मार्कअप आहेत ज्यावर प्रक्रिया करता येत नाही. कृपया तुमची कायदेशीर परिस्थिती साध्या शब्दांत सांगा.",
+        kn: "ನಿಮ್ಮ ಪ್ರಶ್ನೆಯಲ್ಲಿ ಪ್ರಕ್ರಿಯೆಗೊಳಿಸಲು ಸಾಧ್ಯವಿಲ್ಲದ ಸೂಚನೆಗಳು ಅಥವಾ ಮಾರ್ಕ್‌ಅಪ್ ಇದೆ. ದಯವಿಟ್ಟು ನಿಮ್ಮ ಕಾನೂನು ಪರಿಸ್ಥಿತಿಯನ್ನು ಸರಳ ಪದಗಳಲ್ಲಿ ವಿವರಿಸಿ.",
+        ta: "உங்கள் கேள்வியில் செயல்படுத்த முடியாத அறிவுறுத்தல்கள் அல்லது மார்க்அப் உள்ளன. தயவுசெய்து உங்கள் சட்ட நிலைமையை எளிய வார்த்தைகளில் விவரிக்கவும்.",
+        te: "మీ ప్రశ్నలో ప్రాసెస్ చేయలేని సూచనలు లేదా మార్కప్ ఉన్నాయి. దయచేసి మీ చట్టపరమైన పరిస్థితిని సరళమైన మాటల్లో వివరించండి.",
+        bn: "আপনার প্রশ্নে এমন নির্দেশ বা মার্কআপ আছে যা প্রক্রিয়া করা যায় না। অনুগ্রহ করে আপনার আইনি পরিস্থিতি সহজ ভাষায় বর্ণনা করুন।"
+    },
+    serviceUnavailable: {
+        en: "AI analysis service temporarily unavailable. Please try again.",
+        hi: "AI विश्लेषण सेवा अस्थायी रूप से उपलब्ध नहीं है। कृपया फिर से प्रयास करें।",
+        mr: "AI विश्लेषण सेवा तात्पुरती उपलब्ध नाही. कृपया पुन्हा प्रयत्न करा.",
+        kn: "AI ವಿಶ್ಲೇಷಣಾ ಸೇವೆ ತಾತ್ಕಾಲಿಕವಾಗಿ ಲಭ್ಯವಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+        ta: "AI பகுப்பாய்வு சேவை தற்காலிகமாகக் கிடைக்கவில்லை. தயவுசெய்து மீண்டும் முயற்சிக்கவும்.",
+        te: "AI విశ్లేషణ సేవ తాత్కాలికంగా అందుబాటులో లేదు. దయచేసి మళ్లీ ప్రయత్నించండి.",
+        bn: "AI বিশ্লেষণ পরিষেবা সাময়িকভাবে অনুপলব্ধ। অনুগ্রহ করে আবার চেষ্টা করুন।"
+    },
+    timeout: {
+        en: "Request timeout - our AI is experiencing high load. Please try with a shorter query or try again in a few minutes.",
+        hi: "अनुरोध का समय समाप्त हो गया - हमारी AI पर अभी अधिक भार है। कृपया छोटा प्रश्न लिखें या कुछ मिनट बाद फिर प्रयास करें।",
+        mr: "विनंतीची वेळ संपली - आमच्या AI वर सध्या जास्त भार आहे. कृपया लहान प्रश्न लिहा किंवा काही मिनिटांनी पुन्हा प्रयत्न करा.",
+        kn: "ವಿನಂತಿಯ ಸಮಯ ಮೀರಿದೆ - ನಮ್ಮ AI ಮೇಲೆ ಈಗ ಹೆಚ್ಚಿನ ಒತ್ತಡವಿದೆ. ದಯವಿಟ್ಟು ಚಿಕ್ಕ ಪ್ರಶ್ನೆಯೊಂದಿಗೆ ಅಥವಾ ಕೆಲವು ನಿಮಿಷಗಳ ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+        ta: "கோரிக்கைக்கான நேரம் முடிந்தது - எங்கள் AI தற்போது அதிக சுமையில் உள்ளது. சிறிய கேள்வியுடன் அல்லது சில நிமிடங்களில் மீண்டும் முயற்சிக்கவும்.",
+        te: "అభ్యర్థన సమయం ముగిసింది - మా AI పై ప్రస్తుతం ఎక్కువ భారం ఉంది. చిన్న ప్రశ్నతో లేదా కొన్ని నిమిషాల తర్వాత మళ్లీ ప్రయత్నించండి.",
+        bn: "অনুরোধের সময় শেষ হয়েছে - আমাদের AI-তে এখন অতিরিক্ত চাপ রয়েছে। ছোট প্রশ্ন দিয়ে বা কয়েক মিনিট পরে আবার চেষ্টা করুন।"
+    },
+    quotaExceeded: {
+        en: "API usage limits reached. Please try again in a few minutes or contact support.",
+        hi: "API उपयोग की सीमा पूरी हो गई है। कृपया कुछ मिनट बाद फिर प्रयास करें या सहायता से संपर्क करें।",
+        mr: "API वापराची मर्यादा पूर्ण झाली आहे. कृपया काही मिनिटांनी पुन्हा प्रयत्न करा किंवा सहाय्यकाशी संपर्क साधा.",
+        kn: "API ಬಳಕೆಯ ಮಿತಿ ತಲುಪಿದೆ. ದಯವಿಟ್ಟು ಕೆಲವು ನಿಮಿಷಗಳ ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ ಅಥವಾ ಬೆಂಬಲವನ್ನು ಸಂಪರ್ಕಿಸಿ.",
+        ta: "API பயன்பாட்டு வரம்பை எட்டியுள்ளது. சில நிமிடங்களில் மீண்டும் முயற்சிக்கவும் அல்லது உதவியைத் தொடர்புகொள்ளவும்.",
+        te: "API వినియోగ పరిమితి చేరుకుంది. కొన్ని నిమిషాల తర్వాత మళ్లీ ప్రయత్నించండి లేదా సహాయాన్ని సంప్రదించండి.",
+        bn: "API ব্যবহারের সীমা পূর্ণ হয়েছে। কয়েক মিনিট পরে আবার চেষ্টা করুন বা সহায়তার সাথে যোগাযোগ করুন।"
+    },
+    overloaded: {
+        en: "All AI services are temporarily overloaded. Please try again in 2-3 minutes.",
+        hi: "सभी AI सेवाएं अभी अस्थायी रूप से व्यस्त हैं। कृपया 2-3 मिनट बाद फिर प्रयास करें।",
+        mr: "सर्व AI सेवा सध्या तात्पुरत्या व्यस्त आहेत. कृपया 2-3 मिनिटांनी पुन्हा प्रयत्न करा.",
+        kn: "ಎಲ್ಲಾ AI ಸೇವೆಗಳು ತಾತ್ಕಾಲಿಕವಾಗಿ ಕಾರ್ಯನಿರತವಾಗಿವೆ. ದಯವಿಟ್ಟು 2-3 ನಿಮಿಷಗಳ ನಂತರ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.",
+        ta: "அனைத்து AI சேவைகளும் தற்காலிகமாக அதிக சுமையில் உள்ளன. 2-3 நிமிடங்களில் மீண்டும் முயற்சிக்கவும்.",
+        te: "అన్ని AI సేవలు తాత్కాలికంగా రద్దీగా ఉన్నాయి. 2-3 నిమిషాల తర్వాత మళ్లీ ప్రయత్నించండి.",
+        bn: "সমস্ত AI পরিষেবা সাময়িকভাবে ব্যস্ত। 2-3 মিনিট পরে আবার চেষ্টা করুন।"
+    }
+};
+
+function localize(key, languageCode = 'en') {
+    const entry = MESSAGES[key];
+    if (!entry) return key;
+    return entry[languageCode] || entry.en;
+}
+
+module.exports = {
+    MESSAGES,
+    localize
+};
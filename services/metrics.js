@@ -0,0 +1,162 @@
+// ✅ PROMETHEUS METRICS
+// A small in-process registry rendered in the Prometheus text format by GET /metrics.
+// HTTP metrics are labelled by route pattern (/api/consultations/:id, never the raw URL),
+// upstream metrics by model and key *name*; no key values or user text end up in labels.
+// Gauges read live state (queue, cache, rate limits) through collectors registered by
+// the server, so this module depends on nothing else in services/.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const UPSTREAM_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 90, 120, 180];
+
+const metrics = new Map(); // name -> { type, help, labelNames, series | collect, buckets }
+
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function register(name, definition) {
+    if (metrics.has(name)) throw new Error(`Metric ${name} is already registered`);
+    metrics.set(name, { ...definition, series: new Map() });
+    return metrics.get(name);
+}
+
+function counter(name, help, labelNames = []) {
+    const metric = register(name, { type: 'counter', help, labelNames });
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = labelKey(labelNames, labels);
+            const series = metric.series.get(key) || { labels: pick(labelNames, labels), value: 0 };
+            series.value += amount;
+            metric.series.set(key, series);
+        }
+    };
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const metric = register(name, { type: 'histogram', help, labelNames, buckets });
+    return {
+        observe(labels, value) {
+            const key = labelKey(labelNames, labels);
+            let series = metric.series.get(key);
+            if (!series) {
+                series = { labels: pick(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+                metric.series.set(key, series);
+            }
+            buckets.forEach((bound, index) => {
+                if (value <= bound) series.counts[index]++;
+            });
+            series.sum += value;
+            series.count++;
+        }
+    };
+}
+
+// collect() -> [{ labels, value }] (or a single number), read at scrape time
+function gauge(name, help, collect) {
+    register(name, { type: 'gauge', help, labelNames: [], collect });
+}
+
+function pick(labelNames, labels) {
+    const picked = {};
+    for (const name of labelNames) picked[name] = labels[name] ?? '';
+    return picked;
+}
+
+function renderMetrics() {
+    const lines = [];
+
+    for (const [name, metric] of metrics) {
+        lines.push(`# HELP ${name} ${metric.help}`);
+        lines.push(`# TYPE ${name} ${metric.type}`);
+
+        if (metric.type === 'gauge') {
+            let samples;
+            try {
+                samples = metric.collect();
+            } catch (error) {
+                continue;
+            }
+            for (const sample of typeof samples === 'number' ? [{ labels: {}, value: samples }] : samples) {
+                lines.push(`${name}${formatLabels(sample.labels || {})} ${sample.value}`);
+            }
+        } else if (metric.type === 'counter') {
+            for (const series of metric.series.values()) {
+                lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+            }
+        } else {
+            for (const series of metric.series.values()) {
+                metric.buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                lines.push(`${name}_sum${formatLabels(series.labels)} ${Number(series.sum.toFixed(6))}`);
+                lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+            }
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+// ✅ APPLICATION METRICS
+const httpRequests = counter('http_requests_total', 'HTTP requests by method, route pattern and status code', ['method', 'route', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by method and route pattern', ['method', 'route']);
+const upstreamRequests = counter('ai_upstream_requests_total', 'Upstream model calls by model, key name and outcome (success or error class)', ['model', 'provider', 'key', 'outcome']);
+const upstreamDuration = histogram('ai_upstream_request_duration_seconds', 'Upstream model call latency by model and key name', ['model', 'key'], UPSTREAM_BUCKETS);
+const upstreamErrors = counter('ai_upstream_errors_total', 'Failed upstream model calls by error class (TIMEOUT, QUOTA_EXCEEDED, NETWORK, RATE_LIMIT, ...)', ['model', 'key', 'error_type']);
+const retries = counter('ai_retries_total', 'Retries of the same model/key pair by reason', ['model', 'reason']);
+const fallbacks = counter('ai_fallbacks_total', 'Switches to the next key (same model) or next model in the fallback chain, by the model switched to', ['scope', 'model']);
+const chainFailures = counter('ai_fallback_chain_failures_total', 'Requests for which every model and key failed', ['reason']);
+const tokens = counter('ai_tokens_total', 'Tokens reported by providers, by model and direction (prompt or completion)', ['model', 'type']);
+
+function recordHttpRequest({ method, route, status, durationMs }) {
+    httpRequests.inc({ method, route, status });
+    httpDuration.observe({ method, route }, durationMs / 1000);
+}
+
+// outcome is 'success' or the error class of a failed attempt
+function recordUpstreamAttempt({ model, provider, key, outcome, durationMs }) {
+    upstreamRequests.inc({ model, provider, key, outcome });
+    upstreamDuration.observe({ model, key }, durationMs / 1000);
+    if (outcome !== 'success') upstreamErrors.inc({ model, key, error_type: outcome });
+}
+
+function recordRetry({ model, reason }) {
+    retries.inc({ model, reason });
+}
+
+function recordFallback({ scope, model }) {
+    fallbacks.inc({ scope, model });
+}
+
+function recordChainFailure(reason) {
+    chainFailures.inc({ reason });
+}
+
+function recordTokenUsage(model, usage) {
+    if (!usage) return;
+    if (usage.promptTokens) tokens.inc({ model, type: 'prompt' }, usage.promptTokens);
+    if (usage.completionTokens) tokens.inc({ model, type: 'completion' }, usage.completionTokens);
+}
+
+module.exports = {
+    counter,
+    histogram,
+    gauge,
+    renderMetrics,
+    recordHttpRequest,
+    recordUpstreamAttempt,
+    recordRetry,
+    recordFallback,
+    recordChainFailure,
+    recordTokenUsage
+};
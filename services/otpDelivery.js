@@ -0,0 +1,77 @@
+// ✅ PLUGGABLE OTP DELIVERY
+// A channel is an object with `deliver({ maskedAadhaar, otp, expiresAt })`. The SMS
+// gateway / UIDAI integration registers itself with registerOtpChannel() and OTP_DELIVERY
+// names the channel to use; there is no default. For local development only,
+// OTP_DELIVERY=console logs the OTP and OTP_DELIVERY=file appends it to
+// storage/otp-outbox.log; both are refused when NODE_ENV=production.
+// checkOtpDelivery() runs before the server listens: a missing or unsafe setting stops
+// start-up, except with NODE_ENV=development where it is only a warning.
+const fs = require('fs');
+const path = require('path');
+const { STORAGE_DIR } = require('./jsonStore');
+const { HttpError } = require('./httpError');
+const { createLogger } = require('./logger');
+
+const DEVELOPMENT_CHANNELS = ['console', 'file'];
+
+const log = createLogger('otpDelivery');
+
+const channels = {
+    console: {
+        async deliver({ maskedAadhaar, otp, expiresAt }) {
+            log.info('OTP (console delivery)', { to: maskedAadhaar, otp: otp, expiresAt: new Date(expiresAt).toISOString() });
+        }
+    },
+
+    file: {
+        async deliver({ maskedAadhaar, otp, expiresAt }) {
+            fs.mkdirSync(STORAGE_DIR, { recursive: true });
+            const line = JSON.stringify({ to: maskedAadhaar, otp: otp, expiresAt: new Date(expiresAt).toISOString(), sentAt: new Date().toISOString() });
+            await fs.promises.appendFile(path.join(STORAGE_DIR, 'otp-outbox.log'), `${line}\n`);
+        }
+    }
+};
+
+function registerOtpChannel(name, channel) {
+    if (typeof channel?.deliver !== 'function') {
+        throw new Error(`OTP channel "${name}" must implement deliver()`);
+    }
+    channels[name] = channel;
+}
+
+// Why the configured channel cannot be used, or null when it can
+function otpDeliveryProblem() {
+    const name = process.env.OTP_DELIVERY;
+    if (!name) {
+        return 'OTP_DELIVERY is not set, so sign-in cannot send OTPs. Name the SMS channel, or console/file for local development';
+    }
+    if (!Object.hasOwn(channels, name)) {
+        return `Unknown OTP delivery channel "${name}". Available: ${Object.keys(channels).join(', ')}`;
+    }
+    if (DEVELOPMENT_CHANNELS.includes(name) && process.env.NODE_ENV === 'production') {
+        return `OTP_DELIVERY=${name} writes OTPs in clear and is for local development only`;
+    }
+    return null;
+}
+
+function checkOtpDelivery() {
+    const problem = otpDeliveryProblem();
+    if (!problem) return;
+    if (process.env.NODE_ENV !== 'development') throw new Error(problem);
+    log.warn(problem);
+}
+
+async function deliverOtp(message) {
+    const problem = otpDeliveryProblem();
+    if (problem) {
+        log.error('OTP not sent', { error: problem });
+        throw new HttpError('OTP delivery is not available right now. Please try again later.', 503, 'OTP_DELIVERY_UNAVAILABLE');
+    }
+    await channels[process.env.OTP_DELIVERY].deliver(message);
+}
+
+module.exports = {
+    registerOtpChannel,
+    checkOtpDelivery,
+    deliverOtp
+};
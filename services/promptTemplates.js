@@ -0,0 +1,127 @@
+// ✅ VERSIONED PROMPT TEMPLATES
+// Prompt wording lives in data/prompts/<task>/<version>.txt instead of in code, so it can
+// change without touching handlers and two versions can be compared (npm run eval:prompts).
+// manifest.json declares each task's variables, default version and optional A/B split.
+// Templates are checked at start-up: an undeclared variable or a missing file stops the
+// server rather than producing a broken prompt later.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./httpError');
+const { createLogger } = require('./logger');
+const metrics = require('./metrics');
+
+const PROMPTS_DIR = process.env.PROMPT_TEMPLATES_DIR || path.join(__dirname, '..', 'data', 'prompts');
+const PLACEHOLDER = /\{\{([#/]?)(\w+)\}\}/g;
+
+const log = createLogger('promptTemplates');
+const selections = metrics.counter(
+    'prompt_template_selections_total',
+    'Prompt templates chosen for requests, by task, version and how the version was assigned',
+    ['task', 'version', 'assignment']
+);
+
+function loadTasks() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(PROMPTS_DIR, 'manifest.json'), 'utf8'));
+
+    return Object.fromEntries(Object.entries(manifest.tasks).map(([task, config]) => {
+        const versions = Object.fromEntries(Object.entries(config.versions).map(([version, description]) => {
+            const text = fs.readFileSync(path.join(PROMPTS_DIR, task, `${version}.txt`), 'utf8')
+                .replace(/\r\n?/g, '\n')
+                .replace(/\n$/, '');
+            const undeclared = [...text.matchAll(PLACEHOLDER)]
+                .map(match => match[2])
+                .filter(name => !config.variables.includes(name));
+            if (undeclared.length) {
+                throw new Error(`Prompt ${task}/${version} uses undeclared variables: ${[...new Set(undeclared)].join(', ')}`);
+            }
+            return [version, { description, text }];
+        }));
+
+        const split = Object.entries(config.split || {}).filter(([, weight]) => weight > 0);
+        for (const version of [config.default, ...split.map(([name]) => name)]) {
+            if (!versions[version]) throw new Error(`Prompt task ${task} refers to missing version ${version}`);
+        }
+
+        return [task, { variables: config.variables, defaultVersion: config.default, split, versions }];
+    }));
+}
+
+const TASKS = loadTasks();
+
+log.info(`Prompt templates: ${Object.entries(TASKS).map(([task, config]) => `${task} v${config.defaultVersion}`).join(', ')}`);
+
+// Same user, same bucket: a stable hash of the task and the user id picks the version
+function splitVersion(task, split, subject) {
+    const total = split.reduce((sum, [, weight]) => sum + weight, 0);
+    const point = subject
+        ? crypto.createHash('sha256').update(`${task}:${subject}`).digest().readUInt32BE(0) % total
+        : Math.floor(Math.random() * total);
+
+    let reached = 0;
+    for (const [version, weight] of split) {
+        reached += weight;
+        if (point < reached) return version;
+    }
+    return split[split.length - 1][0];
+}
+
+// ✅ SELECTION
+// `version`: asked for by the request (400 when it does not exist); `subject`: the user
+// id used for the A/B bucket. Returns { task, version, assignment, text }.
+function selectTemplate(task, { version, subject } = {}) {
+    const config = Object.hasOwn(TASKS, task) ? TASKS[task] : null;
+    if (!config) throw new Error(`Unknown prompt task: ${task}`);
+
+    let chosen = config.defaultVersion;
+    let assignment = 'default';
+    if (version !== undefined && version !== null && version !== '') {
+        if (!Object.hasOwn(config.versions, version)) {
+            throw new HttpError(`Unknown prompt version '${version}' for ${task}. Use one of: ${Object.keys(config.versions).join(', ')}`, 400, 'UNKNOWN_PROMPT_VERSION');
+        }
+        chosen = String(version);
+        assignment = 'request';
+    } else if (config.split.length) {
+        chosen = splitVersion(task, config.split, subject);
+        assignment = 'split';
+    }
+
+    selections.inc({ task, version: chosen, assignment });
+    return { task: task, version: chosen, assignment: assignment, text: config.versions[chosen].text };
+}
+
+// ✅ RENDERING
+// Blocks first, then a single pass over the placeholders, so {{...}} inside user text is
+// never expanded. Every variable the template uses must be supplied (an empty string is fine).
+function renderTemplate(template, variables) {
+    const withBlocks = template.text.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g,
+        (match, name, inner) => variables[name] ? inner : '');
+
+    return withBlocks.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+        if (variables[name] === undefined || variables[name] === null) {
+            throw new Error(`Prompt ${template.task}/${template.version} needs the variable '${name}'`);
+        }
+        return String(variables[name]);
+    });
+}
+
+// What response metadata records about the prompt
+function describeTemplate(template) {
+    return { task: template.task, version: template.version, assignment: template.assignment };
+}
+
+function listPromptTemplates() {
+    return Object.entries(TASKS).map(([task, config]) => ({
+        task: task,
+        defaultVersion: config.defaultVersion,
+        split: Object.fromEntries(config.split),
+        versions: Object.entries(config.versions).map(([version, { description }]) => ({ version, description }))
+    }));
+}
+
+module.exports = {
+    selectTemplate,
+    renderTemplate,
+    describeTemplate,
+    listPromptTemplates
+};
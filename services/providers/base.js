@@ -0,0 +1,75 @@
+// ✅ SHARED ERROR CLASSIFICATION FOR AI PROVIDERS
+// Every provider maps upstream failures onto these types so the fallback loop
+// in aiService can decide between backoff-and-retry and moving on.
+
+const ERROR_TYPES = {
+    RATE_LIMIT: 'RATE_LIMIT',
+    QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+    UNAVAILABLE: 'UNAVAILABLE',
+    TIMEOUT: 'TIMEOUT',
+    NETWORK: 'NETWORK',
+    AUTH: 'AUTH',
+    BAD_REQUEST: 'BAD_REQUEST',
+    EMPTY_RESPONSE: 'EMPTY_RESPONSE',
+    UNKNOWN: 'UNKNOWN'
+};
+
+// Errors worth retrying on the same key/model after a backoff
+const RETRYABLE_TYPES = [ERROR_TYPES.RATE_LIMIT, ERROR_TYPES.UNAVAILABLE, ERROR_TYPES.TIMEOUT, ERROR_TYPES.NETWORK];
+
+function classifyHttpError(status, message) {
+    let type = ERROR_TYPES.UNKNOWN;
+
+    if (status === 429) type = ERROR_TYPES.RATE_LIMIT;
+    else if (status === 502 || status === 503 || status === 504) type = ERROR_TYPES.UNAVAILABLE;
+    else if (status === 401 || status === 403) type = ERROR_TYPES.AUTH;
+    else if (status === 400 || status === 404) type = ERROR_TYPES.BAD_REQUEST;
+
+    return {
+        type: type,
+        retryable: RETRYABLE_TYPES.includes(type),
+        reason: String(status),
+        message: message || `HTTP ${status}`
+    };
+}
+
+function classifyThrownError(error) {
+    let type = ERROR_TYPES.UNKNOWN;
+    let reason = 'error';
+
+    if (error.message.includes('timeout')) {
+        type = ERROR_TYPES.TIMEOUT;
+        reason = 'timeout';
+    } else if (error.message.includes('network') ||
+        error.message.includes('Network') ||
+        error.code === 'ECONNRESET' ||
+        error.code === 'ETIMEDOUT' ||
+        error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+        type = ERROR_TYPES.NETWORK;
+        reason = 'network error';
+    } else if (error.message.includes('Empty or invalid response')) {
+        type = ERROR_TYPES.EMPTY_RESPONSE;
+        reason = 'empty response';
+    }
+
+    return {
+        type: type,
+        retryable: RETRYABLE_TYPES.includes(type),
+        reason: reason,
+        message: error.message
+    };
+}
+
+// Default classifier used when a provider has no special cases
+function classifyError({ status, data, error, message }) {
+    if (error) return classifyThrownError(error);
+    return classifyHttpError(status, message || data?.error?.message);
+}
+
+module.exports = {
+    ERROR_TYPES,
+    RETRYABLE_TYPES,
+    classifyHttpError,
+    classifyThrownError,
+    classifyError
+};
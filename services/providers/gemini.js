@@ -0,0 +1,68 @@
+// ✅ GOOGLE GEMINI PROVIDER (generateContent / streamGenerateContent)
+const { classifyError, classifyHttpError, ERROR_TYPES } = require('./base');
+
+module.exports = {
+    name: 'gemini',
+    requiresKey: true,
+    streamFormat: 'sse',
+
+    buildRequest({ model, apiKey, prompt, stream, generationConfig }) {
+        const streamEndpoint = model.streamEndpoint || model.endpoint.replace(':generateContent', ':streamGenerateContent');
+
+        return {
+            url: stream ? `${streamEndpoint}?alt=sse&key=${apiKey}` : `${model.endpoint}?key=${apiKey}`,
+            options: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    contents: [{
+                        parts: [{ text: prompt }]
+                    }],
+                    ...(generationConfig && { generationConfig })
+                })
+            }
+        };
+    },
+
+    parseResponse(data) {
+        return data.candidates?.[0]?.content?.parts?.[0]?.text;
+    },
+
+    parseStreamEvent(data) {
+        if (data.error) {
+            throw new Error(data.error.message || 'Stream error from AI model');
+        }
+
+        return (data.candidates?.[0]?.content?.parts || [])
+            .map(part => part.text || '')
+            .join('');
+    },
+
+    // Stream events carry running totals, so the last one wins
+    parseUsage(data) {
+        const usage = data.usageMetadata;
+        return usage ? { promptTokens: usage.promptTokenCount || 0, completionTokens: usage.candidatesTokenCount || 0 } : null;
+    },
+
+    // Streaming errors come back as a one-element array
+    getErrorMessage(data) {
+        return data?.error?.message || data?.[0]?.error?.message;
+    },
+
+    classifyError(context) {
+        const classification = classifyError(context);
+
+        // A 429 that reports an exhausted daily quota will not clear with a short backoff
+        if (context.status === 429 && /quota/i.test(context.message || '') && /per day|daily/i.test(context.message || '')) {
+            return { ...classifyHttpError(429, context.message), type: ERROR_TYPES.QUOTA_EXCEEDED, retryable: false };
+        }
+
+        return classification;
+    },
+
+    statusCheckUrl(keyConfig) {
+        return `https://generativelanguage.googleapis.com/v1beta/models?key=${keyConfig.key}`;
+    }
+};
@@ -0,0 +1,34 @@
+// ✅ AI PROVIDER REGISTRY
+// Each provider exposes:
+//   name, requiresKey, streamFormat ('sse' | 'ndjson')
+//   buildRequest({ model, apiKey, keyConfig, prompt, stream, generationConfig }) -> { url, options }
+//   parseResponse(data) / parseStreamEvent(data) -> text
+//   parseUsage(data) -> { promptTokens, completionTokens } or null, for a response body or stream event
+//   getErrorMessage(data) -> string
+//   classifyError({ status, data, error, message }) -> { type, retryable, reason, message }
+// Optional: send(request, { timeout }) to replace HTTP, statusCheckUrl(keyConfig, model)
+const gemini = require('./gemini');
+const openai = require('./openai');
+const { ollama, llamacpp } = require('./local');
+const mock = require('./mock');
+
+const PROVIDERS = {
+    gemini,
+    openai,
+    ollama,
+    llamacpp,
+    mock
+};
+
+function getProvider(name) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown AI provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return provider;
+}
+
+module.exports = {
+    PROVIDERS,
+    getProvider
+};
@@ -0,0 +1,126 @@
+// ✅ LOCAL HTTP PROVIDERS: OLLAMA AND LLAMA.CPP SERVER
+// Both run on the same machine without API keys.
+const { classifyError, ERROR_TYPES } = require('./base');
+
+function classifyLocalError(context) {
+    const classification = classifyError(context);
+
+    // A local server that is not running is a hard failure, not a transient blip
+    if (context.error && context.error.message.includes('ECONNREFUSED')) {
+        return { ...classification, type: ERROR_TYPES.NETWORK, retryable: false };
+    }
+
+    return classification;
+}
+
+const ollama = {
+    name: 'ollama',
+    requiresKey: false,
+    streamFormat: 'ndjson',
+
+    buildRequest({ model, prompt, stream, generationConfig }) {
+        return {
+            url: model.endpoint || 'http://localhost:11434/api/generate',
+            options: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    model: model.providerModel || model.name,
+                    prompt: prompt,
+                    stream: stream,
+                    ...(generationConfig?.responseMimeType === 'application/json' && { format: 'json' }),
+                    ...(generationConfig?.temperature !== undefined && { options: { temperature: generationConfig.temperature } })
+                })
+            }
+        };
+    },
+
+    parseResponse(data) {
+        return data.response;
+    },
+
+    parseStreamEvent(data) {
+        if (data.error) {
+            throw new Error(data.error);
+        }
+
+        return data.response || '';
+    },
+
+    // Only the final ("done") event of a stream has the counts
+    parseUsage(data) {
+        return data.eval_count !== undefined
+            ? { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count }
+            : null;
+    },
+
+    getErrorMessage(data) {
+        return typeof data?.error === 'string' ? data.error : data?.error?.message;
+    },
+
+    classifyError: classifyLocalError,
+
+    statusCheckUrl(keyConfig, model) {
+        return (model?.endpoint || 'http://localhost:11434/api/generate').replace(/\/api\/generate$/, '/api/tags');
+    }
+};
+
+const llamacpp = {
+    name: 'llamacpp',
+    requiresKey: false,
+    streamFormat: 'sse',
+
+    buildRequest({ model, prompt, stream, generationConfig }) {
+        return {
+            url: model.endpoint || 'http://localhost:8080/completion',
+            options: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    prompt: prompt,
+                    stream: stream,
+                    n_predict: model.maxOutputTokens || 2048,
+                    ...(generationConfig?.responseSchema && { json_schema: generationConfig.responseSchema }),
+                    ...(generationConfig?.temperature !== undefined && { temperature: generationConfig.temperature })
+                })
+            }
+        };
+    },
+
+    parseResponse(data) {
+        return data.content;
+    },
+
+    parseStreamEvent(data) {
+        if (data.error) {
+            throw new Error(data.error.message || 'Stream error from AI model');
+        }
+
+        return data.content || '';
+    },
+
+    parseUsage(data) {
+        return data.tokens_predicted !== undefined
+            ? { promptTokens: data.tokens_evaluated || 0, completionTokens: data.tokens_predicted }
+            : null;
+    },
+
+    getErrorMessage(data) {
+        return data?.error?.message;
+    },
+
+    classifyError: classifyLocalError,
+
+    statusCheckUrl(keyConfig, model) {
+        return (model?.endpoint || 'http://localhost:8080/completion').replace(/\/completion$/, '/health');
+    }
+};
+
+module.exports = {
+    ollama,
+    llamacpp
+};
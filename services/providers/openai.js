@@ -0,0 +1,78 @@
+// ✅ OPENAI-COMPATIBLE CHAT COMPLETIONS PROVIDER
+// Works with OpenAI and any server exposing /v1/chat/completions
+// (vLLM, LM Studio, llama.cpp's OpenAI mode, Ollama's /v1 endpoint).
+const { classifyError, classifyHttpError, ERROR_TYPES } = require('./base');
+
+module.exports = {
+    name: 'openai',
+    requiresKey: true,
+    streamFormat: 'sse',
+
+    buildRequest({ model, apiKey, prompt, stream, generationConfig }) {
+        const body = {
+            model: model.providerModel || model.name,
+            messages: [{ role: 'user', content: prompt }],
+            stream: stream,
+            ...(stream && { stream_options: { include_usage: true } })
+        };
+
+        if (generationConfig?.responseMimeType === 'application/json') {
+            body.response_format = { type: 'json_object' };
+        }
+        if (generationConfig?.temperature !== undefined) {
+            body.temperature = generationConfig.temperature;
+        }
+
+        return {
+            url: model.endpoint || 'https://api.openai.com/v1/chat/completions',
+            options: {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+                },
+                body: JSON.stringify(body)
+            }
+        };
+    },
+
+    parseResponse(data) {
+        return data.choices?.[0]?.message?.content;
+    },
+
+    parseStreamEvent(data) {
+        if (data.error) {
+            throw new Error(data.error.message || 'Stream error from AI model');
+        }
+
+        return data.choices?.[0]?.delta?.content || '';
+    },
+
+    // Streams only report usage in a final chunk when stream_options.include_usage is set
+    parseUsage(data) {
+        const usage = data.usage;
+        return usage ? { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 } : null;
+    },
+
+    getErrorMessage(data) {
+        return data?.error?.message;
+    },
+
+    classifyError(context) {
+        // OpenAI returns 429 for both throttling and an empty billing balance
+        if (context.status === 429 && context.data?.error?.code === 'insufficient_quota') {
+            return { ...classifyHttpError(429, context.message), type: ERROR_TYPES.QUOTA_EXCEEDED, retryable: false };
+        }
+
+        return classifyError(context);
+    },
+
+    statusCheckUrl(keyConfig, model) {
+        const endpoint = model?.endpoint || 'https://api.openai.com/v1/chat/completions';
+        return endpoint.replace(/\/chat\/completions$/, '/models');
+    },
+
+    statusCheckHeaders(keyConfig) {
+        return { 'Authorization': `Bearer ${keyConfig.key}` };
+    }
+};
@@ -0,0 +1,110 @@
+// ✅ TOKEN-BUCKET RATE LIMITS FOR AI ENDPOINTS
+// Every AI request takes a token from the caller's IP bucket and from their user bucket.
+// Buckets refill continuously; tiers set capacity (burst) and refill rate per role, and
+// the IP tier is shared by everyone behind one address. RATE_LIMIT_TIERS (inline JSON)
+// overrides tiers, e.g. {"citizen": {"capacity": 5, "refillPerMinute": 1}}.
+const { createLogger } = require('./logger');
+
+const log = createLogger('rateLimiter');
+
+const DEFAULT_TIERS = {
+    ip: { capacity: 30, refillPerMinute: 10 },
+    citizen: { capacity: 10, refillPerMinute: 2 },
+    lawyer: { capacity: 30, refillPerMinute: 6 },
+    admin: { capacity: 60, refillPerMinute: 30 }
+};
+
+function loadTiers() {
+    const tiers = JSON.parse(JSON.stringify(DEFAULT_TIERS));
+    if (!process.env.RATE_LIMIT_TIERS) return tiers;
+
+    try {
+        for (const [name, tier] of Object.entries(JSON.parse(process.env.RATE_LIMIT_TIERS))) {
+            tiers[name] = { ...tiers[name], ...tier };
+        }
+        log.info('Rate limit tiers from RATE_LIMIT_TIERS', { tiers: Object.keys(tiers) });
+    } catch (error) {
+        log.error('Invalid RATE_LIMIT_TIERS, using defaults', { error: error.message });
+    }
+    return tiers;
+}
+
+const TIERS = loadTiers();
+const buckets = new Map(); // "ip:1.2.3.4" / "user:<id>" -> { tokens, updatedAt }
+const stats = { allowed: 0, limited: 0 };
+
+function refill(bucket, tier, now) {
+    const elapsedMinutes = (now - bucket.updatedAt) / 60000;
+    bucket.tokens = Math.min(tier.capacity, bucket.tokens + elapsedMinutes * tier.refillPerMinute);
+    bucket.updatedAt = now;
+}
+
+function getBucket(key, tier, now) {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+        bucket = { tokens: tier.capacity, updatedAt: now };
+        buckets.set(key, bucket);
+    }
+    refill(bucket, tier, now);
+    return bucket;
+}
+
+// Full buckets carry no information, so they are dropped
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+        const tier = TIERS[key.startsWith('ip:') ? 'ip' : bucket.tier] || TIERS.citizen;
+        refill(bucket, tier, now);
+        if (bucket.tokens >= tier.capacity) buckets.delete(key);
+    }
+}, 5 * 60 * 1000).unref();
+
+// checks: [{ scope, key, tier }] - a token is taken from every bucket only when all have one.
+// Returns { allowed: true, remaining, limit } or { allowed: false, scope, tier, retryAfterSeconds, ... }
+function consume(checks, cost = 1) {
+    const now = Date.now();
+    const states = checks.map(check => {
+        const tier = TIERS[check.tier] || TIERS.citizen;
+        const bucket = getBucket(check.key, tier, now);
+        bucket.tier = check.tier;
+        return { ...check, tier: tier, tierName: check.tier, bucket: bucket };
+    });
+
+    const blocked = states.find(state => state.bucket.tokens < cost);
+    if (blocked) {
+        stats.limited++;
+        const missing = cost - blocked.bucket.tokens;
+        return {
+            allowed: false,
+            scope: blocked.scope,
+            tier: blocked.tierName,
+            capacity: blocked.tier.capacity,
+            refillPerMinute: blocked.tier.refillPerMinute,
+            retryAfterSeconds: Math.max(1, Math.ceil((missing / blocked.tier.refillPerMinute) * 60))
+        };
+    }
+
+    for (const state of states) state.bucket.tokens -= cost;
+    stats.allowed++;
+
+    // Headers describe the most restrictive bucket
+    const tightest = states.reduce((min, state) => state.bucket.tokens < min.bucket.tokens ? state : min);
+    return {
+        allowed: true,
+        limit: tightest.tier.capacity,
+        remaining: Math.floor(tightest.bucket.tokens)
+    };
+}
+
+function getRateLimitStats() {
+    return {
+        tiers: TIERS,
+        trackedBuckets: buckets.size,
+        ...stats
+    };
+}
+
+module.exports = {
+    consume,
+    getRateLimitStats
+};
@@ -0,0 +1,162 @@
+// ✅ CONSULTATION REPORTS
+// A consultation (query, analysis sections, follow-ups, checked citations, timestamps)
+// laid out as export paragraphs for ./documentExport, plus a standalone HTML page for
+// share links. The analysis HTML is already sanitized when the consultation is saved.
+const { toPlainText } = require('./conversation');
+const { verifyCitations } = require('./citationVerifier');
+const { exportDocument } = require('./documentExport');
+
+const REPORT_TITLE = 'Vidhi Saarathi AI - Legal Consultation Report';
+const REPORT_DISCLAIMER = 'This report was generated by an AI system from the question shown above. It is general legal information, not legal advice, and may be incomplete or out of date. Please have a qualified advocate review it before you act on it.';
+
+const CITATION_STATUS_LABELS = {
+    verified: 'verified',
+    repealed: 'repealed',
+    unknown: 'could not be verified'
+};
+
+function formatTimestamp(iso) {
+    return `${new Date(iso).toLocaleString('en-IN', { dateStyle: 'long', timeStyle: 'short', timeZone: 'Asia/Kolkata' })} IST`;
+}
+
+// Section headings start with an emoji, which the PDF fonts cannot draw
+function stripEmoji(text) {
+    return text.replace(/[\p{Extended_Pictographic}\uFE0F\u200D]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+// Headings become bold paragraphs; paragraphs, list items and the priority badge stay as text
+function analysisParagraphs(html) {
+    const blocks = String(html || '').match(/<(h[1-6]|p|li)\b[^>]*>[\s\S]*?<\/\1>|<div class="priority-badge">[\s\S]*?<\/div>/gi) || [];
+
+    return blocks.map(block => {
+        const heading = /^<h[1-6]/i.test(block);
+        const text = toPlainText(block);
+        return {
+            text: heading ? stripEmoji(text) : /^<li/i.test(block) ? `- ${text}` : text,
+            style: heading ? 'bold' : 'normal'
+        };
+    }).filter(paragraph => paragraph.text);
+}
+
+function describeCitation(citation) {
+    const replacement = citation.status === 'repealed'
+        ? (citation.replacement || []).filter(ref => ref.citation).map(ref => ref.citation)
+        : [];
+    return `- ${citation.citation}: ${CITATION_STATUS_LABELS[citation.status] || citation.status}${replacement.length ? `; now ${replacement.join(' / ')}` : ''}`;
+}
+
+// ✅ REPORT LAYOUT
+function buildReportParagraphs(consultation) {
+    const details = [
+        `Reference: ${consultation.id}`,
+        `Consulted on: ${formatTimestamp(consultation.createdAt)}`,
+        consultation.domain && `Legal domain: ${consultation.domain}`,
+        consultation.priority && `Priority: ${consultation.priority}${consultation.priorityScore ? ` (${consultation.priorityScore}/10)` : ''}`,
+        consultation.model && `Generated by: ${consultation.model}`
+    ].filter(Boolean);
+
+    const paragraphs = [
+        { text: REPORT_TITLE, style: 'heading' },
+        { text: `Report generated: ${formatTimestamp(new Date().toISOString())}`, style: 'right' },
+        { text: 'Consultation details', style: 'bold' },
+        { text: details.join('\n'), style: 'normal' },
+        { text: 'Question', style: 'bold' },
+        { text: consultation.query, style: 'normal' },
+        ...analysisParagraphs(consultation.analysis)
+    ];
+
+    const messages = consultation.messages || [];
+    if (messages.length) {
+        paragraphs.push({ text: 'Follow-up questions', style: 'bold' });
+        for (const message of messages) {
+            if (message.role === 'user') {
+                paragraphs.push({ text: `Q (${formatTimestamp(message.createdAt)}): ${message.content}`, style: 'bold' });
+            } else {
+                paragraphs.push(...analysisParagraphs(message.analysis));
+            }
+        }
+    }
+
+    const citations = collectCitations(consultation);
+    if (citations.length) {
+        paragraphs.push({ text: 'Statute citations checked', style: 'bold' });
+        paragraphs.push({ text: citations.map(describeCitation).join('\n'), style: 'normal' });
+    }
+
+    paragraphs.push({ text: 'Disclaimer', style: 'bold' });
+    paragraphs.push({ text: REPORT_DISCLAIMER, style: 'normal' });
+    return paragraphs;
+}
+
+// Distinct citations across the answer and its follow-ups
+function collectCitations(consultation) {
+    const answers = [consultation.analysis, ...(consultation.messages || []).map(message => message.analysis)].filter(Boolean);
+    const seen = new Map();
+
+    for (const html of answers) {
+        for (const citation of verifyCitations(html).citations) {
+            if (!seen.has(citation.citation)) seen.set(citation.citation, citation);
+        }
+    }
+    return Array.from(seen.values());
+}
+
+function exportConsultationReport(consultation, format) {
+    const file = exportDocument(buildReportParagraphs(consultation), format, { title: REPORT_TITLE });
+    return {
+        ...file,
+        filename: `consultation-report-${consultation.createdAt.substring(0, 10)}.${file.extension}`
+    };
+}
+
+// ✅ SHARE PAGE (HTML)
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderReportPage(consultation, { expiresAt, downloadPath }) {
+    const followUps = (consultation.messages || []).map(message => message.role === 'user'
+        ? `<h3>Q: ${escapeHtml(message.content)}</h3>`
+        : message.analysis
+    ).join('\n');
+    const citations = collectCitations(consultation);
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(consultation.language || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(REPORT_TITLE)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; color: #222; }
+.meta { color: #555; font-size: 0.9rem; }
+.question { background: #f4f4f4; padding: 0.75rem 1rem; border-radius: 4px; white-space: pre-wrap; }
+.disclaimer { font-size: 0.85rem; color: #555; border-top: 1px solid #ddd; margin-top: 2rem; padding-top: 1rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(REPORT_TITLE)}</h1>
+<p class="meta">Consulted on ${escapeHtml(formatTimestamp(consultation.createdAt))}${consultation.domain ? ` &middot; ${escapeHtml(consultation.domain)}` : ''}${consultation.priority ? ` &middot; ${escapeHtml(consultation.priority)} priority` : ''}<br>
+Shared link valid until ${escapeHtml(formatTimestamp(expiresAt))} &middot; Download as <a href="${downloadPath}?format=pdf">PDF</a> or <a href="${downloadPath}?format=docx">DOCX</a></p>
+<h2>Question</h2>
+<div class="question">${escapeHtml(consultation.query)}</div>
+<h2>Analysis</h2>
+${consultation.analysis}
+${followUps ? `<h2>Follow-up questions</h2>\n${followUps}` : ''}
+${citations.length ? `<h2>Statute citations checked</h2>\n<ul>${citations.map(citation => `<li>${escapeHtml(describeCitation(citation).substring(2))}</li>`).join('')}</ul>` : ''}
+<p class="disclaimer">${escapeHtml(REPORT_DISCLAIMER)}</p>
+</body>
+</html>`;
+}
+
+module.exports = {
+    buildReportParagraphs,
+    exportConsultationReport,
+    renderReportPage
+};
@@ -0,0 +1,52 @@
+// ✅ PER-REQUEST DEADLINE AND CANCELLATION
+// Every analysis request gets an overall deadline (default REQUEST_DEADLINE_MS, overridable
+// per request within [MIN_DEADLINE_MS, MAX_REQUEST_DEADLINE_MS]) and an AbortSignal that
+// fires when the client disconnects before the response is written.
+
+const DEFAULT_DEADLINE_MS = Number(process.env.REQUEST_DEADLINE_MS) || 240000; // 4 minutes
+const MIN_DEADLINE_MS = 15000;
+const MAX_DEADLINE_MS = Number(process.env.MAX_REQUEST_DEADLINE_MS) || 600000; // 10 minutes
+
+// Returns { deadlineMs, clamped } or { error } for values that are not a positive number
+function resolveDeadline(requested) {
+    if (requested === undefined || requested === null || requested === '') {
+        return { deadlineMs: DEFAULT_DEADLINE_MS, clamped: false };
+    }
+
+    const value = Number(requested);
+    if (!Number.isFinite(value) || value <= 0) {
+        return { error: `Invalid deadlineMs. Use a number of milliseconds between ${MIN_DEADLINE_MS} and ${MAX_DEADLINE_MS}` };
+    }
+
+    const deadlineMs = Math.min(Math.max(Math.round(value), MIN_DEADLINE_MS), MAX_DEADLINE_MS);
+    return { deadlineMs: deadlineMs, clamped: deadlineMs !== value };
+}
+
+function createRequestContext(req, res, requestedDeadline) {
+    const { deadlineMs, clamped, error } = resolveDeadline(requestedDeadline);
+    if (error) return { error };
+
+    const controller = new AbortController();
+
+    // `close` on the response fires for finished and abandoned requests alike;
+    // only the latter (nothing fully written yet) counts as a cancellation
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+
+    return {
+        signal: controller.signal,
+        deadline: Date.now() + deadlineMs,
+        deadlineMs: deadlineMs,
+        deadlineClamped: clamped,
+        isCancelled: () => controller.signal.aborted
+    };
+}
+
+module.exports = {
+    DEFAULT_DEADLINE_MS,
+    MIN_DEADLINE_MS,
+    MAX_DEADLINE_MS,
+    resolveDeadline,
+    createRequestContext
+};
@@ -0,0 +1,282 @@
+// ✅ AI RESPONSE CACHE WITH IN-FLIGHT COALESCING
+// Sits in front of callAIWithAdvancedFallback for general analyses. Exact hits are keyed
+// on a SHA-256 of the normalized prompt plus the prompt template and its version, so no
+// query text is kept in keys. Concurrent identical prompts share one upstream call.
+// Near-duplicate questions ("landlord not returning deposit" / "landlord refusing to return
+// security deposit") can reuse an answer too, but that shares answers between users, so it
+// is opt-in: both users must have turned it on, and questions with numbers or e-mail
+// addresses are never matched. Entries live in memory only and expire after AI_CACHE_TTL_MS.
+const crypto = require('crypto');
+const { callAIWithAdvancedFallback, createAbortError } = require('./aiService');
+const { createLogger } = require('./logger');
+const metrics = require('./metrics');
+
+const log = createLogger('responseCache');
+const lookups = metrics.counter('ai_cache_lookups_total', 'Response cache lookups by result (hit, similar, coalesced, miss, bypass)', ['template', 'status']);
+
+const CACHE_TTL_MS = process.env.AI_CACHE_TTL_MS !== undefined
+    ? Number(process.env.AI_CACHE_TTL_MS)
+    : 6 * 60 * 60 * 1000; // 0 turns the cache off
+const MAX_ENTRIES = parseInt(process.env.AI_CACHE_MAX_ENTRIES) || 500;
+const SIMILARITY_THRESHOLD = process.env.AI_CACHE_SIMILARITY !== undefined
+    ? Number(process.env.AI_CACHE_SIMILARITY)
+    : 0.75; // Jaccard overlap of query terms; 0 turns near-duplicate matching off
+const MIN_SIMILARITY_TERMS = 3;
+
+const entries = new Map(); // key -> { namespace, value, terms, shareable, createdAt, expiresAt }
+const inFlight = new Map(); // key -> Promise of the upstream result
+
+const stats = {
+    hits: 0,
+    similarHits: 0,
+    misses: 0,
+    coalesced: 0,
+    bypassed: 0,
+    evictions: 0
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function cacheKey(namespace, prompt) {
+    return sha256(`${namespace}\n${prompt.toLowerCase().replace(/\s+/g, ' ').trim()}`);
+}
+
+// ✅ QUERY TERMS FOR NEAR-DUPLICATE MATCHING
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'my', 'me', 'i', 'is', 'am', 'are', 'was', 'were', 'be', 'to', 'of', 'in', 'on',
+    'for', 'and', 'or', 'it', 'his', 'her', 'our', 'their', 'he', 'she', 'they', 'we', 'you', 'your',
+    'has', 'have', 'had', 'do', 'does', 'did', 'what', 'can', 'should', 'how', 'from', 'with', 'by',
+    'at', 'this', 'that', 'about', 'please', 'help', 'want', 'after', 'us', 'them', 'him', 'who'
+]);
+
+// Different ways of saying someone won't do something
+const NEGATIONS = new Set(['not', 'no', 'never', 'refus', 'deny', 'deni', 'declin', 'withhold', 'withheld']);
+
+function stem(word) {
+    for (const suffix of ['ing', 'ed', 'es', 's']) {
+        if (word.length > suffix.length + 3 && word.endsWith(suffix)) return word.slice(0, -suffix.length);
+    }
+    return word;
+}
+
+// Terms are stored hashed so the index holds no readable query text
+function queryTerms(query) {
+    const words = String(query || '').toLowerCase().replace(/n't\b/g, ' not').match(/[\p{L}\p{N}]+/gu) || [];
+    const terms = new Set();
+
+    for (const word of words) {
+        if (STOP_WORDS.has(word)) continue;
+        const term = stem(word);
+        terms.add(sha256(NEGATIONS.has(term) ? '<not>' : term).substring(0, 16));
+    }
+    return terms;
+}
+
+function jaccard(left, right) {
+    let shared = 0;
+    for (const term of left) {
+        if (right.has(term)) shared++;
+    }
+    return shared / (left.size + right.size - shared);
+}
+
+// Numbers (phones, account and case numbers, amounts) and e-mail addresses make a question personal
+function hasPersonalDetails(query) {
+    return /\d[\d,./-]{3,}|@/.test(String(query || ''));
+}
+
+// ✅ STORE
+function prune(now = Date.now()) {
+    for (const [key, entry] of entries) {
+        if (entry.expiresAt <= now) entries.delete(key);
+    }
+}
+
+setInterval(prune, 10 * 60 * 1000).unref();
+
+function remember(key, namespace, value, { query, shareable }) {
+    const now = Date.now();
+    entries.delete(key);
+    entries.set(key, {
+        namespace: namespace,
+        value: value,
+        terms: shareable ? queryTerms(query) : null,
+        shareable: shareable,
+        createdAt: now,
+        expiresAt: now + CACHE_TTL_MS
+    });
+
+    // Map order is insertion order, and hits re-insert, so the first entry is least recently used
+    while (entries.size > MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+        stats.evictions++;
+    }
+}
+
+function lookupExact(key) {
+    const entry = entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+}
+
+function lookupSimilar(namespace, query) {
+    const terms = queryTerms(query);
+    if (terms.size < MIN_SIMILARITY_TERMS) return null;
+
+    const now = Date.now();
+    let best = null;
+    for (const entry of entries.values()) {
+        if (!entry.shareable || entry.namespace !== namespace || entry.expiresAt <= now || entry.terms.size < MIN_SIMILARITY_TERMS) continue;
+
+        const similarity = jaccard(terms, entry.terms);
+        if (similarity >= SIMILARITY_THRESHOLD && (!best || similarity > best.similarity)) {
+            best = { entry: entry, similarity: similarity };
+        }
+    }
+    return best;
+}
+
+// Cached results go through the same post-processing as fresh ones, so each caller gets a copy
+function fromCache(entry, status, extra = {}) {
+    return {
+        ...structuredClone(entry.value),
+        totalAttempts: 0,
+        retryCount: 0,
+        requestTime: 0,
+        cache: {
+            status: status,
+            cachedAt: new Date(entry.createdAt).toISOString(),
+            ...extra
+        }
+    };
+}
+
+// Waits for another request's upstream call without giving up this request's own
+// cancellation and deadline
+function waitForShared(promise, { signal, deadline }) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(createAbortError());
+
+        const finish = (callback) => (value) => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            callback(value);
+        };
+        const onAbort = finish(() => reject(createAbortError()));
+        const timer = deadline
+            ? setTimeout(finish(() => {
+                const error = new Error('Request deadline exceeded (timeout) while waiting for an identical request');
+                error.code = 'DEADLINE_EXCEEDED';
+                reject(error);
+            }), Math.max(deadline - Date.now(), 0))
+            : null;
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+        promise.then(finish(resolve), finish(reject));
+    });
+}
+
+// ✅ CACHED AI CALL
+// `cache`: { template, version, language, variant, query, allowSimilar, bypass }
+//   template/version - prompt template name and version; both are part of the key
+//   variant          - anything else the prompt depends on (e.g. the user's state), so
+//                      near-duplicates are only matched within it
+//   query            - the user's question, used only for near-duplicate matching
+//   allowSimilar     - the user opted in to near-duplicate answers (see PATCH /api/me)
+//   bypass           - skip the cache (client sent Cache-Control: no-cache)
+// Other options go to callAIWithAdvancedFallback unchanged. A streamed hit is replayed
+// as a single 'chunk' event. The result carries cache.status: miss, hit, similar,
+// coalesced or bypass.
+async function callAIWithCache(prompt, options = {}) {
+    const { cache, ...aiOptions } = options;
+
+    if (!cache || CACHE_TTL_MS <= 0 || cache.bypass) {
+        if (cache) {
+            stats.bypassed++;
+            lookups.inc({ template: cache.template, status: 'bypass' });
+        }
+        const result = await callAIWithAdvancedFallback(prompt, aiOptions);
+        return { ...result, cache: { status: 'bypass' } };
+    }
+
+    const namespace = `${cache.template}:${cache.version}:${cache.language || 'en'}${cache.variant ? `:${cache.variant}` : ''}`;
+    const key = cacheKey(namespace, prompt);
+    const emit = (type, data) => {
+        if (aiOptions.onEvent) aiOptions.onEvent(type, data);
+    };
+    const replay = (result) => {
+        emit('cache', result.cache);
+        if (aiOptions.stream) emit('chunk', { model: result.model, text: result.analysis });
+        return result;
+    };
+
+    const exact = lookupExact(key);
+    if (exact) {
+        stats.hits++;
+        lookups.inc({ template: cache.template, status: 'hit' });
+        log.info('Cache hit', { template: cache.template });
+        return replay(fromCache(exact, 'hit'));
+    }
+
+    const similarAllowed = SIMILARITY_THRESHOLD > 0 && cache.allowSimilar && !hasPersonalDetails(cache.query);
+    if (similarAllowed) {
+        const similar = lookupSimilar(namespace, cache.query);
+        if (similar) {
+            stats.similarHits++;
+            lookups.inc({ template: cache.template, status: 'similar' });
+            log.info('Near-duplicate cache hit', { template: cache.template, similarity: Number(similar.similarity.toFixed(2)) });
+            return replay(fromCache(similar.entry, 'similar', { similarity: Number(similar.similarity.toFixed(2)) }));
+        }
+    }
+
+    const pending = inFlight.get(key);
+    if (pending) {
+        stats.coalesced++;
+        lookups.inc({ template: cache.template, status: 'coalesced' });
+        log.info('Joining an identical in-flight request', { template: cache.template });
+        try {
+            const shared = await waitForShared(pending, aiOptions);
+            return replay({ ...structuredClone(shared), cache: { status: 'coalesced' } });
+        } catch (error) {
+            // The first caller went away; this request still wants an answer, so make the call itself
+            if (error.code !== 'REQUEST_ABORTED' || aiOptions.signal?.aborted) throw error;
+            log.info('Shared request was cancelled by its client, retrying independently', { template: cache.template });
+        }
+    }
+
+    stats.misses++;
+    lookups.inc({ template: cache.template, status: 'miss' });
+    const call = callAIWithAdvancedFallback(prompt, aiOptions);
+    inFlight.set(key, call);
+
+    try {
+        const result = await call;
+        remember(key, namespace, result, { query: cache.query, shareable: similarAllowed });
+        return { ...result, cache: { status: 'miss' } };
+    } finally {
+        if (inFlight.get(key) === call) inFlight.delete(key);
+    }
+}
+
+function getCacheStats() {
+    prune();
+    const lookups = stats.hits + stats.similarHits + stats.coalesced + stats.misses;
+    return {
+        enabled: CACHE_TTL_MS > 0,
+        ttlMs: CACHE_TTL_MS,
+        maxEntries: MAX_ENTRIES,
+        similarityThreshold: SIMILARITY_THRESHOLD,
+        entries: entries.size,
+        inFlight: inFlight.size,
+        ...stats,
+        hitRate: lookups > 0 ? `${(((stats.hits + stats.similarHits + stats.coalesced) / lookups) * 100).toFixed(1)}%` : '0%'
+    };
+}
+
+module.exports = {
+    callAIWithCache,
+    getCacheStats
+};
@@ -0,0 +1,32 @@
+// ✅ SERVER SECRETS FOR TOKEN SIGNING, SHARE LINKS AND AADHAAR HASHING
+// Read from the environment; when unset a random secret is generated once and
+// kept in the storage directory so sessions and Aadhaar hashes survive restarts.
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { createLogger } = require('./logger');
+
+const ENV_NAMES = {
+    tokenSecret: 'AUTH_TOKEN_SECRET',
+    aadhaarHashSecret: 'AADHAAR_HASH_SECRET',
+    shareLinkSecret: 'SHARE_LINK_SECRET'
+};
+
+const store = createJsonStore('secrets.json', {});
+const log = createLogger('secrets');
+
+function getSecret(name) {
+    const envName = ENV_NAMES[name];
+    if (envName && process.env[envName]) return process.env[envName];
+
+    if (!store.data[name]) {
+        log.warn('Secret not set, generated a local one', { secret: envName || name, file: store.filePath });
+        store.data[name] = crypto.randomBytes(32).toString('hex');
+        store.flush();
+    }
+
+    return store.data[name];
+}
+
+module.exports = {
+    getSecret
+};
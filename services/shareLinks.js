@@ -0,0 +1,156 @@
+// ✅ SIGNED, TIME-LIMITED SHARE LINKS FOR CONSULTATION REPORTS
+// A link token is "<linkId>.<expiry in epoch seconds>.<HMAC-SHA256>", signed with the
+// shareLinkSecret. The signature stops guessing and tampering; the stored record lets
+// the owner revoke a link early, and deleting the consultation kills its links too.
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { getSecret } = require('./secrets');
+const { HttpError } = require('./httpError');
+const { getConsultation } = require('./consultations');
+
+const DEFAULT_TTL_HOURS = parseInt(process.env.SHARE_LINK_TTL_HOURS) || 72;
+const MAX_TTL_HOURS = 30 * 24;
+const MAX_ACTIVE_LINKS_PER_CONSULTATION = 10;
+const HOUR_MS = 60 * 60 * 1000;
+
+const store = createJsonStore('share-links.json', { links: [] });
+
+function sign(linkId, expires) {
+    return crypto.createHmac('sha256', getSecret('shareLinkSecret')).update(`${linkId}.${expires}`).digest('base64url');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function toToken(link) {
+    const expires = Math.floor(Date.parse(link.expiresAt) / 1000);
+    return `${link.id}.${expires}.${sign(link.id, expires)}`;
+}
+
+function isActive(link, now = Date.now()) {
+    return !link.revokedAt && Date.parse(link.expiresAt) > now;
+}
+
+function toPublicLink(link) {
+    return {
+        id: link.id,
+        consultationId: link.consultationId,
+        ...(isActive(link) && { token: toToken(link) }),
+        status: link.revokedAt ? 'revoked' : isActive(link) ? 'active' : 'expired',
+        expiresAt: link.expiresAt,
+        revokedAt: link.revokedAt,
+        accessCount: link.accessCount,
+        lastAccessedAt: link.lastAccessedAt,
+        createdAt: link.createdAt
+    };
+}
+
+// Expired and revoked links are kept a day for the owner's list, then dropped
+function pruneLinks(now = Date.now()) {
+    const before = store.data.links.length;
+    store.data.links = store.data.links.filter(link =>
+        Date.parse(link.revokedAt || link.expiresAt) > now - 24 * HOUR_MS
+    );
+    if (store.data.links.length !== before) store.save();
+}
+
+// ✅ OWNER OPERATIONS
+function createShareLink(userId, consultationId, { expiresInHours } = {}) {
+    getConsultation(userId, consultationId);
+
+    const hours = expiresInHours === undefined ? DEFAULT_TTL_HOURS : Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_TTL_HOURS) {
+        throw new HttpError(`expiresInHours must be a number between 1 and ${MAX_TTL_HOURS}`, 400, 'INVALID_EXPIRY');
+    }
+
+    pruneLinks();
+    const active = store.data.links.filter(link => link.consultationId === consultationId && isActive(link));
+    if (active.length >= MAX_ACTIVE_LINKS_PER_CONSULTATION) {
+        throw new HttpError(`A consultation can have at most ${MAX_ACTIVE_LINKS_PER_CONSULTATION} active share links. Revoke one first.`, 409, 'TOO_MANY_SHARE_LINKS');
+    }
+
+    const now = Date.now();
+    const link = {
+        id: `shr_${crypto.randomBytes(12).toString('base64url')}`,
+        userId: userId,
+        consultationId: consultationId,
+        expiresAt: new Date(Math.floor((now + hours * HOUR_MS) / 1000) * 1000).toISOString(),
+        revokedAt: null,
+        accessCount: 0,
+        lastAccessedAt: null,
+        createdAt: new Date(now).toISOString()
+    };
+
+    store.data.links.push(link);
+    store.save();
+    return toPublicLink(link);
+}
+
+function listShareLinks(userId, consultationId) {
+    getConsultation(userId, consultationId);
+    pruneLinks();
+
+    return store.data.links
+        .filter(link => link.userId === userId && link.consultationId === consultationId)
+        .map(toPublicLink)
+        .reverse();
+}
+
+function revokeShareLink(userId, consultationId, linkId) {
+    const link = store.data.links.find(candidate =>
+        candidate.id === linkId && candidate.userId === userId && candidate.consultationId === consultationId
+    );
+    if (!link) {
+        throw new HttpError('Share link not found', 404, 'SHARE_LINK_NOT_FOUND');
+    }
+
+    if (!link.revokedAt) {
+        link.revokedAt = new Date().toISOString();
+        store.save();
+    }
+    return toPublicLink(link);
+}
+
+// ✅ PUBLIC ACCESS
+// Returns the shared consultation; every failure reads the same to the visitor except
+// expiry and revocation, which the owner's advocate may need to be told about
+function resolveShareLink(token) {
+    const [linkId, expires, signature, extra] = String(token || '').split('.');
+    const invalid = new HttpError('This share link is not valid', 404, 'SHARE_LINK_INVALID');
+
+    if (!linkId || !/^\d+$/.test(expires || '') || !signature || extra !== undefined || !safeEqual(signature, sign(linkId, expires))) {
+        throw invalid;
+    }
+
+    const link = store.data.links.find(candidate => candidate.id === linkId);
+    if (!link || Math.floor(Date.parse(link.expiresAt) / 1000) !== Number(expires)) throw invalid;
+    if (link.revokedAt) {
+        throw new HttpError('This share link has been revoked by its owner', 410, 'SHARE_LINK_REVOKED');
+    }
+    if (!isActive(link)) {
+        throw new HttpError('This share link has expired. Ask the sender for a new one.', 410, 'SHARE_LINK_EXPIRED');
+    }
+
+    let consultation;
+    try {
+        consultation = getConsultation(link.userId, link.consultationId);
+    } catch (error) {
+        throw invalid;
+    }
+
+    link.accessCount++;
+    link.lastAccessedAt = new Date().toISOString();
+    store.save();
+
+    return { link: link, consultation: consultation };
+}
+
+module.exports = {
+    createShareLink,
+    listShareLinks,
+    revokeShareLink,
+    resolveShareLink
+};
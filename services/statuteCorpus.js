@@ -0,0 +1,335 @@
+// ✅ BUNDLED STATUTE CORPUS AND OFFLINE SEARCH
+// A versioned set of section texts (data/statutes) is loaded once at start-up and
+// indexed in memory. Analyses retrieve the sections relevant to a query and get
+// them as grounding in the prompt, so the model cites real provisions, and the
+// IPC/CrPC <-> BNS/BNSS mapping lets old citations be cross-referenced.
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const CORPUS_DIR = process.env.STATUTE_CORPUS_DIR || path.join(__dirname, '..', 'data', 'statutes');
+const GROUNDING_LIMIT = parseInt(process.env.STATUTE_GROUNDING_LIMIT) || 4;
+const GROUNDING_TEXT_CHARS = 700;
+
+// BM25 parameters; title and keyword matches count more than matches in the body text
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const FIELD_WEIGHTS = { keywords: 3, title: 2, text: 1 };
+// Weak matches (a shared word in the body text) would only distract the model
+const MIN_SCORE = 4;
+const MIN_RELATIVE_SCORE = 0.35;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'did', 'do', 'does', 'for', 'from', 'had', 'has',
+    'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not',
+    'of', 'on', 'or', 'our', 'she', 'so', 'such', 'that', 'the', 'their', 'them', 'there', 'they', 'this',
+    'to', 'under', 'was', 'we', 'what', 'when', 'which', 'who', 'whom', 'will', 'with', 'would', 'you', 'your',
+    'shall', 'any', 'person', 'may', 'section', 'article'
+]);
+
+function readJson(fileName) {
+    return JSON.parse(fs.readFileSync(path.join(CORPUS_DIR, fileName), 'utf8'));
+}
+
+// "Sec. 420", "section 318 (4)", "Art. 21" -> "420", "318(4)", "21"
+function normalizeSection(value) {
+    return String(value || '')
+        .replace(/^\s*(section|sec\.?|s\.|article|art\.?)\s*/i, '')
+        .replace(/\s+/g, '')
+        .toUpperCase();
+}
+
+// "318(4)" -> "318"; sections are stored whole, sub-sections live in their text
+function baseSection(value) {
+    return normalizeSection(value).replace(/\(.*$/, '');
+}
+
+function tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+        // Crude plural/tense folding so "cheated" finds "cheating" and "threats" finds "threat"
+        .map(token => token.length > 4 ? token.replace(/(ing|ed|es|s)$/, '') : token);
+}
+
+// ✅ LOAD
+function loadCorpus() {
+    const manifest = readJson('manifest.json');
+    const sections = new Map();
+    const loadedFiles = new Map();
+
+    for (const [actKey, act] of Object.entries(manifest.acts)) {
+        // Acts without a file are only in the table of valid section numbers
+        if (!act.file) continue;
+        if (!loadedFiles.has(act.file)) loadedFiles.set(act.file, readJson(act.file));
+
+        const file = loadedFiles.get(act.file);
+        for (const entry of file.sections) {
+            const entryAct = entry.act || file.act;
+            if (entryAct !== actKey) continue;
+
+            sections.set(`${actKey}:${normalizeSection(entry.section)}`, {
+                act: actKey,
+                actTitle: act.title,
+                unit: act.unit,
+                status: act.status,
+                section: entry.section,
+                title: entry.title,
+                text: entry.text,
+                abridged: Boolean(entry.abridged),
+                keywords: entry.keywords || []
+            });
+        }
+    }
+
+    const mappings = manifest.mappings ? readJson(manifest.mappings) : {};
+    delete mappings.description;
+
+    return { manifest, sections, mappings };
+}
+
+const corpus = loadCorpus();
+const CORPUS_VERSION = corpus.manifest.version;
+
+// ✅ INDEX (in-force sections only; repealed codes are reached through the mapping)
+function buildIndex() {
+    const documents = [];
+
+    for (const entry of corpus.sections.values()) {
+        if (entry.status !== 'in_force') continue;
+
+        const termFrequencies = new Map();
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+            const value = field === 'keywords' ? entry.keywords.join(' ') : entry[field];
+            for (const token of tokenize(value)) {
+                termFrequencies.set(token, (termFrequencies.get(token) || 0) + weight);
+            }
+        }
+
+        const length = Array.from(termFrequencies.values()).reduce((total, count) => total + count, 0);
+        documents.push({ entry, termFrequencies, length });
+    }
+
+    const documentFrequencies = new Map();
+    for (const document of documents) {
+        for (const token of document.termFrequencies.keys()) {
+            documentFrequencies.set(token, (documentFrequencies.get(token) || 0) + 1);
+        }
+    }
+
+    const averageLength = documents.reduce((total, document) => total + document.length, 0) / Math.max(documents.length, 1);
+
+    return { documents, documentFrequencies, averageLength };
+}
+
+const index = buildIndex();
+
+createLogger('statuteCorpus').info(`Statute corpus v${CORPUS_VERSION}`, {
+    sections: corpus.sections.size,
+    indexed: index.documents.length,
+    acts: Object.keys(corpus.manifest.acts).length
+});
+
+// ✅ LOOKUP
+// `act` may be the short key ("IPC") or any alias/title from the manifest
+function listActs() {
+    return Object.entries(corpus.manifest.acts).map(([key, act]) => ({ key, ...act }));
+}
+
+function getAct(act) {
+    const wanted = String(act || '').trim().toLowerCase().replace(/,?\s*\d{4}$/, '');
+    const entry = Object.entries(corpus.manifest.acts).find(([key, value]) =>
+        key.toLowerCase() === wanted ||
+        value.title.toLowerCase().replace(/,?\s*\d{4}$/, '') === wanted ||
+        value.aliases.some(alias => alias.toLowerCase() === wanted)
+    );
+
+    return entry ? { key: entry[0], ...entry[1] } : null;
+}
+
+function publicSection(entry, requested) {
+    if (!entry) return null;
+
+    return {
+        act: entry.act,
+        actTitle: entry.actTitle,
+        unit: entry.unit,
+        section: requested || entry.section,
+        title: entry.title,
+        text: entry.text,
+        abridged: entry.abridged,
+        status: entry.status
+    };
+}
+
+// Exact section first, then the whole section a sub-section belongs to
+function findSection(act, section) {
+    const actInfo = getAct(act);
+    if (!actInfo) return null;
+
+    const exact = corpus.sections.get(`${actInfo.key}:${normalizeSection(section)}`);
+    if (exact) return publicSection(exact);
+
+    const whole = corpus.sections.get(`${actInfo.key}:${baseSection(section)}`);
+    return whole ? publicSection(whole, normalizeSection(section)) : null;
+}
+
+// ✅ IPC <-> BNS AND CrPC <-> BNSS
+// Returns the corresponding provisions in the other code, in either direction:
+// [{ act, actTitle, section, title, subject, note }]; `section` null = not carried over
+function crossReference(act, section) {
+    const actInfo = getAct(act);
+    if (!actInfo) return [];
+
+    const wanted = normalizeSection(section);
+    const results = [];
+
+    for (const [pair, rows] of Object.entries(corpus.mappings)) {
+        const [fromAct, toAct] = pair.split('->');
+        const forward = fromAct === actInfo.key;
+        if (!forward && toAct !== actInfo.key) continue;
+
+        for (const row of rows) {
+            const own = forward ? row.from : row.to;
+            if (!own) continue;
+
+            // "318" matches "318(4)"; "318(4)" matches only itself and its parent "318"
+            const ownSection = normalizeSection(own);
+            const matches = ownSection === wanted || baseSection(ownSection) === wanted || ownSection === baseSection(wanted);
+            if (!matches) continue;
+
+            const otherAct = forward ? toAct : fromAct;
+            const other = forward ? row.to : row.from;
+            const found = other ? findSection(otherAct, other) : null;
+
+            results.push({
+                act: otherAct,
+                actTitle: corpus.manifest.acts[otherAct].title,
+                section: other,
+                title: found ? found.title : row.subject,
+                subject: row.subject,
+                note: row.note || null
+            });
+        }
+    }
+
+    return results;
+}
+
+// "BNS Section 318(4) (formerly IPC Section 420)"
+function formatCitation(act, section, formerly = []) {
+    const actInfo = getAct(act);
+    const unit = actInfo ? actInfo.unit : 'Section';
+    // Short names only where people actually use them (IPC, BNS, CPC); otherwise the full title
+    const name = actInfo ? (actInfo.aliases.includes(actInfo.key) ? actInfo.key : actInfo.title) : act;
+    const former = formerly.filter(ref => ref.section).map(ref => `${ref.act} Section ${ref.section}`);
+
+    return `${name} ${unit} ${section}${former.length ? ` (formerly ${former.join(' / ')})` : ''}`;
+}
+
+// ✅ SEARCH
+function searchStatutes(query, { limit = GROUNDING_LIMIT } = {}) {
+    const queryText = String(query || '').toLowerCase();
+    const tokens = Array.from(new Set(tokenize(queryText)));
+    if (!tokens.length) return [];
+
+    const documentCount = index.documents.length;
+
+    return index.documents
+        .map(document => {
+            let score = 0;
+
+            for (const token of tokens) {
+                const frequency = document.termFrequencies.get(token);
+                if (!frequency) continue;
+
+                const documentFrequency = index.documentFrequencies.get(token);
+                const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+                score += idf * frequency * (BM25_K1 + 1) /
+                    (frequency + BM25_K1 * (1 - BM25_B + BM25_B * document.length / index.averageLength));
+            }
+
+            // Multi-word keywords ("cheque bounce", "anticipatory bail") are strong signals
+            for (const keyword of document.entry.keywords) {
+                if (keyword.includes(' ') && queryText.includes(keyword)) score += 2;
+            }
+
+            return { document, score };
+        })
+        .filter(result => result.score >= MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .filter((result, i, results) => result.score >= results[0].score * MIN_RELATIVE_SCORE)
+        .slice(0, limit)
+        .map(({ document, score }) => ({
+            ...publicSection(document.entry),
+            score: Math.round(score * 100) / 100,
+            formerly: crossReference(document.entry.act, document.entry.section)
+        }));
+}
+
+// ✅ PROMPT GROUNDING
+// Tells the model which provisions are in force and hands it their official text
+function buildStatuteGrounding(sections) {
+    const references = sections.map((section, i) => {
+        const text = section.text.length > GROUNDING_TEXT_CHARS
+            ? `${section.text.substring(0, GROUNDING_TEXT_CHARS)}...`
+            : section.text;
+
+        return `[${i + 1}] ${section.actTitle} - ${formatCitation(section.act, section.section, section.formerly)}: ${section.title}\n"${text}"`;
+    });
+
+    return `
+
+CURRENT LAW: Since 1 July 2024 the Bharatiya Nyaya Sanhita (BNS) and the Bharatiya Nagarik Suraksha Sanhita (BNSS) have replaced the Indian Penal Code (IPC) and the Code of Criminal Procedure (CrPC). Cite the BNS/BNSS provision and give the former IPC/CrPC section in brackets, e.g. "BNS Section 318(4) (formerly IPC Section 420)". If the events happened before 1 July 2024, say that the IPC/CrPC provision governs that offence.${references.length ? `
+
+REFERENCE PROVISIONS (official text from statute corpus v${CORPUS_VERSION}). Prefer these when citing and do not invent section numbers; cite other provisions only if you are certain of them:
+${references.join('\n\n')}` : ''}`;
+}
+
+// Whether an analysis mentions a section: its number next to the Act's name or short form
+function isCited(analysisText, section) {
+    const text = String(analysisText || '').replace(/<[^>]*>/g, ' ');
+    const actInfo = getAct(section.act);
+    const names = [actInfo.key, actInfo.title.replace(/,?\s*\d{4}$/, ''), ...actInfo.aliases]
+        .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const number = baseSection(section.section).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    const pattern = new RegExp(
+        `(${names.join('|')})[^.\\n]{0,40}?\\b${number}\\b|\\b${number}\\b[^.\\n]{0,40}?(${names.join('|')})`,
+        'i'
+    );
+    return pattern.test(text);
+}
+
+// ✅ RESPONSE PAYLOAD: RETRIEVED SECTIONS WITH THEIR TEXT AND WHETHER THE ANSWER USED THEM
+function describeStatuteSources(sections, analysisText) {
+    return {
+        corpusVersion: CORPUS_VERSION,
+        sections: sections
+            .map(section => ({
+                act: section.act,
+                actTitle: section.actTitle,
+                section: section.section,
+                citation: formatCitation(section.act, section.section, section.formerly),
+                title: section.title,
+                text: section.text,
+                abridged: section.abridged,
+                formerly: section.formerly,
+                cited: isCited(analysisText, section)
+            }))
+            .sort((a, b) => Number(b.cited) - Number(a.cited))
+    };
+}
+
+module.exports = {
+    CORPUS_VERSION,
+    normalizeSection,
+    baseSection,
+    listActs,
+    getAct,
+    findSection,
+    crossReference,
+    formatCitation,
+    searchStatutes,
+    buildStatuteGrounding,
+    describeStatuteSources
+};
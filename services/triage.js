@@ -0,0 +1,158 @@
+// ✅ CASE TRIAGE AND EMERGENCY ROUTING
+// Combines what the model said (domain, High/Medium/Low priority, score out of 10) with
+// urgency signals found in the query itself - violence, arrest, eviction, a child in
+// danger, online fraud, a deadline days away - and decides where to send the user:
+// emergency helplines and free legal aid for high-priority cases, the verified lawyer
+// directory (./lawyerDirectory) for everything else. Signal patterns cover English and
+// common transliterated words; the model's priority still catches the rest.
+const fs = require('fs');
+const path = require('path');
+const { summarizeAnalysis } = require('./consultations');
+const { findLawyers } = require('./lawyerDirectory');
+const { createLogger } = require('./logger');
+
+const RESOURCES_FILE = path.join(__dirname, '..', 'data', 'referrals', 'emergency.json');
+const IMMINENT_DEADLINE_DAYS = 7;
+const HIGH_SCORE = 8;
+
+const { version: RESOURCES_VERSION, resources: RESOURCES } = JSON.parse(fs.readFileSync(RESOURCES_FILE, 'utf8'));
+const log = createLogger('triage');
+
+log.info(`Emergency resources v${RESOURCES_VERSION}: ${RESOURCES.map(resource => resource.id).join(', ')}`);
+
+// emergency: someone may be in danger or in custody now; urgent: rights are lost soon
+const SIGNALS = [
+    // Dowry only together with harassment or violence: "dowry articles not returned" is a property claim
+    {
+        name: 'violence',
+        label: 'Violence or threat to safety',
+        urgency: 'emergency',
+        pattern: /\b(beat(en|ing|s)?|hit(ting)? me|assault(ed)?|domestic violence|dowry (harassment|torture|cruelty|death)|(harass|tortur|beat|burn)\w*[^.\n]{0,30}\bdowry|dowry\b[^.\n]{0,30}\b(harass|tortur|beat|burn)\w*|threat(s|ened)? to (kill|my life|our lives)|(will|wants to) kill|acid|rape(d)?|molest(ed|ation)?|sexual(ly)? (assault|abuse|harass)\w*|stalk(ed|ing)?|maar(pit|peet)|marta hai|maarte hain)\b/i
+    },
+    // Custody only with police context: "custody of my daughter" is a family matter
+    {
+        name: 'arrest',
+        label: 'Arrest or police custody',
+        urgency: 'emergency',
+        pattern: /\b(arrest(ed)?|detained|(police|judicial) custody|in custody|custodial|remand|lock-?up|picked up by (the )?police|taken (away )?by (the )?police|giraftar|hirasat)\b/i
+    },
+    {
+        name: 'child',
+        label: 'Child in danger',
+        urgency: 'emergency',
+        pattern: /\b((child|minor|daughter|son|kid) (is |has gone |went )?(missing|kidnapped|abducted|abused|trafficked)|child (abuse|marriage|labour|labor)|missing (child|minor))\b/i
+    },
+    {
+        name: 'eviction',
+        label: 'Eviction or loss of home',
+        urgency: 'urgent',
+        pattern: /\b(evict(ed|ion|ing)?|thrown out|throw(ing)? (me|us) out|vacate (immediately|today|tomorrow|within)|locks? (changed|broken)|demoli(tion|sh(ed|ing)?)|ghar se nikal)\b/i
+    },
+    {
+        name: 'cyber_fraud',
+        label: 'Online or UPI fraud',
+        urgency: 'urgent',
+        pattern: /\b(upi|otp|online|cyber|phishing|digital arrest|net ?banking)\b[\s\S]{0,80}\b(fraud|scam(med)?|cheat(ed)?|stolen|debited|lost)\b|\b(fraud|scam(med)?|cheat(ed)?)\b[\s\S]{0,80}\b(upi|otp|online|net ?banking)\b/i
+    },
+    {
+        name: 'deadline',
+        label: 'Deadline or hearing imminent',
+        urgency: 'urgent',
+        pattern: /\b(hearing|last date|deadline|court date|reply) (is )?(today|tomorrow|day after tomorrow|this week)\b/i
+    }
+];
+
+const SIGNAL_LABELS = Object.fromEntries(SIGNALS.map(signal => [signal.name, signal.label]));
+
+function detectSignals(text, deadlines) {
+    const found = SIGNALS
+        .filter(signal => signal.pattern.test(String(text || '')))
+        .map(signal => ({ name: signal.name, label: signal.label, urgency: signal.urgency, source: 'query' }));
+
+    // Computed limitation periods count as well (see ./deadlines)
+    const imminent = (deadlines?.deadlines || []).find(deadline =>
+        deadline.daysRemaining !== null && deadline.daysRemaining !== undefined &&
+        deadline.daysRemaining >= 0 && deadline.daysRemaining <= IMMINENT_DEADLINE_DAYS);
+    if (imminent && !found.some(signal => signal.name === 'deadline')) {
+        found.push({
+            name: 'deadline',
+            label: SIGNAL_LABELS.deadline,
+            urgency: 'urgent',
+            source: 'deadlines',
+            daysRemaining: imminent.daysRemaining
+        });
+    }
+
+    return found;
+}
+
+// ✅ TRIAGE
+// { query, result, analysis, deadlines } -> { domain, priority, urgency, signals, route }
+// route is 'emergency' (helplines and legal aid first) or 'lawyer' (directory match)
+function triageCase({ query, result, analysis, deadlines }) {
+    const summary = summarizeAnalysis({ result, analysis });
+    const signals = detectSignals(query, deadlines);
+
+    let urgency = 'routine';
+    if (signals.some(signal => signal.urgency === 'emergency')) urgency = 'emergency';
+    else if (signals.length || (summary.priority === 'High' && summary.priorityScore >= HIGH_SCORE)) urgency = 'urgent';
+
+    const highPriority = urgency === 'emergency' || summary.priority === 'High';
+
+    return {
+        domain: summary.domain,
+        priority: {
+            level: summary.priority,
+            score: summary.priorityScore
+        },
+        urgency: urgency,
+        signals: signals,
+        route: highPriority ? 'emergency' : 'lawyer'
+    };
+}
+
+// Resources matching the case's signals; on the emergency route free legal aid is always
+// included. perDistrict resources name the user's district when it is known.
+function selectEmergencyResources(triage, { district } = {}) {
+    const signalNames = new Set(triage.signals.map(signal => signal.name));
+
+    return RESOURCES
+        .filter(resource => resource.signals.some(name => signalNames.has(name)) ||
+            (triage.route === 'emergency' && resource.highPriority))
+        .map(({ signals, highPriority, perDistrict, ...resource }) => ({
+            ...resource,
+            ...(perDistrict && district && { name: `${resource.name}, ${district}` }),
+            matchedSignals: signals.filter(name => signalNames.has(name))
+        }));
+}
+
+// ✅ REFERRALS
+// Emergency route: helplines and legal aid first, then lawyers who take legal-aid work.
+// Lawyer route: directory matches, plus any helpline a signal calls for (e.g. 1930 for
+// UPI fraud).
+function buildReferrals(triage, { language = 'en', district, state, limit } = {}) {
+    const emergency = triage.route === 'emergency';
+    const directory = findLawyers({
+        domain: triage.domain,
+        language: language,
+        district: district,
+        state: state,
+        preferLegalAid: emergency,
+        limit: limit
+    });
+
+    return {
+        route: triage.route,
+        emergencyResources: selectEmergencyResources(triage, { district }),
+        lawyers: directory.lawyers,
+        lawyerMatch: directory.matchLevel,
+        resourcesVersion: RESOURCES_VERSION
+    };
+}
+
+module.exports = {
+    RESOURCES_VERSION,
+    triageCase,
+    selectEmergencyResources,
+    buildReferrals
+};
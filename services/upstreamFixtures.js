@@ -0,0 +1,174 @@
+// ✅ RECORD / REPLAY OF UPSTREAM AI TRAFFIC
+// UPSTREAM_FIXTURES=record calls the providers as usual and also writes every request and
+// its response to a cassette: one JSON file per scenario in UPSTREAM_FIXTURES_DIR (default
+// test/fixtures/upstream), named by UPSTREAM_CASSETTE or useCassette(). API keys and Aadhaar
+// numbers are masked (see ./logger) before anything is written. UPSTREAM_FIXTURES=replay
+// answers from the cassette instead of the network, so tests run against real provider
+// payloads without keys or flakiness.
+// Replay matches on method and URL, so a scenario survives prompt wording changes; calls to
+// the same URL get its interactions in recorded order, and an interaction with "repeat": n
+// answers n calls (handy for hand-written failure scenarios). Thrown errors - timeouts,
+// connection resets - are recorded as { error } and thrown again on replay, at once.
+// Only calls made through fetchWithEnhancedTimeout in ./aiService go through here.
+// Recording buffers each response, so streamed answers arrive in one piece while recording.
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { Response } = require('node-fetch');
+const { createLogger, redactString } = require('./logger');
+
+const MODES = ['off', 'record', 'replay'];
+const MODE = process.env.UPSTREAM_FIXTURES || 'off';
+const FIXTURES_DIR = process.env.UPSTREAM_FIXTURES_DIR || path.join(__dirname, '..', 'test', 'fixtures', 'upstream');
+
+if (!MODES.includes(MODE)) {
+    throw new Error(`Unknown UPSTREAM_FIXTURES mode "${MODE}". Use one of: ${MODES.join(', ')}`);
+}
+
+const log = createLogger('upstreamFixtures');
+
+let cassette = null; // { name, file, interactions }
+
+function cassetteFile(name) {
+    if (!/^[\w.-]+$/.test(name)) {
+        throw new Error(`Invalid cassette name "${name}" (letters, digits, '.', '_' and '-' only)`);
+    }
+    return path.join(FIXTURES_DIR, `${name}.json`);
+}
+
+// ✅ CASSETTES
+// Recording starts the cassette afresh; replay loads it and resets what has been served
+function useCassette(name) {
+    const file = cassetteFile(name);
+
+    if (MODE === 'replay') {
+        if (!fs.existsSync(file)) {
+            throw new Error(`No upstream cassette "${name}" in ${FIXTURES_DIR}`);
+        }
+        const recorded = JSON.parse(fs.readFileSync(file, 'utf8'));
+        cassette = {
+            name: name,
+            file: file,
+            interactions: recorded.interactions.map(interaction => ({
+                ...interaction,
+                remaining: interaction.repeat || 1
+            }))
+        };
+    } else {
+        cassette = { name: name, file: file, interactions: [] };
+    }
+
+    log.info('Upstream cassette selected', { mode: MODE, cassette: name });
+}
+
+function currentCassette() {
+    if (!cassette) useCassette(process.env.UPSTREAM_CASSETTE || 'default');
+    return cassette;
+}
+
+// Recorded interactions the current cassette has not served yet (replay only)
+function pendingInteractions() {
+    if (MODE !== 'replay' || !cassette) return 0;
+    return cassette.interactions.reduce((sum, interaction) => sum + interaction.remaining, 0);
+}
+
+function parseBody(text) {
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text; // e.g. a server-sent event stream
+    }
+}
+
+function toResponse({ status, headers = {}, body }) {
+    const text = body === null || body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+    return new Response(Readable.from([Buffer.from(text)]), { status: status, headers: headers });
+}
+
+function toError({ name, message, code }) {
+    const error = new Error(message);
+    if (name) error.name = name;
+    if (code) error.code = code;
+    return error;
+}
+
+// ✅ REPLAY
+function replay(url, options) {
+    const method = (options.method || 'GET').toUpperCase();
+    const requestUrl = redactString(url);
+    const current = currentCassette();
+    const interaction = current.interactions.find(candidate =>
+        candidate.remaining > 0 &&
+        (candidate.request.method || 'GET').toUpperCase() === method &&
+        candidate.request.url === requestUrl);
+
+    if (!interaction) {
+        const error = new Error(`No recorded upstream response for ${method} ${requestUrl} in cassette "${current.name}"`);
+        error.code = 'FIXTURE_MISSING';
+        throw error;
+    }
+
+    interaction.remaining--;
+    if (interaction.error) throw toError(interaction.error);
+    return toResponse(interaction.response);
+}
+
+// ✅ RECORD
+function save(interaction) {
+    const current = currentCassette();
+    current.interactions.push(JSON.parse(redactString(JSON.stringify(interaction))));
+
+    fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+    fs.writeFileSync(current.file, JSON.stringify({
+        name: current.name,
+        recordedAt: new Date().toISOString(),
+        interactions: current.interactions
+    }, null, 2) + '\n');
+}
+
+async function record(fetch, url, options) {
+    const request = {
+        method: (options.method || 'GET').toUpperCase(),
+        url: url,
+        headers: options.headers || {},
+        body: parseBody(options.body)
+    };
+
+    let response;
+    try {
+        response = await fetch(url, options);
+    } catch (error) {
+        save({ request, error: { name: error.name, message: error.message, code: error.code } });
+        throw error;
+    }
+
+    const buffer = await response.buffer();
+    const contentType = response.headers.get('content-type');
+    const recorded = {
+        status: response.status,
+        headers: contentType ? { 'content-type': contentType } : {},
+        body: parseBody(buffer.toString('utf8'))
+    };
+    save({ request, response: recorded });
+
+    return new Response(Readable.from([buffer]), { status: response.status, headers: recorded.headers });
+}
+
+// Wraps node-fetch; without UPSTREAM_FIXTURES it is returned unchanged
+function wrapFetch(fetch) {
+    if (MODE === 'record') return (url, options = {}) => record(fetch, url, options);
+    if (MODE === 'replay') return async (url, options = {}) => replay(url, options);
+    return fetch;
+}
+
+if (MODE !== 'off') {
+    log.info('Upstream fixtures enabled', { mode: MODE, dir: FIXTURES_DIR });
+}
+
+module.exports = {
+    FIXTURES_MODE: MODE,
+    useCassette,
+    pendingInteractions,
+    wrapFetch
+};
@@ -0,0 +1,185 @@
+// ✅ BOUNDED, FAIR QUEUE FOR UPSTREAM MODEL CALLS
+// At most AI_MAX_CONCURRENCY fallback chains talk to the model pool at once; the rest
+// wait here. High-priority callers (verified lawyers, urgent matters) go first and
+// background batch work (priority 'low') only gets slots nobody else is waiting for; within a
+// priority the next slot goes to the waiting client with the fewest calls already
+// running, then to whoever has waited longest, so one busy client cannot starve others.
+// A full queue is refused with 429 and a Retry-After estimate instead of piling up.
+const { HttpError } = require('./httpError');
+const { createLogger } = require('./logger');
+
+const log = createLogger('upstreamQueue');
+
+const MAX_CONCURRENCY = parseInt(process.env.AI_MAX_CONCURRENCY) || 4;
+const MAX_QUEUE = parseInt(process.env.AI_QUEUE_MAX) || 50;
+const MAX_QUEUED_PER_CLIENT = parseInt(process.env.AI_QUEUE_MAX_PER_CLIENT) || 3;
+const PRIORITY_RANK = { high: 1, normal: 0, low: -1 };
+
+// Arrest, custody and violence cannot wait behind routine questions
+const URGENT_PATTERN = /\b(arrest(ed)?|detained|custody|remand|bail|police station|lock-?up|domestic violence|assault(ed)?|threat(s|ened)? to (my |our )?life|kidnap(ped)?|missing (child|person)|dowry|eviction (today|tomorrow)|hearing (is )?(today|tomorrow))\b/i;
+
+const running = new Map(); // client key -> running call count
+const waiting = []; // { client, rank, seq, position, onQueued, resolve, cleanup }
+let activeCount = 0;
+let sequence = 0;
+let averageCallMs = 30000; // moving average of how long a slot is held
+
+const stats = { served: 0, queued: 0, rejected: 0, highPriority: 0 };
+
+function isUrgentMatter(text) {
+    return URGENT_PATTERN.test(String(text || ''));
+}
+
+function compareWaiters(left, right) {
+    return (right.rank - left.rank)
+        || ((running.get(left.client.key) || 0) - (running.get(right.client.key) || 0))
+        || (left.seq - right.seq);
+}
+
+function estimateWaitSeconds(position) {
+    return Math.max(1, Math.ceil((Math.ceil(position / MAX_CONCURRENCY) * averageCallMs) / 1000));
+}
+
+function notifyPositions() {
+    const order = waiting.slice().sort(compareWaiters);
+    order.forEach((waiter, index) => {
+        if (waiter.position === index + 1) return;
+        waiter.position = index + 1;
+        waiter.onQueued({
+            position: waiter.position,
+            queueLength: waiting.length,
+            estimatedWaitSeconds: estimateWaitSeconds(waiter.position),
+            priority: waiter.client.priority
+        });
+    });
+}
+
+function start(client) {
+    activeCount++;
+    running.set(client.key, (running.get(client.key) || 0) + 1);
+    stats.served++;
+    if (client.priority === 'high') stats.highPriority++;
+
+    const startedAt = Date.now();
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        activeCount--;
+        const count = running.get(client.key) - 1;
+        if (count > 0) running.set(client.key, count);
+        else running.delete(client.key);
+
+        averageCallMs = averageCallMs * 0.8 + (Date.now() - startedAt) * 0.2;
+        dispatch();
+    };
+}
+
+function dispatch() {
+    while (activeCount < MAX_CONCURRENCY && waiting.length) {
+        const next = waiting.slice().sort(compareWaiters)[0];
+        waiting.splice(waiting.indexOf(next), 1);
+        next.cleanup();
+        next.resolve(start(next.client));
+    }
+    if (waiting.length) notifyPositions();
+}
+
+function abortError() {
+    const error = new Error('Request cancelled by client');
+    error.code = 'REQUEST_ABORTED';
+    return error;
+}
+
+function queueFull(message, code) {
+    stats.rejected++;
+    const retryAfterSeconds = estimateWaitSeconds(waiting.length + 1);
+    const error = new HttpError(`${message} Please try again in ${retryAfterSeconds} seconds.`, 429, code);
+    error.retryAfterSeconds = retryAfterSeconds;
+    return error;
+}
+
+// Resolves with a release() function once the caller may use the model pool.
+// client: { key, priority: 'high' | 'normal' | 'low' }; options: { signal, deadline, onQueued(info) }
+function acquireUpstreamSlot(client, { signal, deadline, onQueued } = {}) {
+    const caller = {
+        key: client?.key || 'internal',
+        priority: PRIORITY_RANK[client?.priority] !== undefined ? client.priority : 'normal'
+    };
+
+    if (signal?.aborted) {
+        return Promise.reject(abortError());
+    }
+    if (activeCount < MAX_CONCURRENCY && !waiting.length) {
+        return Promise.resolve(start(caller));
+    }
+    if (waiting.length >= MAX_QUEUE) {
+        return Promise.reject(queueFull('The legal analysis service is at capacity.', 'QUEUE_FULL'));
+    }
+    if (waiting.filter(waiter => waiter.client.key === caller.key).length >= MAX_QUEUED_PER_CLIENT) {
+        return Promise.reject(queueFull(`You already have ${MAX_QUEUED_PER_CLIENT} requests waiting.`, 'CLIENT_QUEUE_FULL'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const fail = (error) => {
+            const index = waiting.indexOf(waiter);
+            if (index === -1) return;
+            waiting.splice(index, 1);
+            waiter.cleanup();
+            reject(error);
+            notifyPositions();
+        };
+        const onAbort = () => fail(abortError());
+        const timer = deadline
+            ? setTimeout(() => {
+                const error = new Error('Request deadline exceeded (timeout) while queued for the model pool');
+                error.code = 'DEADLINE_EXCEEDED';
+                fail(error);
+            }, Math.max(deadline - Date.now(), 0))
+            : null;
+
+        const waiter = {
+            client: caller,
+            rank: PRIORITY_RANK[caller.priority],
+            seq: sequence++,
+            position: null,
+            onQueued: onQueued || (() => {}),
+            resolve: resolve,
+            cleanup: () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+            }
+        };
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        waiting.push(waiter);
+        stats.queued++;
+        log.info('Queued for the model pool', {
+            client: caller.key,
+            priority: caller.priority,
+            waiting: waiting.length,
+            running: activeCount,
+            maxConcurrency: MAX_CONCURRENCY
+        });
+        notifyPositions();
+    });
+}
+
+function getQueueStats() {
+    return {
+        maxConcurrency: MAX_CONCURRENCY,
+        maxQueue: MAX_QUEUE,
+        maxQueuedPerClient: MAX_QUEUED_PER_CLIENT,
+        running: activeCount,
+        waiting: waiting.length,
+        averageCallMs: Math.round(averageCallMs),
+        ...stats
+    };
+}
+
+module.exports = {
+    isUrgentMatter,
+    acquireUpstreamSlot,
+    getQueueStats
+};
@@ -0,0 +1,128 @@
+// ✅ /api/analyze AGAINST REPLAYED GEMINI TRAFFIC
+// Each scenario replays one cassette from test/fixtures/upstream and checks both the
+// response and that every recorded upstream call was made - no more, no fewer.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/testServer');
+const { useCassette, pendingInteractions } = require('../services/upstreamFixtures');
+
+const QUERY = 'My landlord in Pune has not returned my security deposit of Rs 60,000 two months after I vacated the flat.';
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer();
+    token = await server.signIn();
+});
+
+after(async () => {
+    await server.close();
+});
+
+function analyze(body = {}) {
+    return server.request('POST', '/api/analyze', { token, body: { query: QUERY, ...body } });
+}
+
+test('returns a sanitized, citation-checked analysis from the primary model', async () => {
+    useCassette('analyze-success');
+    const { status, body } = await analyze({ state: 'Maharashtra', district: 'Pune' });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.match(body.analysis, /class="domain-section"/);
+    assert.match(body.analysis, /Property Law/);
+    assert.equal(body.metadata.model, 'gemini-2.5-pro');
+    assert.equal(body.metadata.keyUsed, 'Primary Key');
+    assert.equal(body.metadata.totalAttempts, 1);
+    assert.equal(body.metadata.promptTemplate.task, 'analysis-html');
+    assert.equal(body.metadata.citationCheck.total, 2);
+    assert.equal(body.jurisdiction.state.code, 'MH');
+    assert.ok(body.consultationId);
+    assert.equal(pendingInteractions(), 0);
+});
+
+test('backs off after a 429 and retries the same model and key', async () => {
+    useCassette('analyze-rate-limit');
+    const { status, body } = await analyze();
+
+    assert.equal(status, 200);
+    assert.equal(body.metadata.model, 'gemini-2.5-pro');
+    assert.equal(body.metadata.totalAttempts, 2);
+    assert.equal(body.metadata.retryCount, 1);
+    assert.equal(pendingInteractions(), 0);
+});
+
+test('falls back to the next model when the primary stays unavailable (503)', async () => {
+    useCassette('analyze-unavailable');
+    const { status, body } = await analyze();
+
+    assert.equal(status, 200);
+    assert.equal(body.metadata.model, 'gemini-1.5-pro');
+    assert.equal(body.metadata.totalAttempts, 4);
+    assert.equal(pendingInteractions(), 0);
+});
+
+test('retries timeouts, then falls back to the next model', async () => {
+    useCassette('analyze-timeout');
+    const { status, body } = await analyze();
+
+    assert.equal(status, 200);
+    assert.equal(body.metadata.model, 'gemini-1.5-pro');
+    assert.equal(body.metadata.totalAttempts, 4);
+    assert.equal(pendingInteractions(), 0);
+});
+
+test('treats an empty answer as a failure and moves on without retrying', async () => {
+    useCassette('analyze-empty');
+    const { status, body } = await analyze();
+
+    assert.equal(status, 200);
+    assert.equal(body.metadata.model, 'gemini-1.5-pro');
+    assert.equal(body.metadata.totalAttempts, 2);
+    assert.equal(pendingInteractions(), 0);
+});
+
+test('reports an overloaded service once every model and retry is exhausted', async () => {
+    useCassette('analyze-exhausted');
+    const { status, body } = await analyze();
+
+    assert.equal(status, 500);
+    assert.equal(body.success, false);
+    assert.match(body.error, /temporarily overloaded/);
+    assert.equal(body.technicalDetails.totalModels, 3);
+    assert.ok(body.technicalDetails.requestId);
+    assert.equal(pendingInteractions(), 0);
+});
+
+test('rejects requests without a query or a session before calling upstream', async () => {
+    useCassette('analyze-success');
+
+    const missing = await analyze({ query: '' });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.success, false);
+
+    const anonymous = await server.request('POST', '/api/analyze', { body: { query: QUERY } });
+    assert.equal(anonymous.status, 401);
+
+    assert.equal(pendingInteractions(), 1);
+});
+
+test('rejects queries that are not text, including a repeated ?query= on the stream', async () => {
+    useCassette('analyze-success');
+
+    for (const query of [42, ['a', 'b'], { text: QUERY }, '   ']) {
+        const { status, body } = await analyze({ query });
+        assert.equal(status, 400, JSON.stringify(query));
+        assert.equal(body.error, 'Legal query is required');
+    }
+
+    const hindi = await analyze({ query: ['a'], language: 'hi' });
+    assert.equal(hindi.body.error, 'कानूनी प्रश्न लिखना आवश्यक है');
+
+    const stream = await server.request('GET', '/api/analyze/stream?query=a&query=b', { token });
+    assert.equal(stream.status, 400);
+    assert.equal(stream.body.error, 'Legal query is required');
+
+    assert.equal(pendingInteractions(), 1);
+});
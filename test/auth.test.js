@@ -0,0 +1,85 @@
+// ✅ /api/auth VALIDATION AND THE 404 HANDLER
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/testServer');
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+function auth(body) {
+    return server.request('POST', '/api/auth', { body });
+}
+
+test('rejects an unknown action', async () => {
+    const { status, body } = await auth({ action: 'sign_in' });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.match(body.error, /Invalid action/);
+});
+
+test('rejects an Aadhaar number that fails the checksum', async () => {
+    const { status, body } = await auth({ action: 'verify_aadhaar', aadhaar: '234567890123' });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_AADHAAR');
+    assert.equal(server.outbox.length, 0);
+});
+
+test('rejects a malformed OTP before looking up the challenge', async () => {
+    const { status, body } = await auth({ action: 'verify_otp', challengeId: 'unknown', otp: '12ab' });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_OTP');
+});
+
+test('rejects an OTP for a challenge that was never issued', async () => {
+    const { status, body } = await auth({ action: 'verify_otp', challengeId: 'unknown', otp: '123456' });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'OTP_EXPIRED');
+});
+
+test('counts down wrong OTPs, then signs in with the right one', async () => {
+    const challenge = await auth({ action: 'verify_aadhaar', aadhaar: '2345 6789 0124' });
+    assert.equal(challenge.status, 200);
+    assert.equal(challenge.body.maskedAadhaar, 'XXXX-XXXX-0124');
+
+    const otp = server.outbox[server.outbox.length - 1].otp;
+    const wrongOtp = otp === '000000' ? '111111' : '000000';
+
+    const wrong = await auth({ action: 'verify_otp', challengeId: challenge.body.challengeId, otp: wrongOtp });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.code, 'OTP_MISMATCH');
+    assert.match(wrong.body.error, /4 attempt\(s\) remaining/);
+
+    const signedIn = await auth({ action: 'verify_otp', challengeId: challenge.body.challengeId, otp });
+    assert.equal(signedIn.status, 200);
+    assert.ok(signedIn.body.accessToken);
+    assert.ok(signedIn.body.refreshToken);
+});
+
+test('requires a token to log out', async () => {
+    const { status, body } = await auth({ action: 'logout' });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'LOGOUT_TOKEN_REQUIRED');
+});
+
+test('answers unknown routes with 404 and the routes an anonymous caller may use', async () => {
+    const { status, body } = await server.request('GET', '/api/does-not-exist');
+
+    assert.equal(status, 404);
+    assert.equal(body.error, 'API route not found');
+    assert.equal(body.method, 'GET');
+    assert.equal(body.url, '/api/does-not-exist');
+    assert.ok(body.availableRoutes.some(route => route.startsWith('POST /api/auth ')));
+    assert.ok(!body.availableRoutes.some(route => route.startsWith('POST /api/analyze ')));
+});
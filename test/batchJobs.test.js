@@ -0,0 +1,109 @@
+// ✅ BATCH JOBS: RESTART RECOVERY
+// batch-jobs.json is written before services/batchJobs.js loads it, as if the server had
+// stopped with these jobs in flight.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vidhi-batch-'));
+const processed = [];
+let batchJobs;
+
+function item(index, status) {
+    const done = status !== 'pending' && status !== 'running';
+    return {
+        index: index,
+        reference: null,
+        query: `Query ${index}`,
+        language: 'en',
+        state: null,
+        district: null,
+        status: status,
+        attempts: status === 'pending' ? 0 : 1,
+        error: null,
+        result: status === 'completed' ? { analysis: '<p>Done</p>' } : null,
+        startedAt: status === 'pending' ? null : '2026-01-01T00:00:00.000Z',
+        completedAt: done ? '2026-01-01T00:01:00.000Z' : null
+    };
+}
+
+function job(id, status, items) {
+    return {
+        id: id,
+        userId: 'user-1',
+        status: status,
+        format: 'html',
+        items: items,
+        webhook: null,
+        createdAt: '2026-01-01T00:00:00.000Z',
+        updatedAt: '2026-01-01T00:01:00.000Z',
+        startedAt: '2026-01-01T00:00:00.000Z',
+        completedAt: null
+    };
+}
+
+before(() => {
+    fs.writeFileSync(path.join(storageDir, 'batch-jobs.json'), JSON.stringify({
+        jobs: [
+            job('batch_cancelling', 'cancelling', [item(0, 'completed'), item(1, 'running'), item(2, 'cancelled')]),
+            job('batch_running', 'running', [item(0, 'completed'), item(1, 'running')])
+        ]
+    }));
+    Object.assign(process.env, { STORAGE_DIR: storageDir, LOG_LEVEL: 'error' });
+
+    batchJobs = require('../services/batchJobs');
+    batchJobs.startBatchWorker(async (job, current) => {
+        processed.push(`${job.id}#${current.index}`);
+        return { analysis: '<p>Done</p>' };
+    });
+});
+
+after(() => {
+    require('../services/jsonStore').flushAllStores();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+test('finishes a job that was being cancelled instead of running its items again', () => {
+    const cancelled = batchJobs.getBatchJob('user-1', 'batch_cancelling');
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.ok(cancelled.completedAt);
+    assert.deepEqual(cancelled.items.map(entry => entry.status), ['completed', 'cancelled', 'cancelled']);
+    assert.ok(!processed.includes('batch_cancelling#1'));
+});
+
+test('runs the interrupted items of an active job again', async () => {
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.deepEqual(processed, ['batch_running#1']);
+    assert.equal(batchJobs.getBatchJob('user-1', 'batch_running').status, 'completed');
+});
+
+test('refuses webhooks aimed at loopback, private, link-local or internal hosts', async () => {
+    const targets = [
+        'https://127.0.0.1/hook',
+        'https://2130706433/hook',
+        'https://10.1.2.3/hook',
+        'https://172.20.0.1/hook',
+        'https://192.168.1.10/hook',
+        'https://169.254.169.254/latest/meta-data/',
+        'https://100.64.0.1/hook',
+        'https://[::1]/hook',
+        'https://[fd00::1]/hook',
+        'https://[::ffff:127.0.0.1]/hook',
+        'https://localhost/hook',
+        'https://metadata.google.internal/computeMetadata/v1/',
+        'https://intranet/hook'
+    ];
+
+    for (const webhookUrl of targets) {
+        await assert.rejects(
+            batchJobs.createBatchJob('user-2', { items: [{ query: 'A query', language: 'en' }], webhookUrl }),
+            error => error.status === 400 && error.code === 'INVALID_WEBHOOK_URL',
+            webhookUrl
+        );
+    }
+    assert.equal(batchJobs.listBatchJobs('user-2').length, 0);
+});
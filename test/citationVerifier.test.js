@@ -0,0 +1,68 @@
+// ✅ CITATION VERIFICATION: VERIFIED, REPEALED AND UNKNOWN PROVISIONS
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const { verifyCitations, pruneStructuredStatutes } = require('../services/citationVerifier');
+
+const ANALYSIS = [
+    '<div class="legal-analysis">',
+    '<p>Cheating is punishable under Section 420 IPC and BNS Section 318(4).</p>',
+    '<p>Article 21 of the Constitution protects life. See Section 5 of the agreement.</p>',
+    '<p>Section 999 of the Indian Contract Act, 1872 applies.</p>',
+    '<div class="laws-section"><ul><li>Indian Penal Code, 1860, Section 600</li><li>Order XXXIX Rule 1 CPC</li></ul></div>',
+    '</div>'
+].join('');
+
+const statusOf = (result) => Object.fromEntries(result.citations.map(citation => [citation.citation, citation.status]));
+
+test('sorts every cited provision into verified, repealed or unknown', () => {
+    const result = verifyCitations(ANALYSIS, { policy: 'flag' });
+
+    assert.deepEqual(statusOf(result), {
+        'IPC Section 420': 'repealed',
+        'BNS Section 318(4)': 'verified',
+        'Constitution of India Article 21': 'verified',
+        'Indian Contract Act, 1872 Section 999': 'unknown',
+        'IPC Section 600': 'unknown',
+        'CPC Order XXXIX Rule 1': 'verified'
+    });
+    assert.deepEqual(result.citations[0].replacement.map(ref => ref.citation), ['BNS Section 318(4)']);
+    assert.deepEqual(result.summary, { policy: 'flag', total: 6, verified: 3, repealed: 1, unknown: 2, stripped: 0 });
+});
+
+test('flags unknown sections in place and leaves a repealed one alone when its replacement is cited beside it', () => {
+    const { html } = verifyCitations(ANALYSIS, { policy: 'flag' });
+
+    assert.ok(html.includes('<p>Cheating is punishable under Section 420 IPC and BNS Section 318(4).</p>'));
+    assert.ok(html.includes('applies. <em>(Could not verify Indian Contract Act, 1872 Section 999 - the Indian Contract Act, 1872 has no such section)</em></p>'));
+    assert.ok(html.includes('<li>Indian Penal Code, 1860, Section 600 <em>(Could not verify IPC Section 600'));
+});
+
+test('names the replacement of a repealed section cited on its own', () => {
+    const { html } = verifyCitations('<p>File a complaint under Section 420 of the IPC.</p>', { policy: 'flag' });
+
+    assert.match(html, /<em>\(IPC Section 420 is repealed; now BNS Section 318\(4\)/);
+});
+
+test('strips unknown sections from the Relevant Laws list only', () => {
+    const { html, summary } = verifyCitations(ANALYSIS, { policy: 'strip' });
+
+    assert.ok(!html.includes('Section 600'));
+    assert.ok(html.includes('Section 999 of the Indian Contract Act'), 'running text is annotated, not removed');
+    assert.ok(html.includes('<li>Order XXXIX Rule 1 CPC</li>'));
+    assert.equal(summary.stripped, 1);
+});
+
+test('drops structured statutes the Act does not have under the strip policy', () => {
+    const result = {
+        statutes: [
+            { act: 'Bharatiya Nyaya Sanhita, 2023', section: 'Section 318(4)' },
+            { act: 'Indian Penal Code, 1860', section: 'Section 600' },
+            { act: 'Some State Rent Act', section: 'Section 12' }
+        ]
+    };
+
+    assert.deepEqual(pruneStructuredStatutes(result, { policy: 'strip' }).statutes.map(statute => statute.section), ['Section 318(4)', 'Section 12']);
+    assert.equal(pruneStructuredStatutes(result, { policy: 'flag' }), result);
+});
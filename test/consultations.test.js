@@ -0,0 +1,64 @@
+// ✅ CONSULTATION HISTORY: RECORDS WHOSE QUERY IS NOT A STRING
+// consultations.json is written before services/consultations.js loads it, with records
+// saved before queries had to be strings.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vidhi-consultations-'));
+let consultations;
+
+function record(id, query) {
+    return {
+        id: id,
+        userId: 'user-1',
+        query: query,
+        format: 'html',
+        language: 'en',
+        domain: 'Property Law',
+        priority: 'Medium',
+        priorityScore: 5,
+        analysis: '<p>Done</p>',
+        createdAt: new Date().toISOString()
+    };
+}
+
+before(() => {
+    fs.writeFileSync(path.join(storageDir, 'consultations.json'), JSON.stringify({
+        consultations: [
+            record('cons_number', 42),
+            record('cons_array', ['security deposit', 'landlord']),
+            record('cons_object', { text: 'tenancy' }),
+            record('cons_text', 'My landlord kept the security deposit')
+        ]
+    }));
+    Object.assign(process.env, { STORAGE_DIR: storageDir, LOG_LEVEL: 'error' });
+
+    consultations = require('../services/consultations');
+});
+
+after(() => {
+    require('../services/jsonStore').flushAllStores();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+test('searches history that holds non-string queries', () => {
+    const { consultations: found } = consultations.listConsultations('user-1', { q: 'deposit' });
+
+    assert.deepEqual(found.map(entry => entry.id), ['cons_text', 'cons_array']);
+    assert.equal(found[1].query, 'security deposit,landlord');
+    assert.equal(consultations.listConsultations('user-1', { q: '42' }).consultations[0].id, 'cons_number');
+});
+
+test('builds the dashboard from them', () => {
+    const stats = consultations.getDashboardStats('user-1');
+
+    assert.deepEqual(stats.recentActivity.map(entry => entry.query), [
+        'My landlord kept the security deposit',
+        '[object Object]',
+        'security deposit,landlord',
+        '42'
+    ]);
+});
@@ -0,0 +1,24 @@
+// ✅ DEADLINE RULES: NAMES FROM THE REQUEST ARE LOOKED UP AS OWN KEYS ONLY
+// Unknown names answer 400 instead of reaching a prototype property and failing with a 500.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateDeadlines } = require('../services/deadlines');
+
+function rejects(code, run) {
+    assert.throws(run, error => error.status === 400 && error.code === code);
+}
+
+test('rejects event, date and option names inherited from Object.prototype', () => {
+    for (const event of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+        rejects('UNKNOWN_EVENT', () => calculateDeadlines(event, {}));
+    }
+    rejects('INVALID_DATE', () => calculateDeadlines('cheque_dishonour', { constructor: '2024-05-01' }));
+    rejects('INVALID_OPTION', () => calculateDeadlines('cheque_dishonour', {}, { options: { toString: 'x' } }));
+});
+
+test('still counts a known event from its date', () => {
+    const result = calculateDeadlines('cheque_dishonour', { returnMemoDate: '2024-05-01' }, { asOf: '2024-05-10' });
+    assert.equal(result.event, 'cheque_dishonour');
+    assert.equal(result.deadlines[0].key, 'demandNotice');
+    assert.equal(result.deadlines[0].dueDate, '2024-05-31');
+});
@@ -0,0 +1,45 @@
+// ✅ PDF TEXT EXTRACTION: COMPRESSED STREAMS SHARE ONE UNPACKING BUDGET
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+process.env.DOCUMENT_MAX_INFLATED_BYTES = String(64 * 1024);
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const { extractDocumentText } = require('../services/documentText');
+
+// A one-page PDF with a FlateDecode content stream per entry of contents
+function pdf(contents) {
+    const objects = contents.map((content, index) => {
+        const data = zlib.deflateSync(Buffer.from(content, 'latin1'));
+        return Buffer.concat([
+            Buffer.from(`${index + 4} 0 obj\n<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+            data,
+            Buffer.from('\nendstream\nendobj\n', 'latin1')
+        ]);
+    });
+    return Buffer.concat([
+        Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n3 0 obj\n<< /Type /Page /Parent 2 0 R >>\nendobj\n', 'latin1'),
+        ...objects,
+        Buffer.from('%%EOF\n', 'latin1')
+    ]);
+}
+
+const textStream = (text) => `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+const padding = (bytes) => `% ${' '.repeat(bytes)}`;
+
+test('reads the text drawn by compressed content streams', async () => {
+    const result = await extractDocumentText(pdf([textStream('Notice under Section 138 of the Negotiable Instruments Act')]));
+
+    assert.equal(result.method, 'pdf');
+    assert.match(result.text, /Section 138 of the Negotiable Instruments Act/);
+});
+
+test('answers 413 once the streams together unpack past the budget', async () => {
+    // Each stream fits the budget by itself; the third one passes it
+    const streams = [padding(30 * 1024), padding(30 * 1024), padding(30 * 1024), textStream('Never reached')];
+
+    await assert.rejects(
+        extractDocumentText(pdf(streams)),
+        error => error.status === 413 && error.code === 'DOCUMENT_TOO_LARGE'
+    );
+});
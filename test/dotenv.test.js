@@ -0,0 +1,32 @@
+// ✅ .env IS LOADED BEFORE THE SERVICES READ THEIR SETTINGS
+// server.js is required in a child process whose working directory holds a .env, with the
+// setting removed from the environment it inherits. The key is written to a file, as the
+// services may print their own start-up lines.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+test('API keys from .env reach the AI service', () => {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vidhi-dotenv-'));
+    fs.writeFileSync(path.join(workDir, '.env'), 'GEMINI_API_KEY_1=key-from-dotenv\n');
+
+    const keyFile = path.join(workDir, 'key.txt');
+    const env = { ...process.env, STORAGE_DIR: path.join(workDir, 'storage'), LOG_LEVEL: 'error', PORT: '0' };
+    delete env.GEMINI_API_KEY_1;
+    const script = [
+        `require(${JSON.stringify(path.join(__dirname, '..', 'server'))});`,
+        `const { API_KEYS } = require(${JSON.stringify(path.join(__dirname, '..', 'services', 'aiService'))});`,
+        `require('fs').writeFileSync(${JSON.stringify(keyFile)}, String(API_KEYS[0].key));`,
+        'process.exit(0);'
+    ].join('\n');
+
+    try {
+        execFileSync(process.execPath, ['-e', script], { cwd: workDir, env, stdio: 'ignore', timeout: 30000 });
+        assert.equal(fs.readFileSync(keyFile, 'utf8'), 'key-from-dotenv');
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,25 @@
+// ✅ DRAFT TEMPLATES: UNKNOWN NAMES ARE REJECTED BEFORE THE MODEL IS CALLED
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_DIR = path.join(os.tmpdir(), `vidhi-drafts-${process.pid}`); // Never written: every draft here is rejected
+process.env.LOG_LEVEL = 'error';
+
+const { createDraft } = require('../services/drafts');
+
+function rejectsWith(code, options) {
+    return assert.rejects(createDraft('user-1', options), error => error.status === 400 && error.code === code);
+}
+
+test('answers 400 for template names inherited from Object.prototype', async () => {
+    for (const template of ['no_such_template', 'constructor', '__proto__', 'toString']) {
+        await rejectsWith('UNKNOWN_TEMPLATE', { template });
+    }
+});
+
+test('answers 400 for field names inherited from Object.prototype', async () => {
+    await rejectsWith('INVALID_FIELD', { template: 'rti_application', fields: { constructor: 'x' } });
+    await rejectsWith('INVALID_FIELD', { template: 'rti_application', fields: JSON.parse('{"__proto__": "x"}') });
+});
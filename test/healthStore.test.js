@@ -0,0 +1,102 @@
+// ✅ CIRCUIT BREAKERS: OPEN, HALF-OPEN TRIAL, CLOSE
+// Date.now is mocked so cooldowns pass without waiting. Every test uses its own
+// model name, so each starts from a closed breaker.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vidhi-health-'));
+const KEY = 'Primary Key';
+let health;
+
+before(() => {
+    Object.assign(process.env, { STORAGE_DIR: storageDir, LOG_LEVEL: 'error', BREAKER_FAILURE_THRESHOLD: '3' });
+    delete process.env.BREAKER_MAX_COOLDOWN_MS;
+    health = require('../services/healthStore');
+});
+
+after(() => {
+    require('../services/jsonStore').flushAllStores();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+// Date.now as a clock the test moves forward
+function useClock(t) {
+    const clock = { now: Date.parse('2026-01-01T00:00:00.000Z') };
+    t.mock.method(Date, 'now', () => clock.now);
+    return clock;
+}
+
+test('opens after consecutive failures and stays open for the cooldown', (t) => {
+    const clock = useClock(t);
+
+    health.recordFailure('model-a', KEY, 'TIMEOUT');
+    health.recordFailure('model-a', KEY, 'TIMEOUT');
+    assert.equal(health.canAttempt('model-a', KEY).allowed, true);
+
+    health.recordFailure('model-a', KEY, 'TIMEOUT');
+    const blocked = health.canAttempt('model-a', KEY);
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.state, 'open');
+    assert.equal(blocked.retryAt, new Date(clock.now + 30 * 1000).toISOString());
+
+    clock.now += 29 * 1000;
+    assert.equal(health.canAttempt('model-a', KEY).allowed, false);
+});
+
+test('opens on the first exhausted quota or rejected key', (t) => {
+    const clock = useClock(t);
+
+    // An hour's base cooldown, capped at BREAKER_MAX_COOLDOWN_MS (30 minutes by default)
+    health.recordFailure('model-b', KEY, 'QUOTA_EXCEEDED');
+    assert.equal(health.canAttempt('model-b', KEY).retryAt, new Date(clock.now + 30 * 60 * 1000).toISOString());
+
+    health.recordFailure('model-c', KEY, 'AUTH');
+    assert.equal(health.canAttempt('model-c', KEY).state, 'open');
+});
+
+test('ignores failures that say nothing about the pair', (t) => {
+    useClock(t);
+
+    for (let i = 0; i < 5; i++) health.recordFailure('model-d', KEY, 'BAD_REQUEST');
+    assert.deepEqual(health.canAttempt('model-d', KEY), { allowed: true, state: 'closed' });
+});
+
+test('lets one trial through after the cooldown and re-opens for twice as long if it fails', (t) => {
+    const clock = useClock(t);
+    for (let i = 0; i < 3; i++) health.recordFailure('model-e', KEY, 'UNAVAILABLE');
+
+    clock.now += 30 * 1000;
+    assert.deepEqual(health.canAttempt('model-e', KEY), { allowed: true, state: 'half-open', trial: true });
+    assert.equal(health.canAttempt('model-e', KEY).allowed, false, 'only one trial at a time');
+
+    health.recordFailure('model-e', KEY, 'UNAVAILABLE');
+    const reopened = health.canAttempt('model-e', KEY);
+    assert.equal(reopened.state, 'open');
+    assert.equal(reopened.retryAt, new Date(clock.now + 60 * 1000).toISOString());
+});
+
+test('closes when the trial succeeds and starts the cooldowns over', (t) => {
+    const clock = useClock(t);
+    for (let i = 0; i < 3; i++) health.recordFailure('model-f', KEY, 'RATE_LIMIT');
+
+    clock.now += 60 * 1000;
+    assert.equal(health.canAttempt('model-f', KEY).trial, true);
+    health.recordSuccess('model-f', KEY);
+    assert.deepEqual(health.canAttempt('model-f', KEY), { allowed: true, state: 'closed' });
+
+    for (let i = 0; i < 3; i++) health.recordFailure('model-f', KEY, 'RATE_LIMIT');
+    assert.equal(health.canAttempt('model-f', KEY).retryAt, new Date(clock.now + 60 * 1000).toISOString());
+});
+
+test('frees the trial slot of a cancelled request', (t) => {
+    const clock = useClock(t);
+    for (let i = 0; i < 3; i++) health.recordFailure('model-g', KEY, 'NETWORK');
+
+    clock.now += 30 * 1000;
+    assert.equal(health.canAttempt('model-g', KEY).trial, true);
+    health.releaseTrial('model-g', KEY);
+    assert.equal(health.canAttempt('model-g', KEY).trial, true);
+});
@@ -0,0 +1,86 @@
+// ✅ IN-PROCESS SERVER FOR THE INTEGRATION TESTS
+// Configures the environment before server.js is loaded: a throwaway STORAGE_DIR, upstream
+// calls replayed from test/fixtures/upstream (see services/upstreamFixtures.js), one fake
+// Gemini key, no response cache, millisecond backoffs and limits the suite never reaches.
+// Each test file runs in its own process, so each gets a fresh server.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TEST_AADHAAR = '234567890124';
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vidhi-test-'));
+
+// Emptied rather than deleted, so server.js's dotenv cannot fill them in from a local .env
+for (const name of ['AI_MODELS_CONFIG', 'AI_PROVIDER_OVERRIDE', 'GEMINI_API_KEY_2', 'GEMINI_API_KEY_3', 'OPENAI_API_KEY', 'MOCK_AI_SCRIPT']) {
+    process.env[name] = '';
+}
+Object.assign(process.env, {
+    STORAGE_DIR: storageDir,
+    UPSTREAM_FIXTURES: 'replay',
+    UPSTREAM_FIXTURES_DIR: path.join(__dirname, '..', 'fixtures', 'upstream'),
+    GEMINI_API_KEY_1: 'test-gemini-key-0001',
+    LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+    OTP_DELIVERY: 'test',
+    AI_CACHE_TTL_MS: '0',
+    AI_RETRY_BASE_DELAY_MS: '1',
+    BREAKER_FAILURE_THRESHOLD: '1000',
+    RATE_LIMIT_TIERS: JSON.stringify({
+        ip: { capacity: 1000, refillPerMinute: 1000 },
+        citizen: { capacity: 1000, refillPerMinute: 1000 }
+    })
+});
+
+const app = require('../../server');
+const { registerOtpChannel } = require('../../services/otpDelivery');
+const { flushAllStores } = require('../../services/jsonStore');
+
+// OTPs are kept here instead of being sent
+const outbox = [];
+registerOtpChannel('test', {
+    async deliver(message) {
+        outbox.push(message);
+    }
+});
+
+async function startServer() {
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // JSON in, { status, body } out
+    async function request(method, url, { body, token } = {}) {
+        const response = await fetch(`${baseUrl}${url}`, {
+            method: method,
+            headers: {
+                ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                ...(token && { Authorization: `Bearer ${token}` })
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function signIn(aadhaar = TEST_AADHAAR) {
+        const challenge = await request('POST', '/api/auth', { body: { action: 'verify_aadhaar', aadhaar } });
+        const otp = outbox[outbox.length - 1].otp;
+        const session = await request('POST', '/api/auth', {
+            body: { action: 'verify_otp', challengeId: challenge.body.challengeId, otp }
+        });
+        return session.body.accessToken;
+    }
+
+    async function close() {
+        await new Promise(resolve => server.close(resolve));
+        flushAllStores();
+        fs.rmSync(storageDir, { recursive: true, force: true });
+    }
+
+    return { baseUrl, request, signIn, close, outbox };
+}
+
+module.exports = {
+    TEST_AADHAAR,
+    startServer
+};
@@ -0,0 +1,19 @@
+// ✅ LOG REDACTION
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { redact, redactString } = require('../services/logger');
+
+test('masks keys and access tokens in URLs', () => {
+    assert.equal(
+        redactString('GET /api/analyze/stream?query=x&access_token=eyJhbGciOiJIUzI1NiJ9.abc'),
+        'GET /api/analyze/stream?query=x&access_token=[REDACTED]'
+    );
+    assert.equal(redactString('/v1beta/models/m:generateContent?key=secret-key'), '/v1beta/models/m:generateContent?key=[REDACTED]');
+});
+
+test('replaces user-supplied text with its length and masks Aadhaar numbers', () => {
+    assert.deepEqual(
+        redact({ query: 'My landlord kept my deposit', to: 'Aadhaar 2345 6789 0124' }),
+        { query: '[REDACTED 27 chars]', to: 'Aadhaar XXXX-XXXX-0124' }
+    );
+});
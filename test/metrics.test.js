@@ -0,0 +1,36 @@
+// ✅ /metrics: METRICS_TOKEN BEARER CHECK
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/testServer');
+
+const METRICS_TOKEN = 'metrics-token-0001';
+
+let server;
+
+before(async () => {
+    process.env.METRICS_TOKEN = METRICS_TOKEN;
+    server = await startServer();
+});
+
+after(async () => {
+    await server.close();
+});
+
+function scrape(token) {
+    return fetch(`${server.baseUrl}/metrics`, { headers: { Authorization: `Bearer ${token}` } });
+}
+
+test('serves the metrics to the configured token', async () => {
+    const response = await scrape(METRICS_TOKEN);
+
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /process_uptime_seconds/);
+});
+
+test('answers 401 for a wrong token, including one with non-ASCII characters of the same length', async () => {
+    for (const token of ['metrics-token-0002', 'metrics-token-000é', 'short']) {
+        const response = await scrape(token);
+        assert.equal(response.status, 401, token);
+        assert.equal((await response.json()).code, 'AUTH_REQUIRED');
+    }
+});
@@ -0,0 +1,38 @@
+// ✅ MOCK PROVIDER: CANNED ANSWERS FOLLOW THE PROMPT
+// Offline prompt evaluation (scripts/evalPrompts.js) relies on two prompt versions getting
+// different answers from the mock.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const mock = require('../services/providers/mock');
+const { selectTemplate } = require('../services/promptTemplates');
+const { buildLegalPrompt } = require('../services/analysisPrompts');
+const { searchStatutes } = require('../services/statuteCorpus');
+
+const QUERY = 'A cheque of Rs 2 lakh given to me by a client bounced for insufficient funds.';
+
+async function answer(prompt) {
+    const response = await mock.send(mock.buildRequest({ model: { name: 'mock-model' }, prompt }));
+    return (await response.json()).text;
+}
+
+function prompt(version) {
+    return buildLegalPrompt(QUERY, { code: 'en' }, searchStatutes(QUERY), null, selectTemplate('analysis-html', { version }));
+}
+
+test('fills in the answer format the prompt asks for and cites its grounded provisions', async () => {
+    const text = await answer(prompt('2024.10.1'));
+
+    assert.match(text, /^<div class="legal-analysis">/);
+    assert.match(text, /<div class="laws-section">[\s\S]*<li>Negotiable Instruments Act, 1881 Section 138<\/li>/);
+    assert.doesNotMatch(text, /\[[^\]]*\]/);
+});
+
+test('answers two prompt versions differently', async () => {
+    assert.notEqual(await answer(prompt('2024.10.1')), await answer(prompt('2024.11.1')));
+});
+
+test('falls back to the fixed analysis for prompts without an answer format', async () => {
+    assert.equal(await answer('Summarise the Limitation Act.'), mock.DEFAULT_HTML);
+});
@@ -0,0 +1,56 @@
+// ✅ OTP DELIVERY: NO DEFAULT CHANNEL, DEVELOPMENT CHANNELS ONLY WHEN ASKED FOR
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_DIR = path.join(os.tmpdir(), `vidhi-otp-${process.pid}`); // Never written: no file channel here
+process.env.LOG_LEVEL = 'error';
+
+const { registerOtpChannel, checkOtpDelivery, deliverOtp } = require('../services/otpDelivery');
+
+const MESSAGE = { maskedAadhaar: 'XXXX-XXXX-0124', otp: '123456', expiresAt: Date.now() + 60000 };
+const sent = [];
+registerOtpChannel('sms', { async deliver(message) { sent.push(message); } });
+
+afterEach(() => {
+    delete process.env.OTP_DELIVERY;
+    delete process.env.NODE_ENV;
+});
+
+test('refuses to start without OTP_DELIVERY, except in development', () => {
+    assert.throws(() => checkOtpDelivery(), /OTP_DELIVERY is not set/);
+
+    process.env.NODE_ENV = 'development';
+    assert.doesNotThrow(() => checkOtpDelivery());
+});
+
+test('refuses the console and file channels in production', () => {
+    process.env.NODE_ENV = 'production';
+    for (const name of ['console', 'file']) {
+        process.env.OTP_DELIVERY = name;
+        assert.throws(() => checkOtpDelivery(), /for local development only/);
+    }
+
+    process.env.OTP_DELIVERY = 'sms';
+    assert.doesNotThrow(() => checkOtpDelivery());
+});
+
+test('accepts the console channel when it is chosen explicitly', () => {
+    process.env.OTP_DELIVERY = 'console';
+    assert.doesNotThrow(() => checkOtpDelivery());
+});
+
+test('sends nothing without a channel and answers 503', async () => {
+    await assert.rejects(deliverOtp(MESSAGE), error => error.status === 503 && error.code === 'OTP_DELIVERY_UNAVAILABLE');
+
+    process.env.OTP_DELIVERY = 'constructor';
+    await assert.rejects(deliverOtp(MESSAGE), error => error.status === 503);
+    assert.equal(sent.length, 0);
+});
+
+test('delivers through the configured channel', async () => {
+    process.env.OTP_DELIVERY = 'sms';
+    await deliverOtp(MESSAGE);
+    assert.deepEqual(sent, [MESSAGE]);
+});
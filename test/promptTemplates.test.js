@@ -0,0 +1,24 @@
+// ✅ PROMPT TEMPLATE SELECTION
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const { selectTemplate } = require('../services/promptTemplates');
+
+test('picks a version asked for by the request', () => {
+    const selected = selectTemplate('analysis-html', { version: '2024.11.1' });
+
+    assert.equal(selected.version, '2024.11.1');
+    assert.equal(selected.assignment, 'request');
+    assert.ok(selected.text);
+});
+
+test('answers 400 for unknown versions, including names inherited from Object.prototype', () => {
+    for (const version of ['1999.01.1', 'constructor', '__proto__', 'toString']) {
+        assert.throws(
+            () => selectTemplate('analysis-html', { version }),
+            error => error.status === 400 && error.code === 'UNKNOWN_PROMPT_VERSION',
+            version
+        );
+    }
+});
@@ -0,0 +1,78 @@
+// ✅ TOKEN BUCKETS: BURST, REFILL AND THE SHARED IP BUCKET
+// Date.now is mocked so buckets refill without waiting.
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let consume;
+
+before(() => {
+    Object.assign(process.env, {
+        LOG_LEVEL: 'error',
+        RATE_LIMIT_TIERS: JSON.stringify({
+            ip: { capacity: 3, refillPerMinute: 1 },
+            citizen: { capacity: 2, refillPerMinute: 1 }
+        })
+    });
+    ({ consume } = require('../services/rateLimiter'));
+});
+
+function useClock(t) {
+    const clock = { now: Date.parse('2026-01-01T00:00:00.000Z') };
+    t.mock.method(Date, 'now', () => clock.now);
+    return clock;
+}
+
+const checks = (ip, userId) => [
+    { scope: 'ip', key: `ip:${ip}`, tier: 'ip' },
+    { scope: 'user', key: `user:${userId}`, tier: 'citizen' }
+];
+
+test('allows a burst up to the capacity, then says when to retry', (t) => {
+    useClock(t);
+
+    assert.deepEqual(consume(checks('10.0.0.1', 'burst')), { allowed: true, limit: 2, remaining: 1 });
+    assert.equal(consume(checks('10.0.0.1', 'burst')).allowed, true);
+    assert.deepEqual(consume(checks('10.0.0.1', 'burst')), {
+        allowed: false,
+        scope: 'user',
+        tier: 'citizen',
+        capacity: 2,
+        refillPerMinute: 1,
+        retryAfterSeconds: 60
+    });
+});
+
+test('refills continuously, never past the capacity', (t) => {
+    const clock = useClock(t);
+    consume(checks('10.0.0.2', 'refill'));
+    consume(checks('10.0.0.2', 'refill'));
+
+    clock.now += 30 * 1000;
+    assert.equal(consume(checks('10.0.0.2', 'refill')).retryAfterSeconds, 30);
+
+    clock.now += 30 * 1000;
+    assert.equal(consume(checks('10.0.0.2', 'refill')).allowed, true);
+
+    clock.now += 60 * 60 * 1000;
+    assert.equal(consume(checks('10.0.0.2', 'refill')).remaining, 1);
+});
+
+test('limits everyone behind one address together', (t) => {
+    useClock(t);
+
+    for (const userId of ['shared-1', 'shared-2', 'shared-3']) {
+        assert.equal(consume(checks('10.0.0.3', userId)).allowed, true);
+    }
+    const blocked = consume(checks('10.0.0.3', 'shared-4'));
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.scope, 'ip');
+});
+
+test('takes no token from any bucket when one of them is empty', (t) => {
+    useClock(t);
+    consume(checks('10.0.0.4', 'partial'));
+    consume(checks('10.0.0.4', 'partial'));
+
+    assert.equal(consume(checks('10.0.0.4', 'partial')).scope, 'user');
+    assert.deepEqual(consume(checks('10.0.0.4', 'partial-other')), { allowed: true, limit: 3, remaining: 0 }, 'the IP bucket kept its last token');
+});
@@ -0,0 +1,35 @@
+// ✅ /api/referrals DIRECTORY SEARCH VALIDATION
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/testServer');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer();
+    token = await server.signIn();
+});
+
+after(async () => {
+    await server.close();
+});
+
+function referrals(query) {
+    return server.request('GET', `/api/referrals?domain=Family&${query}`, { token });
+}
+
+test('searches the directory in a supported language', async () => {
+    const { status, body } = await referrals('language=hi');
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+});
+
+test('answers 400 for languages inherited from Object.prototype or passed more than once', async () => {
+    for (const query of ['language=constructor', 'language=toString', 'language=__proto__', 'language=hi&language=en']) {
+        const { status, body } = await referrals(query);
+        assert.equal(status, 400, query);
+        assert.equal(body.code, 'INVALID_LANGUAGE');
+    }
+});
@@ -0,0 +1,99 @@
+// ✅ RESPONSE CACHE: COALESCING AND OPT-IN NEAR-DUPLICATE REUSE
+// Every model runs on the mock provider (AI_PROVIDER_OVERRIDE=mock); its call log shows
+// how many upstream calls were made. Each test uses its own template name, so entries
+// from one test never answer another.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vidhi-cache-'));
+// Long enough that an added amount, phone number or address would still count as a near-duplicate
+const QUERY = 'My landlord in the city is not returning my security deposit after I vacated the rented flat last month';
+const REWORDED = 'Landlord in the city refusing to return the security deposit after I vacated my rented flat last month';
+let callAIWithCache;
+let mock;
+
+before(() => {
+    for (const name of ['AI_MODELS_CONFIG', 'AI_CACHE_TTL_MS', 'AI_CACHE_SIMILARITY', 'MOCK_AI_SCRIPT']) {
+        delete process.env[name];
+    }
+    Object.assign(process.env, {
+        STORAGE_DIR: storageDir,
+        LOG_LEVEL: 'error',
+        AI_PROVIDER_OVERRIDE: 'mock',
+        AI_RETRY_BASE_DELAY_MS: '1'
+    });
+    ({ callAIWithCache } = require('../services/responseCache'));
+    mock = require('../services/providers/mock');
+});
+
+beforeEach(() => {
+    mock.reset();
+});
+
+after(() => {
+    require('../services/jsonStore').flushAllStores();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+async function ask(template, query, cache = {}) {
+    const result = await callAIWithCache(`Analyze this legal question: ${query}`, {
+        cache: { template: template, version: '1', query: query, ...cache }
+    });
+    return result.cache.status;
+}
+
+test('makes one upstream call for identical concurrent prompts, then answers from the cache', async () => {
+    mock.setScript([{ latency: 50 }]);
+
+    const statuses = await Promise.all([ask('coalesce', QUERY), ask('coalesce', QUERY)]);
+    assert.deepEqual(statuses, ['miss', 'coalesced']);
+    assert.equal(await ask('coalesce', QUERY), 'hit');
+    assert.equal(mock.getCalls().length, 1);
+});
+
+test('skips the cache when the client asks it to', async () => {
+    await ask('bypass', QUERY);
+
+    assert.equal(await ask('bypass', QUERY, { bypass: true }), 'bypass');
+    assert.equal(mock.getCalls().length, 2);
+});
+
+test('reuses a reworded question\'s answer when both users opted in', async () => {
+    assert.equal(await ask('similar', QUERY, { allowSimilar: true }), 'miss');
+    assert.equal(await ask('similar', REWORDED, { allowSimilar: true }), 'similar');
+    assert.equal(mock.getCalls().length, 1);
+});
+
+test('never shares an answer with or from a user who did not opt in', async () => {
+    await ask('opt-in-asker', QUERY, { allowSimilar: true });
+    assert.equal(await ask('opt-in-asker', REWORDED), 'miss', 'the asker did not opt in');
+
+    await ask('opt-in-owner', QUERY);
+    assert.equal(await ask('opt-in-owner', REWORDED, { allowSimilar: true }), 'miss', 'the first user did not opt in');
+
+    assert.equal(mock.getCalls().length, 4);
+});
+
+test('never matches questions with numbers or e-mail addresses', async () => {
+    await ask('personal', QUERY, { allowSimilar: true });
+    assert.equal(await ask('personal', `${REWORDED} of Rs 60,000`, { allowSimilar: true }), 'miss', 'the new question has an amount');
+
+    await ask('personal-owner', QUERY, { allowSimilar: true });
+    assert.equal(await ask('personal-owner', `${REWORDED}, write to me at tenant@example.com`, { allowSimilar: true }), 'miss');
+
+    await ask('personal-stored', `${QUERY}, call 98765 43210`, { allowSimilar: true });
+    assert.equal(await ask('personal-stored', REWORDED, { allowSimilar: true }), 'miss', 'the cached question had a phone number');
+
+    assert.equal(mock.getCalls().length, 6);
+});
+
+test('only matches within the same language and variant', async () => {
+    await ask('namespace', QUERY, { allowSimilar: true, variant: 'Maharashtra' });
+
+    assert.equal(await ask('namespace', REWORDED, { allowSimilar: true, variant: 'Karnataka' }), 'miss');
+    assert.equal(await ask('namespace', REWORDED, { allowSimilar: true, variant: 'Maharashtra', language: 'hi' }), 'miss');
+    assert.equal(await ask('namespace', REWORDED, { allowSimilar: true, variant: 'Maharashtra' }), 'similar');
+});
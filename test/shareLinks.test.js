@@ -0,0 +1,106 @@
+// ✅ SHARE LINKS: SIGNATURE, EXPIRY AND REVOCATION
+// Date.now is mocked where a link has to outlive its expiry.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vidhi-share-'));
+const HOUR_MS = 60 * 60 * 1000;
+let consultations;
+let shareLinks;
+
+before(() => {
+    Object.assign(process.env, { STORAGE_DIR: storageDir, LOG_LEVEL: 'error' });
+    consultations = require('../services/consultations');
+    shareLinks = require('../services/shareLinks');
+});
+
+after(() => {
+    require('../services/jsonStore').flushAllStores();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+function consult(userId = 'user-1') {
+    return consultations.recordConsultation(userId, {
+        query: 'My landlord kept the security deposit',
+        format: 'html',
+        analysis: '<div class="legal-analysis"><p>Send a legal notice.</p></div>',
+        model: 'mock-model',
+        provider: 'mock',
+        processingTime: 10
+    });
+}
+
+function rejectsWith(status, code, token) {
+    assert.throws(() => shareLinks.resolveShareLink(token), error => error.status === status && error.code === code, token);
+}
+
+test('opens the shared consultation with a fresh token and counts the visit', () => {
+    const consultation = consult();
+    const link = shareLinks.createShareLink('user-1', consultation.id, { expiresInHours: 2 });
+
+    const resolved = shareLinks.resolveShareLink(link.token);
+    assert.equal(resolved.consultation.id, consultation.id);
+    assert.equal(resolved.link.accessCount, 1);
+    assert.equal(link.status, 'active');
+});
+
+test('rejects tokens whose signature, expiry or link id was changed', () => {
+    const consultation = consult();
+    const link = shareLinks.createShareLink('user-1', consultation.id, { expiresInHours: 2 });
+    const other = shareLinks.createShareLink('user-1', consultation.id, { expiresInHours: 2 });
+    const [linkId, expires, signature] = link.token.split('.');
+    const flipped = signature[0] === 'A' ? `B${signature.slice(1)}` : `A${signature.slice(1)}`;
+
+    rejectsWith(404, 'SHARE_LINK_INVALID', `${linkId}.${expires}.${flipped}`);
+    rejectsWith(404, 'SHARE_LINK_INVALID', `${linkId}.${Number(expires) + 30 * 24 * 3600}.${signature}`);
+    rejectsWith(404, 'SHARE_LINK_INVALID', `${other.id}.${expires}.${signature}`);
+    rejectsWith(404, 'SHARE_LINK_INVALID', `${link.token}.extra`);
+    rejectsWith(404, 'SHARE_LINK_INVALID', `${linkId}.${expires}.${signature}é`);
+    rejectsWith(404, 'SHARE_LINK_INVALID', 'not-a-token');
+});
+
+test('answers 410 once the link has expired', (t) => {
+    const consultation = consult();
+    const link = shareLinks.createShareLink('user-1', consultation.id, { expiresInHours: 1 });
+
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + HOUR_MS + 1000);
+    rejectsWith(410, 'SHARE_LINK_EXPIRED', link.token);
+    assert.equal(shareLinks.listShareLinks('user-1', consultation.id)[0].status, 'expired');
+});
+
+test('answers 410 once the owner revokes the link, and only the owner can', () => {
+    const consultation = consult();
+    const link = shareLinks.createShareLink('user-1', consultation.id);
+
+    assert.throws(() => shareLinks.revokeShareLink('user-2', consultation.id, link.id), error => error.status === 404);
+    shareLinks.resolveShareLink(link.token);
+
+    const revoked = shareLinks.revokeShareLink('user-1', consultation.id, link.id);
+    assert.equal(revoked.status, 'revoked');
+    assert.equal(revoked.token, undefined);
+    rejectsWith(410, 'SHARE_LINK_REVOKED', link.token);
+});
+
+test('stops working when the consultation is deleted', () => {
+    const consultation = consult();
+    const link = shareLinks.createShareLink('user-1', consultation.id);
+
+    consultations.deleteConsultation('user-1', consultation.id);
+    rejectsWith(404, 'SHARE_LINK_INVALID', link.token);
+});
+
+test('only shares the owner\'s consultations, for up to 30 days', () => {
+    const consultation = consult();
+
+    assert.throws(() => shareLinks.createShareLink('user-2', consultation.id), error => error.status === 404);
+    for (const expiresInHours of [0, -1, 'soon', 30 * 24 + 1]) {
+        assert.throws(
+            () => shareLinks.createShareLink('user-1', consultation.id, { expiresInHours }),
+            error => error.status === 400 && error.code === 'INVALID_EXPIRY'
+        );
+    }
+});
@@ -0,0 +1,34 @@
+// ✅ TRIAGE: EMERGENCIES ROUTED TO HELPLINES, FAMILY MATTERS TO THE LAWYER DIRECTORY
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_DIR = path.join(os.tmpdir(), `vidhi-triage-${process.pid}`); // Never written: triage only reads
+process.env.LOG_LEVEL = 'error';
+
+const { triageCase } = require('../services/triage');
+
+const signalsOf = (query) => triageCase({ query }).signals.map(signal => signal.name);
+
+test('routes arrests and dowry harassment to emergency help', () => {
+    assert.deepEqual(signalsOf('My brother was taken into police custody last night'), ['arrest']);
+    assert.deepEqual(signalsOf('My son has been in judicial custody for a month'), ['arrest']);
+    assert.deepEqual(signalsOf('My in-laws harass me for dowry every day'), ['violence']);
+
+    const triage = triageCase({ query: 'My husband beats me over dowry demands' });
+    assert.equal(triage.urgency, 'emergency');
+    assert.equal(triage.route, 'emergency');
+});
+
+test('keeps child custody and dowry property claims out of the emergency route', () => {
+    for (const query of [
+        'After our divorce I want custody of my 5 year old daughter',
+        'My in-laws have not returned the dowry articles after the separation'
+    ]) {
+        const triage = triageCase({ query });
+        assert.deepEqual(triage.signals, [], query);
+        assert.equal(triage.urgency, 'routine', query);
+        assert.notEqual(triage.route, 'emergency', query);
+    }
+});
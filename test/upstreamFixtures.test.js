@@ -0,0 +1,92 @@
+// ✅ RECORD MODE: CASSETTES CAPTURE UPSTREAM TRAFFIC WITHOUT THE API KEY
+// A local HTTP server stands in for Gemini (configured through AI_MODELS_CONFIG); the
+// fallback chain runs against it with UPSTREAM_FIXTURES=record.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const API_KEY = 'AIzaTestOnly0000000000000000000000000000';
+const ANSWER = '<div class="legal-analysis"><p>Recorded answer from the local stand-in for Gemini.</p></div>';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vidhi-fixtures-'));
+const requests = [];
+let upstream;
+let aiService;
+let fixtures;
+
+before(async () => {
+    // First call is overloaded, the retry answers
+    upstream = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, body: JSON.parse(body) });
+            res.setHeader('Content-Type', 'application/json');
+            if (requests.length === 1) {
+                res.statusCode = 503;
+                res.end(JSON.stringify({ error: { code: 503, message: 'The model is overloaded.', status: 'UNAVAILABLE' } }));
+            } else {
+                res.end(JSON.stringify({ candidates: [{ content: { parts: [{ text: ANSWER }] } }] }));
+            }
+        });
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+
+    for (const name of ['AI_PROVIDER_OVERRIDE', 'GEMINI_API_KEY_2', 'GEMINI_API_KEY_3', 'OPENAI_API_KEY']) {
+        delete process.env[name];
+    }
+    Object.assign(process.env, {
+        STORAGE_DIR: path.join(workDir, 'storage'),
+        UPSTREAM_FIXTURES: 'record',
+        UPSTREAM_FIXTURES_DIR: path.join(workDir, 'cassettes'),
+        GEMINI_API_KEY_1: API_KEY,
+        LOG_LEVEL: 'error',
+        AI_RETRY_BASE_DELAY_MS: '1',
+        AI_MODELS_CONFIG: JSON.stringify([{
+            name: 'local-gemini',
+            provider: 'gemini',
+            endpoint: `http://127.0.0.1:${upstream.address().port}/v1beta/models/local-gemini:generateContent`,
+            priority: 1,
+            timeout: 5000
+        }])
+    });
+
+    aiService = require('../services/aiService');
+    fixtures = require('../services/upstreamFixtures');
+});
+
+after(async () => {
+    await new Promise(resolve => upstream.close(resolve));
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('records each upstream call and hands the real response back', async () => {
+    fixtures.useCassette('recorded-retry');
+    const result = await aiService.callAIWithAdvancedFallback('Is a verbal rent agreement valid?');
+
+    assert.equal(result.analysis, ANSWER);
+    assert.equal(result.totalAttempts, 2);
+    assert.equal(requests.length, 2);
+    assert.ok(requests[0].url.includes(`key=${API_KEY}`), 'the real key still reaches upstream');
+
+    const cassette = JSON.parse(fs.readFileSync(path.join(workDir, 'cassettes', 'recorded-retry.json'), 'utf8'));
+    assert.equal(cassette.name, 'recorded-retry');
+    assert.equal(cassette.interactions.length, 2);
+    assert.equal(cassette.interactions[0].response.status, 503);
+    assert.equal(cassette.interactions[1].response.body.candidates[0].content.parts[0].text, ANSWER);
+    assert.equal(cassette.interactions[1].request.method, 'POST');
+    assert.match(cassette.interactions[1].request.url, /local-gemini:generateContent\?key=\[REDACTED\]$/);
+    assert.equal(cassette.interactions[1].request.body.contents[0].parts[0].text, 'Is a verbal rent agreement valid?');
+});
+
+test('never writes the API key to a cassette', () => {
+    const raw = fs.readFileSync(path.join(workDir, 'cassettes', 'recorded-retry.json'), 'utf8');
+    assert.ok(!raw.includes(API_KEY));
+});
+
+test('only accepts plain cassette names', () => {
+    assert.throws(() => fixtures.useCassette('../outside'), /Invalid cassette name/);
+});
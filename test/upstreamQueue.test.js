@@ -0,0 +1,96 @@
+// ✅ FAIR QUEUE FOR MODEL CALLS: PRIORITY, FAIRNESS AND BOUNDS
+// Two slots; each test fills them, queues callers and records the order they are served in.
+// A queued caller gives its slot back as soon as it gets it.
+const { test, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+let acquireUpstreamSlot;
+let getQueueStats;
+const held = [];
+
+before(() => {
+    Object.assign(process.env, {
+        LOG_LEVEL: 'error',
+        AI_MAX_CONCURRENCY: '2',
+        AI_QUEUE_MAX: '4',
+        AI_QUEUE_MAX_PER_CLIENT: '2'
+    });
+    ({ acquireUpstreamSlot, getQueueStats } = require('../services/upstreamQueue'));
+});
+
+afterEach(() => {
+    while (held.length) held.shift()();
+    assert.equal(getQueueStats().running, 0);
+    assert.equal(getQueueStats().waiting, 0);
+});
+
+async function take(key) {
+    const release = await acquireUpstreamSlot({ key });
+    held.push(release);
+    return release;
+}
+
+function enqueue(order, name, key, priority = 'normal') {
+    return acquireUpstreamSlot({ key, priority }).then(release => {
+        order.push(name);
+        release();
+    });
+}
+
+test('serves high priority first and low priority last', async () => {
+    const release = await take('holder');
+    await take('holder');
+    const order = [];
+
+    const queued = [
+        enqueue(order, 'low', 'batch', 'low'),
+        enqueue(order, 'normal', 'citizen', 'normal'),
+        enqueue(order, 'high', 'lawyer', 'high')
+    ];
+    release();
+    await Promise.all(queued);
+
+    assert.deepEqual(order, ['high', 'normal', 'low']);
+});
+
+test('gives the next slot to the client with the fewest calls running', async () => {
+    const release = await take('busy');
+    await take('busy');
+    const order = [];
+
+    const queued = [enqueue(order, 'busy again', 'busy'), enqueue(order, 'newcomer', 'quiet')];
+    release();
+    await Promise.all(queued);
+
+    assert.deepEqual(order, ['newcomer', 'busy again']);
+});
+
+test('answers 429 when the client or the whole queue is full', async () => {
+    const release = await take('holder');
+    await take('holder');
+    const order = [];
+    const queued = [enqueue(order, 'a1', 'a'), enqueue(order, 'a2', 'a')];
+
+    await assert.rejects(acquireUpstreamSlot({ key: 'a' }), error => error.status === 429 && error.code === 'CLIENT_QUEUE_FULL');
+
+    queued.push(enqueue(order, 'b1', 'b'), enqueue(order, 'c1', 'c'));
+    await assert.rejects(acquireUpstreamSlot({ key: 'd' }), error =>
+        error.status === 429 && error.code === 'QUEUE_FULL' && error.retryAfterSeconds >= 1
+    );
+
+    release();
+    await Promise.all(queued);
+    assert.equal(order.length, 4);
+});
+
+test('lets a cancelled caller leave the queue', async () => {
+    await take('holder');
+    await take('holder');
+    const controller = new AbortController();
+
+    const cancelled = acquireUpstreamSlot({ key: 'leaving' }, { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(cancelled, error => error.code === 'REQUEST_ABORTED');
+    assert.equal(getQueueStats().waiting, 0);
+});